@@ -2,6 +2,10 @@
  * Challenge Mode Screen - 60-second timed gameplay with IQ scoring
  * Purpose: Fast-paced puzzle solving with automatic board refresh
  * Features: Timer, IQ scoring, continuous board generation, rescue system
+ * Daily: 传入 daily 时为每日挑战（app/daily.js），seed 由 UTC 日期决定，每天只结算第一局
+ * Variants: 普通挑战开局前选择玩法变体（shared/challengeVariants.js），每日挑战固定为经典模式
+ * Achievements: 消除和结算时上报成就事件（utils/achievements.js）
+ * Pause: 计时使用可暂停的游戏时钟（utils/gameClock.js）；手动暂停、切到后台或弹窗时停表并遮住棋盘，倒计时3秒后继续
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
@@ -16,132 +20,160 @@ import {
   Image,
   ImageBackground,
   Pressable,
-  PanResponder
+  PanResponder,
+  AppState
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { router, useFocusEffect } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGameStore } from '../store/gameStore';
-import { generateBoard } from '../utils/boardGenerator';
-import { hasValidCombinations } from '../utils/gameLogic';
+import { CHALLENGE_LEVEL, createChallengeSeed, generateBoard } from '../utils/boardGenerator';
+import { findHintMove, hasValidCombinations } from '../utils/gameLogic';
+import { createReplay, finishReplay, recordReplayEvent } from '../utils/replay';
+import { createGameClock, getGameElapsed, pauseGameClock, resumeGameClock } from '../utils/gameClock';
+import { buildChallengeSettlePayload, buildDailyChallengeSettlePayload } from '../utils/api';
+import StorageUtils from '../utils/StorageUtils';
 import GameBoard from '../components/GameBoard';
 import RescueModal from '../components/RescueModal';
-import { Audio } from 'expo-av';
-
-const CHALLENGE_TIME = 60; // 60 seconds
-const POINTS_PER_CLEAR = 3; // +3 IQ per clear
+import AchievementToast from '../components/AchievementToast';
+import { getImageSource } from '../utils/assets';
+import {
+  HINT_IQ_COST,
+  applyChallengeClear,
+  applyClearBonus,
+  createChallengeClock,
+  getChallengeBoardSeed,
+  getIQTitle,
+  getTimeLeft,
+  getUTCDateKey,
+  MAX_RUN_BOARDS,
+  recordDailyResult,
+} from '../../shared/challengeRules';
+import {
+  createChallengeScore,
+  getComboMultiplier,
+  scoreClear,
+  scoreHint,
+  scoreTimeLeft,
+} from '../../shared/challengeScoring';
+import {
+  CHALLENGE_VARIANTS,
+  DEFAULT_VARIANT,
+  getChallengeVariant,
+} from '../../shared/challengeVariants';
 
 // 结算页图片URL
-const RESULT_IMAGE_URL = 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/changeend1.webp';
+
+// 暂停后继续前的倒计时秒数
+const RESUME_COUNTDOWN = 3;
 
 // 两个按钮热区的固定位置
 const HOTSPOT_LEFT = { left: '8%',  top: '78%', width: '44%', height: '11%'  }; // Return
 const HOTSPOT_RIGHT= { left: '52%', top: '78%', width: '40%', height: '11%'  }; // Play again
 
-const IQ_TITLES = {
-  0: 'Newborn Dreamer',
-  40: 'Tiny Adventurer', 
-  55: 'Learning Hatchling',
-  65: 'Little Explorer',
-  70: 'Slow but Steady',
-  85: 'Hardworking Student',
-  100: 'Everyday Scholar',
-  115: 'Rising Star',
-  130: 'Puzzle Master',
-  145: 'Cosmic Genius',
-};
-
-function getIQTitle(iq) {
-  const thresholds = Object.keys(IQ_TITLES)
-    .map(Number)
-    .sort((a, b) => b - a);
-  
-  for (let threshold of thresholds) {
-    if (iq >= threshold) {
-      return IQ_TITLES[threshold];
-    }
-  }
-  
-  return IQ_TITLES[0];
-}
-
-export default function ChallengeScreen() {
-  const { gameData, updateGameData, settings } = useGameStore();
+export default function ChallengeScreen({ daily = false }) {
+  const {
+    userData,
+    gameData,
+    updateGameData,
+    queueSync,
+    requestChallengeSeed,
+    requestDailyChallengeSeed,
+    settings,
+    loadSounds,
+    unloadSounds,
+    playSound,
+    reportAchievementEvent,
+  } = useGameStore();
   
   // Game state
-  const [gameState, setGameState] = useState('playing'); // 'playing', 'finished'
-  const [timeLeft, setTimeLeft] = useState(CHALLENGE_TIME);
+  const [gameState, setGameState] = useState(daily ? 'playing' : 'choosing'); // 'choosing', 'playing', 'finished'
+  const [variant, setVariant] = useState(getChallengeVariant(DEFAULT_VARIANT)); // 本局玩法变体
+  const [timeLeft, setTimeLeft] = useState(variant.duration);
   const [currentIQ, setCurrentIQ] = useState(0);
   const [iqDelta, setIqDelta] = useState(0);
+  const [combo, setCombo] = useState(0); // 当前连击数
+  const [clearCount, setClearCount] = useState(0); // 本局消除次数（目标变体显示进度）
+  const [runSummary, setRunSummary] = useState(null); // 结算页的得分明细
   const [board, setBoard] = useState(null);
   const [showRescueModal, setShowRescueModal] = useState(false);
   const [boardKey, setBoardKey] = useState(0); // 用于强制重新生成棋盘
+  const [hintRect, setHintRect] = useState(null); // 当前提示的矩形
+  const [paused, setPaused] = useState(false); // 暂停中（棋盘被遮住）
+  const [resumeCountdown, setResumeCountdown] = useState(null); // 继续前的倒计时，null 为未开始
   
   // GameBoard ref
   const gameBoardRef = useRef(null);
   
-  // 音效引用
-  const endSoundRef = useRef(null);
-  
-  // 加载结束音效
+  // 结束音效（GameBoard 也会加载，全局音频服务按引用计数共享）
   useEffect(() => {
-    const loadEndSound = async () => {
-      try {
-        console.log('🎵 挑战模式加载结束音效: end.mp3');
-        await Audio.setAudioModeAsync({
-          allowsRecordingIOS: false,
-          staysActiveInBackground: false,
-          playsInSilentModeIOS: true,
-          shouldDuckAndroid: true,
-          playThroughEarpieceAndroid: false
-        });
-        
-        const { sound: endSound } = await Audio.Sound.createAsync(
-          { uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/end.mp3' }
-        );
-        endSoundRef.current = endSound;
-        console.log('✅ 挑战模式结束音效加载成功');
-      } catch (error) {
-        console.warn('⚠️ 挑战模式结束音效加载失败:', error);
-      }
-    };
-    
-    loadEndSound();
-    
-    return () => {
-      if (endSoundRef.current) {
-        endSoundRef.current.unloadAsync();
-      }
-    };
+    loadSounds(['end']);
+    return () => unloadSounds(['end']);
   }, []);
-  
-  // 播放结束音效
-  const playEndSound = async () => {
-    try {
-      // 检查音效设置
-      if (!settings?.soundEnabled) {
-        console.log('🔇 音效已禁用，跳过播放');
-        return;
-      }
-      
-      if (endSoundRef.current) {
-        console.log('🎵 挑战模式播放结束音效...');
-        await endSoundRef.current.replayAsync();
-        console.log('✅ 挑战模式结束音效播放成功');
-      } else {
-        console.warn('⚠️ 挑战模式结束音效未加载');
-      }
-    } catch (error) {
-      console.error('❌ 挑战模式结束音效播放失败:', error);
-    }
-  };
+
+  const playEndSound = () => playSound('end');
   
   
   
   // Refs
   const timerRef = useRef(null);
-  const gameStartTimeRef = useRef(null);
+  const gameClockRef = useRef(null); // 本局游戏时钟（不含暂停），计时和录像时间戳都以它为准
+  const replayRef = useRef(null); // 当前对局的录像
+  const runSeedRef = useRef(null); // 本局 seed，每块棋盘的 seed 由它派生
+  const rankedRef = useRef(false); // 本局结算提交服务端（普通挑战需要服务端签发的 seed）
+  const runIdRef = useRef(0); // 开局序号，等待 seed 期间离开页面或重新开局时丢弃旧的开局
+  const startingRef = useRef(false); // 正在申请 seed
+  const boardIndexRef = useRef(0); // 下一块棋盘的序号
+  const clockRef = useRef(null); // 本局截止时间（shared/challengeRules.js）
+  const dailyDateRef = useRef(null); // 每日挑战的 UTC 日期
+  const scoreRef = useRef(null); // 本局计分状态（shared/challengeScoring.js）
+  const variantRef = useRef(DEFAULT_VARIANT); // 本局变体 id（再来一局沿用）
+  const endedRef = useRef(false); // 本局已结算（目标完成/突然死亡与倒计时可能同时触发结束）
+
+  // 写入录像，时间戳使用游戏时间
+  const recordEvent = (type, data) => (
+    recordReplayEvent(replayRef.current, type, { ...data, t: getGameElapsed(gameClockRef.current) })
+  );
+
+  // 记录新棋盘
+  const recordBoard = (newBoard) => {
+    recordEvent('board', { seed: newBoard.seed, page: 0 });
+  };
+
+  // 开始新的一局：新的 seed、计时和录像，录像的时间戳与计时使用同一个起点
+  // seed 由服务端签发（只能结算一次）；拿不到时使用本地 seed，这一局不提交排行榜
+  const startRun = async (variantId = variantRef.current) => {
+    const runId = ++runIdRef.current;
+    const runVariant = daily ? DEFAULT_VARIANT : variantId;
+    dailyDateRef.current = daily ? getUTCDateKey() : null;
+    startingRef.current = true;
+    const dailyRun = daily ? await requestDailyChallengeSeed() : null;
+    const serverSeed = daily ? dailyRun?.seed : await requestChallengeSeed(runVariant);
+    if (runId !== runIdRef.current) return;
+    startingRef.current = false;
+    // 每日挑战的 seed 与日期绑定，日期以服务端签发时为准（午夜前后本机日期可能不同）
+    if (dailyRun) dailyDateRef.current = dailyRun.date;
+    runSeedRef.current = serverSeed || createChallengeSeed();
+    rankedRef.current = !!serverSeed;
+    variantRef.current = runVariant;
+    const rules = getChallengeVariant(variantRef.current);
+    boardIndexRef.current = 0;
+    endedRef.current = false;
+    replayRef.current = createReplay({ mode: 'challenge', level: CHALLENGE_LEVEL });
+    clockRef.current = createChallengeClock(rules.id);
+    scoreRef.current = createChallengeScore();
+    gameClockRef.current = createGameClock(replayRef.current.startedAt);
+    setPaused(false);
+    setResumeCountdown(null);
+    setVariant(rules);
+    setTimeLeft(rules.duration);
+    setCurrentIQ(0);
+    setCombo(0);
+    setClearCount(0);
+    setRunSummary(null);
+    generateNewBoard();
+  };
   
   // IQ数字弹跳动画引用
   const iqScaleAnimation = useRef(new Animated.Value(1)).current;
@@ -253,13 +285,10 @@ export default function ChallengeScreen() {
   // Initialize board and start game automatically
   useEffect(() => {
     console.log('🎯 挑战模式：useEffect 触发', { gameState, hasBoard: !!board });
-    if (gameState === 'playing' && !board) {
+    if (gameState === 'playing' && !board && !startingRef.current) {
       console.log('🎯 挑战模式：开始自动启动游戏');
       // Auto-start the game when component mounts
-      setTimeLeft(CHALLENGE_TIME);
-      setCurrentIQ(0);
-      gameStartTimeRef.current = Date.now();
-      generateNewBoard();
+      startRun();
     }
   }, [gameState]);
 
@@ -268,27 +297,30 @@ export default function ChallengeScreen() {
   // 鸭鸭位置更新（进度变化时）
   useEffect(() => {
     if (barWidth > 0) {
-      const progress = timeLeft / CHALLENGE_TIME;
+      const progress = timeLeft / variant.duration;
       updateDuck(progress, barWidth);
     }
   }, [timeLeft, barWidth]);
 
-  // Timer logic
+  // Timer logic：剩余时间按截止时间和游戏时间计算，时间奖励只推后截止时间，不会重置正在走的这一秒；暂停时停表
   useEffect(() => {
-    if (gameState === 'playing' && timeLeft > 0) {
+    if (gameState === 'playing' && !paused && timeLeft > 0 && clockRef.current) {
+      const elapsed = getGameElapsed(gameClockRef.current);
+      // 等到下一个整秒（多等10ms，确保回调时已经跨过整秒）
+      const delay = ((clockRef.current.deadline - elapsed) % 1000 || 1000) + 10;
+
       timerRef.current = setTimeout(() => {
-        setTimeLeft(prev => {
-          const newTime = prev - 1;
-          
-          // 进度条动画现在由TopBarChallenge处理
-          
-          if (newTime <= 0) {
-            handleGameEnd();
-            return 0;
-          }
-          return newTime;
-        });
-      }, 1000);
+        const newTime = getTimeLeft(clockRef.current, getGameElapsed(gameClockRef.current));
+
+        // 进度条动画现在由TopBarChallenge处理
+
+        if (newTime <= 0) {
+          setTimeLeft(0);
+          handleGameEnd();
+          return;
+        }
+        setTimeLeft(newTime);
+      }, delay);
     }
 
     return () => {
@@ -296,11 +328,67 @@ export default function ChallengeScreen() {
         clearTimeout(timerRef.current);
       }
     };
-  }, [gameState, timeLeft]);
+  }, [gameState, timeLeft, paused]);
+
+  // 暂停：停表并遮住棋盘（已暂停时取消正在进行的继续倒计时）
+  const pauseGame = () => {
+    if (!gameClockRef.current || endedRef.current) return;
+    pauseGameClock(gameClockRef.current);
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+    setPaused(true);
+    setResumeCountdown(null);
+  };
+
+  // 继续：先倒计时，倒计时期间棋盘仍被遮住，时钟仍然暂停
+  const handleResume = () => {
+    setResumeCountdown(RESUME_COUNTDOWN);
+  };
+
+  useEffect(() => {
+    if (resumeCountdown === null) return;
+    if (resumeCountdown === 0) {
+      resumeGameClock(gameClockRef.current);
+      setResumeCountdown(null);
+      setPaused(false);
+      return;
+    }
+    const timeout = setTimeout(() => setResumeCountdown(prev => (prev === null ? null : prev - 1)), 1000);
+    return () => clearTimeout(timeout);
+  }, [resumeCountdown]);
+
+  // 切到后台（或来电等 inactive）时自动暂停，回到前台后由玩家手动继续
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        pauseGame();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // 救援弹窗打开期间停表，关闭后倒计时继续
+  useEffect(() => {
+    if (showRescueModal) {
+      pauseGame();
+    }
+  }, [showRescueModal]);
 
   const generateNewBoard = () => {
+    // 本局已结束（目标完成/突然死亡后棋盘动画的回调）
+    if (endedRef.current) return;
+    // 棋盘用完时本局结束（与服务端重放的上限一致）
+    if (boardIndexRef.current >= MAX_RUN_BOARDS) {
+      handleGameEnd();
+      return;
+    }
     console.log('🎯 挑战模式：开始生成新棋盘');
-    const newBoard = generateBoard(100, true, true); // 挑战模式：高数量方块
+    // 挑战模式：高数量方块；seed 由本局 seed 和棋盘序号派生，服务端可以按同样的顺序复现
+    const seed = getChallengeBoardSeed(runSeedRef.current, boardIndexRef.current);
+    boardIndexRef.current += 1;
+    const newBoard = generateBoard(CHALLENGE_LEVEL, true, true, { seed });
     console.log('🎯 挑战模式：棋盘生成结果', newBoard ? '成功' : '失败');
     
     if (newBoard) {
@@ -311,19 +399,11 @@ export default function ChallengeScreen() {
         hasLayoutConfig: !!newBoard.layoutConfig
       });
       
-      // 确保布局配置存在
       if (!newBoard.layoutConfig) {
-        console.error('🎯 挑战模式：布局配置缺失，重新生成');
-        // 重新生成棋盘
-        const retryBoard = generateBoard(100, true, true);
-        if (retryBoard && retryBoard.layoutConfig) {
-          setBoardKey(prev => prev + 1);
-          setBoard(retryBoard);
-          return;
-        }
+        console.error('🎯 挑战模式：布局配置缺失');
       }
       
-      // 检查是否有可消除的组合
+      // 检查是否有可消除的组合（无解时换下一块，与服务端重放规则一致）
       const hasValidMoves = hasValidCombinations(newBoard.tiles, newBoard.width, newBoard.height);
       console.log('🎯 挑战模式：可消除组合检测', hasValidMoves ? '有解' : '无解');
       
@@ -339,6 +419,9 @@ export default function ChallengeScreen() {
       console.error('🎯 挑战模式：棋盘生成失败');
     }
     
+    if (newBoard) {
+      recordBoard(newBoard);
+    }
     setBoardKey(prev => prev + 1); // 更新key强制重新渲染
     setBoard(newBoard);
   };
@@ -347,52 +430,40 @@ export default function ChallengeScreen() {
   useFocusEffect(
     useCallback(() => {
       console.log('🎯 挑战模式：useFocusEffect 触发');
-      // 每次进入页面时重置游戏状态
+      // 每次进入页面时重置游戏状态（未完成的录像直接丢弃）；每日挑战立即开始，普通挑战先选择变体
       setBoard(null);
-      setCurrentIQ(0);
-      setTimeLeft(CHALLENGE_TIME);
       setBoardKey(prev => prev + 1);
-      // 立即生成新棋盘
-      console.log('🎯 挑战模式：useFocusEffect 中生成新棋盘');
-      const newBoard = generateBoard(100, true, true);
-      console.log('🎯 挑战模式：useFocusEffect 棋盘生成结果', newBoard ? '成功' : '失败');
-      
-      if (newBoard && newBoard.layoutConfig) {
-        // 检查是否有可消除的组合
-        const hasValidMoves = hasValidCombinations(newBoard.tiles, newBoard.width, newBoard.height);
-        console.log('🎯 挑战模式：useFocusEffect 可消除组合检测', hasValidMoves ? '有解' : '无解');
-        
-        if (!hasValidMoves) {
-          console.log('🎯 挑战模式：useFocusEffect 检测到无解情况，自动重新生成');
-          // 延迟500ms后重新生成
-          setTimeout(() => {
-            const retryBoard = generateBoard(100, true, true);
-            if (retryBoard && retryBoard.layoutConfig) {
-              setBoard(retryBoard);
-            }
-          }, 500);
-        } else {
-          setBoard(newBoard);
-        }
-      } else {
-        console.error('🎯 挑战模式：useFocusEffect 中棋盘生成失败');
-        // 尝试重新生成
-        const retryBoard = generateBoard(100, true, true);
-        if (retryBoard && retryBoard.layoutConfig) {
-          setBoard(retryBoard);
+      // 丢弃还在等待 seed 的开局
+      runIdRef.current += 1;
+      startingRef.current = false;
+      if (!daily) {
+        if (timerRef.current) {
+          clearTimeout(timerRef.current);
+          timerRef.current = null;
         }
+        replayRef.current = null;
+        gameClockRef.current = null;
+        setPaused(false);
+        setResumeCountdown(null);
+        setGameState('choosing');
+        return;
+      }
+      startRun();
+
+      // 今天的每日挑战已经结算过：这一局只是练习
+      if (daily && useGameStore.getState().gameData?.dailyChallenge?.lastDate === dailyDateRef.current) {
+        Alert.alert(
+          'Daily Challenge',
+          "You've already played today's Daily Challenge. This run is practice and won't be recorded."
+        );
       }
     }, [])
   );
 
 
   const handleTilesClear = (clearedPositions) => {
-    // 奖励分数
-    const newIQ = currentIQ + POINTS_PER_CLEAR;
-    const delta = POINTS_PER_CLEAR;
-    setCurrentIQ(newIQ);
-    setIqDelta(delta);
-    
+    // 分数已在框选结束时结算（handleSelectionComplete），这里只负责动画和棋盘更新
+    if (endedRef.current) return;
     // IQ数字弹跳动画：95%→105%→100%
     Animated.sequence([
       Animated.timing(iqScaleAnimation, {
@@ -412,15 +483,6 @@ export default function ChallengeScreen() {
       }),
     ]).start();
 
-    // 🎯 最后10秒时间奖励机制
-    if (timeLeft <= 10) {
-      const newTimeLeft = Math.min(timeLeft + 1, CHALLENGE_TIME); // 最多不超过60秒
-      setTimeLeft(newTimeLeft);
-      
-      
-      // 调试日志已移除
-    }
-
     // 更新棋盘：移除被清除的方块
     if (board) {
       const newTiles = [...board.tiles];
@@ -442,8 +504,8 @@ export default function ChallengeScreen() {
         // 检查是否还有可消除的组合
         const hasValidCombos = hasValidCombinations(newTiles, board.width, board.height);
         
-        if (!hasValidCombos) {
-          // 没有可消除的组合 - 生成新棋盘
+        if (!hasValidCombos && !variant.suddenDeath) {
+          // 没有可消除的组合 - 生成新棋盘（突然死亡卡住时本局已经结束，不换盘）
           console.log('🎯 挑战模式：消除后检测到无解情况，自动重新生成');
           setTimeout(() => {
             generateNewBoard();
@@ -459,7 +521,68 @@ export default function ChallengeScreen() {
     }
   };
 
+  // 框选结束：写入录像；成功消除时按录像中的时刻计分并结算最后10秒的时间奖励（与服务端重放一致）
+  const handleSelectionComplete = (selection) => {
+    const event = recordEvent('select', selection);
+    if (!event || selection.sum !== 10 || !board || !scoreRef.current) return;
+
+    // 与服务端重放同一套规则：消除后的棋盘、是否清空、突然死亡是否卡住
+    const outcome = applyChallengeClear(board.tiles, board.width, board.height, selection, variant.id);
+    const { count } = outcome;
+    const result = scoreClear(scoreRef.current, { t: event.t, tiles: count, boardCleared: outcome.cleared });
+    setCurrentIQ(scoreRef.current.iq);
+    setIqDelta(result.points);
+    setCombo(result.combo);
+    reportAchievementEvent({ type: 'clear', tiles: count, mode: 'challenge' });
+    setClearCount(scoreRef.current.breakdown.clears);
+
+    if (gameState === 'playing' && clockRef.current) {
+      if (applyClearBonus(clockRef.current, event.t)) {
+        setTimeLeft(getTimeLeft(clockRef.current, event.t));
+      }
+    }
+
+    // 目标变体：完成目标消除数后结束，剩余秒数计分
+    if (variant.targetClears && scoreRef.current.breakdown.clears >= variant.targetClears) {
+      scoreTimeLeft(scoreRef.current, getTimeLeft(clockRef.current, event.t));
+      setCurrentIQ(scoreRef.current.iq);
+      handleGameEnd();
+      return;
+    }
+
+    // 突然死亡：消除后棋盘卡住（没有清空也没有可消除的组合）直接结束
+    if (outcome.endsRun) {
+      handleGameEnd();
+    }
+  };
+
+  // 挑战模式提示：不消耗道具，改为扣除 IQ
+  const handleUseHint = () => {
+    if (!board || currentIQ < HINT_IQ_COST || variant.suddenDeath) return;
+
+    const move = findHintMove(board.tiles, board.width, board.height);
+    if (!move) return;
+
+    setHintRect(move);
+    recordEvent('hint', { rect: move, cost: HINT_IQ_COST });
+    const cost = scoreHint(scoreRef.current);
+    setCurrentIQ(scoreRef.current.iq);
+    setIqDelta(-cost);
+    setCombo(0);
+  };
+
+  // 棋盘变化后提示失效
+  useEffect(() => {
+    setHintRect(null);
+  }, [board]);
+
   const handleGameEnd = () => {
+    if (endedRef.current) return;
+    endedRef.current = true;
+
+    // 最终 IQ 以计分状态为准（目标完成时 currentIQ 还没有更新）
+    const finalIQ = scoreRef.current ? scoreRef.current.iq : currentIQ;
+
     // 同步执行：设置游戏状态和播放音效
     setGameState('finished');
     playEndSound();
@@ -470,12 +593,59 @@ export default function ChallengeScreen() {
       timerRef.current = null;
     }
 
-    // Update best score if needed
-    const currentBest = gameData?.maxScore || 0;
-    if (currentIQ > currentBest) {
-      updateGameData({ maxScore: currentIQ });
+    // 结算页得分明细
+    if (scoreRef.current) {
+      setRunSummary({ ...scoreRef.current.breakdown, maxCombo: scoreRef.current.maxCombo });
+    }
+
+    // 每日挑战连续天数（本局结算后更新）
+    let dailyStreak = gameData?.dailyChallenge?.streak || 0;
+
+    // 保存录像
+    if (replayRef.current) {
+      const replay = finishReplay(replayRef.current, { iq: finalIQ, variant: variant.id });
+      StorageUtils.saveReplay(replay);
+
+      // 排队提交服务端结算：服务端按 seed 和操作日志重新计算 IQ，离线时联网后再提交
+      if (daily) {
+        // 每日挑战每天只结算第一局
+        const date = dailyDateRef.current;
+        if (gameData?.dailyChallenge?.lastDate !== date) {
+          const dailyRecord = recordDailyResult(gameData?.dailyChallenge, date, finalIQ);
+          dailyStreak = dailyRecord.streak;
+          updateGameData({ dailyChallenge: dailyRecord });
+          if (userData?.uid && rankedRef.current) {
+            queueSync('dailyChallenge', buildDailyChallengeSettlePayload(date, runSeedRef.current, replay));
+          }
+        }
+      } else if (userData?.uid && rankedRef.current) {
+        queueSync('challenge', buildChallengeSettlePayload(runSeedRef.current, replay, variant.id));
+      }
+      replayRef.current = null;
+    }
+
+    // Update best score if needed（经典模式记在 maxScore，其他变体记在 challengeBests）
+    if (variant.id === DEFAULT_VARIANT) {
+      const currentBest = gameData?.maxScore || 0;
+      if (finalIQ > currentBest) {
+        updateGameData({ maxScore: finalIQ });
+      }
+    } else {
+      const bests = gameData?.challengeBests || {};
+      if (finalIQ > (bests[variant.id] || 0)) {
+        updateGameData({ challengeBests: { ...bests, [variant.id]: finalIQ } });
+      }
     }
     
+    reportAchievementEvent({
+      type: 'challengeEnd',
+      iq: finalIQ,
+      variant: variant.id,
+      maxCombo: scoreRef.current?.maxCombo || 0,
+      daily,
+      streak: dailyStreak,
+    });
+    
     // 启动分数动画和粒子循环
     setTimeout(() => {
       startScoreAnimation();
@@ -577,12 +747,22 @@ export default function ChallengeScreen() {
   const handlePlayAgain = () => {
     setGameState('playing');
     setBoard(null);
-    setTimeLeft(CHALLENGE_TIME);
-    setCurrentIQ(0);
-    gameStartTimeRef.current = Date.now();
-    generateNewBoard();
+    startRun();
+  };
+
+  // 选择变体后开局
+  const handleSelectVariant = (variantId) => {
+    variantRef.current = variantId;
+    setGameState('playing');
+    setBoard(null);
+    startRun(variantId);
   };
 
+  // 变体的本地最佳成绩
+  const getVariantBest = (variantId) => (
+    variantId === DEFAULT_VARIANT ? gameData?.maxScore || 0 : gameData?.challengeBests?.[variantId] || 0
+  );
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -590,6 +770,45 @@ export default function ChallengeScreen() {
   };
 
 
+  // Variant picker
+  if (gameState === 'choosing') {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.variantHeader}>
+          <TouchableOpacity style={styles.backButton} onPress={handleBackToHome}>
+            <Ionicons name="arrow-back" size={24} color="black" />
+          </TouchableOpacity>
+          <Text style={styles.variantHeaderTitle}>Choose a Challenge</Text>
+        </View>
+
+        <View style={styles.variantList}>
+          {Object.values(CHALLENGE_VARIANTS).map(item => {
+            const best = getVariantBest(item.id);
+            return (
+              <TouchableOpacity
+                key={item.id}
+                style={styles.variantCard}
+                onPress={() => handleSelectVariant(item.id)}
+              >
+                <View style={styles.variantInfo}>
+                  <Text style={styles.variantName}>{item.name}</Text>
+                  <Text style={styles.variantDescription}>{item.description}</Text>
+                </View>
+                <View style={styles.variantBest}>
+                  <Text style={styles.variantBestLabel}>Best</Text>
+                  <Text style={styles.variantBestValue}>{best}</Text>
+                  {best > 0 && (
+                    <Text style={styles.variantBestTitle}>{getIQTitle(best, item.id)}</Text>
+                  )}
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
   // Game screen
   if (gameState === 'playing') {
     return (
@@ -600,14 +819,23 @@ export default function ChallengeScreen() {
           <View style={styles.headerOverlay} />
           
           <View style={styles.hudLeft}>
-            <Animated.View style={{ transform: [{ scale: backButtonScaleAnimation }] }}>
-              <TouchableOpacity 
-                style={styles.backButton}
-                onPress={handleBackToHome}
+            <View style={styles.hudLeftButtons}>
+              <Animated.View style={{ transform: [{ scale: backButtonScaleAnimation }] }}>
+                <TouchableOpacity 
+                  style={styles.backButton}
+                  onPress={handleBackToHome}
+                >
+                  <Ionicons name="arrow-back" size={24} color="black" />
+                </TouchableOpacity>
+              </Animated.View>
+              <TouchableOpacity
+                style={[styles.backButton, styles.pauseButton]}
+                onPress={pauseGame}
+                disabled={paused}
               >
-                <Ionicons name="arrow-back" size={24} color="black" />
+                <Ionicons name="pause" size={24} color="black" />
               </TouchableOpacity>
-            </Animated.View>
+            </View>
           </View>
           
           <View style={styles.hudCenter}>
@@ -616,6 +844,12 @@ export default function ChallengeScreen() {
               <Animated.Text style={[styles.iqValue, { transform: [{ scale: iqScaleAnimation }] }]}>
                 {currentIQ.toString().padStart(2, '0')}
               </Animated.Text>
+              {combo > 1 && (
+                <Text style={styles.comboText}>x{getComboMultiplier(combo)}</Text>
+              )}
+              {variant.targetClears && (
+                <Text style={styles.targetText}>{clearCount}/{variant.targetClears}</Text>
+              )}
             </View>
             <View style={styles.progressContainer}>
               <View style={styles.progressBarWrapper}>
@@ -631,8 +865,8 @@ export default function ChallengeScreen() {
                     style={[
                       styles.progressFill,
                       {
-                        width: `${(timeLeft / CHALLENGE_TIME) * 100}%`,
-                        backgroundColor: getProgressColor(timeLeft / CHALLENGE_TIME),
+                        width: `${(timeLeft / variant.duration) * 100}%`,
+                        backgroundColor: getProgressColor(timeLeft / variant.duration),
                       },
                     ]}
                   />
@@ -640,7 +874,7 @@ export default function ChallengeScreen() {
                 
                 {/* 炸弹鸭头像层 */}
                 <Animated.Image
-                  source={{ uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/bombduck1.webp' }}
+                  source={getImageSource('bombDuck')}
                   style={[
                     styles.duck,
                     {
@@ -660,6 +894,23 @@ export default function ChallengeScreen() {
               </View>
             </View>
           </View>
+
+          <View style={styles.hudRight}>
+            {/* 突然死亡没有提示 */}
+            {!variant.suddenDeath && (
+              <TouchableOpacity
+                style={[
+                  styles.hintButton,
+                  currentIQ < HINT_IQ_COST && styles.hintButtonDisabled
+                ]}
+                onPress={handleUseHint}
+                disabled={currentIQ < HINT_IQ_COST}
+              >
+                <Ionicons name="bulb" size={20} color={currentIQ < HINT_IQ_COST ? '#ccc' : 'black'} />
+                <Text style={styles.hintButtonCost}>-{HINT_IQ_COST}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
         </View>
 
         {/* Game Board */}
@@ -674,6 +925,8 @@ export default function ChallengeScreen() {
             disabled={false}
             settings={settings}
             isChallenge={true}
+            hintRect={hintRect}
+            onSelectionComplete={handleSelectionComplete}
             layoutConfig={{
               ...board.layoutConfig,
               boardTop: board.layoutConfig.boardTop + 30, // 向下移动30px
@@ -681,12 +934,37 @@ export default function ChallengeScreen() {
           />
         )}
 
+        {/* 成就解锁提示 */}
+        <AchievementToast />
+
+        {/* 暂停遮罩：遮住棋盘，避免暂停期间思考 */}
+        {paused && (
+          <View style={styles.pauseOverlay}>
+            {resumeCountdown !== null ? (
+              <Text style={styles.resumeCountdownText}>{resumeCountdown}</Text>
+            ) : (
+              <>
+                <Text style={styles.pauseTitle}>Paused</Text>
+                <Text style={styles.pauseTimeText}>{timeLeft}s left</Text>
+                <TouchableOpacity style={styles.resumeButton} onPress={handleResume}>
+                  <Ionicons name="play" size={22} color="white" />
+                  <Text style={styles.resumeButtonText}>Resume</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.quitButton} onPress={handleBackToHome}>
+                  <Text style={styles.quitButtonText}>Quit</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        )}
+
         {/* Rescue Modal */}
         <RescueModal
           visible={showRescueModal}
           onContinue={() => {
             setShowRescueModal(false);
             generateNewBoard(); // Generate new board as rescue
+            handleResume();
           }}
           onReturn={() => {
             setShowRescueModal(false);
@@ -702,7 +980,7 @@ export default function ChallengeScreen() {
     <SafeAreaView style={styles.container}>
       <View style={styles.wrap}>
         <ImageBackground
-          source={{ uri: RESULT_IMAGE_URL }}
+          source={getImageSource('challengeResult')}
           resizeMode="contain"
           style={styles.bg}
           imageStyle={styles.bgImage}
@@ -742,6 +1020,77 @@ export default function ChallengeScreen() {
             ))}
           </View>
 
+          {/* 成就解锁提示 */}
+          <AchievementToast top={120} />
+
+          {/* 变体和称号 */}
+          <View style={styles.resultTitleBadge}>
+            <Text style={styles.resultTitleText}>
+              {variant.name} · {getIQTitle(currentIQ, variant.id)}
+            </Text>
+          </View>
+
+          {/* 得分明细 */}
+          {runSummary && runSummary.clears > 0 && (
+            <View style={styles.breakdownCard}>
+              <View style={styles.breakdownRow}>
+                <Text style={styles.breakdownLabel}>Clears ×{runSummary.clears}</Text>
+                <Text style={styles.breakdownValue}>+{runSummary.base}</Text>
+              </View>
+              {runSummary.tiles > 0 && (
+                <View style={styles.breakdownRow}>
+                  <Text style={styles.breakdownLabel}>Big clears</Text>
+                  <Text style={styles.breakdownValue}>+{runSummary.tiles}</Text>
+                </View>
+              )}
+              {runSummary.combo > 0 && (
+                <View style={styles.breakdownRow}>
+                  <Text style={styles.breakdownLabel}>Combos (best {runSummary.maxCombo} in a row)</Text>
+                  <Text style={styles.breakdownValue}>+{runSummary.combo}</Text>
+                </View>
+              )}
+              {runSummary.boardClears > 0 && (
+                <View style={styles.breakdownRow}>
+                  <Text style={styles.breakdownLabel}>Boards cleared ×{runSummary.boardClears}</Text>
+                  <Text style={styles.breakdownValue}>+{runSummary.boardClear}</Text>
+                </View>
+              )}
+              {runSummary.time > 0 && (
+                <View style={styles.breakdownRow}>
+                  <Text style={styles.breakdownLabel}>Time left</Text>
+                  <Text style={styles.breakdownValue}>+{runSummary.time}</Text>
+                </View>
+              )}
+              {runSummary.hints > 0 && (
+                <View style={styles.breakdownRow}>
+                  <Text style={styles.breakdownLabel}>Hints</Text>
+                  <Text style={[styles.breakdownValue, styles.breakdownPenalty]}>-{runSummary.hints}</Text>
+                </View>
+              )}
+              {!rankedRef.current && (
+                <Text style={styles.unrankedNote}>Offline run: not submitted to the leaderboard</Text>
+              )}
+            </View>
+          )}
+
+          {/* 排行榜按钮 */}
+          <TouchableOpacity
+            style={styles.leaderboardButton}
+            onPress={() => router.push(daily ? '/leaderboard?period=daily-challenge' : '/leaderboard')}
+          >
+            <Ionicons name="trophy" size={24} color="#FF9800" />
+          </TouchableOpacity>
+
+          {/* 每日挑战连续天数 */}
+          {daily && gameData?.dailyChallenge?.streak > 0 && (
+            <View style={styles.dailyStreakBadge}>
+              <Ionicons name="flame" size={18} color="#FF5722" />
+              <Text style={styles.dailyStreakText}>
+                {gameData.dailyChallenge.streak}-day streak
+              </Text>
+            </View>
+          )}
+
           {/* 返回主页面按钮 */}
           <TouchableOpacity 
             style={[
@@ -792,6 +1141,66 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#F7F2E9',
   },
+  // 变体选择样式
+  variantHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginTop: 50,
+  },
+  variantHeaderTitle: {
+    marginLeft: 12,
+    fontSize: 22,
+    fontWeight: '800',
+    color: '#2D6B4A',
+  },
+  variantList: {
+    paddingHorizontal: 16,
+  },
+  variantCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  variantInfo: {
+    flex: 1,
+  },
+  variantName: {
+    fontSize: 18,
+    fontWeight: '800',
+    color: '#333',
+  },
+  variantDescription: {
+    marginTop: 4,
+    fontSize: 13,
+    color: '#666',
+  },
+  variantBest: {
+    alignItems: 'flex-end',
+    marginLeft: 12,
+  },
+  variantBestLabel: {
+    fontSize: 12,
+    color: '#999',
+  },
+  variantBestValue: {
+    fontSize: 20,
+    fontWeight: '900',
+    color: '#FF7043',
+  },
+  variantBestTitle: {
+    fontSize: 11,
+    color: '#2D6B4A',
+  },
   // HUD样式
   hud: {
     flexDirection: 'row',
@@ -866,6 +1275,72 @@ const styles = StyleSheet.create({
     fontWeight: '800',
     fontVariant: ['tabular-nums'],
   },
+  hudLeftButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  pauseButton: {
+    marginLeft: 8,
+  },
+  // 暂停遮罩样式
+  pauseOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#2D6B4A',
+    zIndex: 10,
+  },
+  pauseTitle: {
+    fontSize: 36,
+    fontWeight: '900',
+    color: '#FFFFFF',
+  },
+  pauseTimeText: {
+    marginTop: 8,
+    fontSize: 16,
+    color: 'rgba(255, 255, 255, 0.8)',
+  },
+  resumeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 32,
+    paddingHorizontal: 32,
+    paddingVertical: 14,
+    borderRadius: 28,
+    backgroundColor: '#FF7043',
+  },
+  resumeButtonText: {
+    marginLeft: 8,
+    fontSize: 18,
+    fontWeight: '800',
+    color: '#FFFFFF',
+  },
+  quitButton: {
+    marginTop: 16,
+    padding: 12,
+  },
+  quitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  resumeCountdownText: {
+    fontSize: 96,
+    fontWeight: '900',
+    color: '#FFD700',
+  },
+  comboText: {
+    marginLeft: 6,
+    color: '#FFD54F',
+    fontSize: 14,
+    fontWeight: '900',
+  },
+  targetText: {
+    marginLeft: 6,
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '700',
+  },
   progressContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -987,6 +1462,95 @@ const styles = StyleSheet.create({
     fontSize: 20,
     color: '#FFD700', // 金色粒子
   },
+  leaderboardButton: {
+    position: 'absolute',
+    top: 20,
+    right: 20,
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#FFFFFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 4,
+    zIndex: 10,
+  },
+  resultTitleBadge: {
+    position: 'absolute',
+    top: 70,
+    alignSelf: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    zIndex: 3,
+  },
+  resultTitleText: {
+    fontSize: 15,
+    fontWeight: '800',
+    color: '#5D4037',
+  },
+  breakdownCard: {
+    position: 'absolute',
+    top: '62%',
+    alignSelf: 'center',
+    width: '70%',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    zIndex: 3,
+  },
+  breakdownRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  breakdownLabel: {
+    fontSize: 13,
+    color: '#5D4037',
+  },
+  breakdownValue: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+  },
+  breakdownPenalty: {
+    color: '#C62828',
+  },
+  unrankedNote: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#8D6E63',
+    textAlign: 'center',
+  },
+  dailyStreakBadge: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#FFFFFF',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 4,
+    zIndex: 10,
+  },
+  dailyStreakText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#E65100',
+  },
   returnButton: {
     position: 'absolute',
     bottom: 20,
@@ -1102,6 +1666,26 @@ const styles = StyleSheet.create({
     alignItems: 'flex-start',
     marginLeft: 0,
   },
+  hudRight: {
+    alignItems: 'flex-end',
+    zIndex: 2,
+  },
+  hintButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 2,
+    padding: 8,
+    backgroundColor: '#FFD700',
+    borderRadius: 8,
+  },
+  hintButtonDisabled: {
+    backgroundColor: '#B0BEC5',
+  },
+  hintButtonCost: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#121417',
+  },
   backButton: {
     padding: 8,
     backgroundColor: '#FFD700', // 黄色背景
@@ -19,14 +19,15 @@ import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context'
 import { useGameStore } from '../store/gameStore';
 import { STAGE_NAMES } from '../utils/stageNames';
 import StorageUtils from '../utils/StorageUtils';
+import { getImageSource } from '../utils/assets';
+import { getCurrentDailyStreak, getUTCDateKey } from '../../shared/challengeRules';
 
-const HERO_URL = 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/maintabletabl1end.webp';
 
 const { height } = Dimensions.get('window');
 const MAX_PANEL_H = Math.floor(height * 0.55); // 半屏左右
 
 export default function Home() {
-  const { gameData, markSimpleRulesSeen } = useGameStore();
+  const { gameData, levelSessions, markSimpleRulesSeen } = useGameStore();
   const [latestLevelName, setLatestLevelName] = useState('Baby Steps');
   const [iq, setIq] = useState(0);
   const [showGuide, setShowGuide] = useState(false);
@@ -35,6 +36,9 @@ export default function Home() {
   const [showSimpleRules, setShowSimpleRules] = useState(false);
   const [showOnboarding, setShowOnboarding] = useState(false);
   const [showButtonGuide, setShowButtonGuide] = useState(false);
+  const dailyStreak = getCurrentDailyStreak(gameData?.dailyChallenge, getUTCDateKey());
+  // 最近一次中途保存的多页关卡
+  const latestSession = Object.values(levelSessions || {}).sort((a, b) => b.savedAt - a.savedAt)[0] || null;
   const [levelButtonPosition, setLevelButtonPosition] = useState(null);
   const [challengeButtonPosition, setChallengeButtonPosition] = useState(null);
   const [levelListButtonPosition, setLevelListButtonPosition] = useState(null);
@@ -320,7 +324,7 @@ export default function Home() {
       
       {/* 背景层 - 禁用指针事件 */}
       <ImageBackground
-        source={{ uri: HERO_URL }}
+        source={getImageSource('hero')}
         style={styles.backgroundImage}
         imageStyle={styles.backgroundImageStyle}
         pointerEvents="none"
@@ -348,6 +352,21 @@ export default function Home() {
           </View>
           
           <View style={styles.topRightButtons}>
+            {/* 每日挑战（角标为连续天数） */}
+            <TouchableOpacity
+              style={styles.topButton}
+              onPress={() => press('/daily')}
+              accessibilityLabel="每日挑战"
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={styles.topButtonText}>📅</Text>
+              {dailyStreak > 0 && (
+                <View style={styles.streakBadge}>
+                  <Text style={styles.streakBadgeText}>{dailyStreak}</Text>
+                </View>
+              )}
+            </TouchableOpacity>
+
             <TouchableOpacity
               style={styles.topButton}
               onPress={() => router.push('/(tabs)/profile')}
@@ -364,6 +383,21 @@ export default function Home() {
           <Text style={styles.infoText}>Current Level: {latestLevelName}</Text>
           <Text style={styles.infoText}>Current IQ: {iq}</Text>
         </View>
+
+        {/* 继续中途保存的多页关卡 */}
+        {latestSession && (
+          <TouchableOpacity
+            style={styles.resumeButton}
+            disabled={showButtonGuide}
+            onPress={() => press(`/details/${latestSession.level}?resume=1`)}
+            accessibilityRole="button"
+            accessibilityLabel="Resume"
+          >
+            <Text style={styles.resumeButtonText}>
+              ▶ Resume Level {latestSession.level} · Page {latestSession.completedPages + 1}/{latestSession.totalPages}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* 游戏模式按钮 */}
@@ -546,10 +580,10 @@ export default function Home() {
                     level > (gameData?.maxLevel || 1) && styles.lockedLevelButton
                   ]}
                   onPress={() => {
-                    // 只能点击已解锁的关卡
+                    // 只能点击已解锁的关卡；有中途进度时直接继续
                     if (level <= (gameData?.maxLevel || 1) + 1) {
                       setShowLevelsList(false);
-                      router.push(`/details/${level}`);
+                      router.push(levelSessions?.[level] ? `/details/${level}?resume=1` : `/details/${level}`);
                     }
                   }}
                   disabled={level > (gameData?.maxLevel || 1) + 1}
@@ -561,6 +595,7 @@ export default function Home() {
                   ]}>
                     {level}
                   </Text>
+                  {levelSessions?.[level] && <View style={styles.resumeDot} />}
                 </TouchableOpacity>
               ))}
             </ScrollView>
@@ -667,6 +702,23 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: 8,
   },
+  streakBadge: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    minWidth: 20,
+    height: 20,
+    borderRadius: 10,
+    paddingHorizontal: 4,
+    backgroundColor: '#FF5722',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  streakBadgeText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: 'white',
+  },
   gameTitle: {
     fontSize: 28,
     fontWeight: '900',
@@ -702,6 +754,23 @@ const styles = StyleSheet.create({
     textShadowRadius: 3,
     marginBottom: 4,
   },
+  resumeButton: {
+    position: 'absolute',
+    left: '50%',
+    top: '50%',
+    width: 260,
+    transform: [{ translateX: -130 }, { translateY: -205 }], // 当前关卡信息上方
+    paddingVertical: 8,
+    borderRadius: 18,
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    alignItems: 'center',
+    zIndex: 2,
+  },
+  resumeButtonText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#E65100',
+  },
   // 游戏模式按钮容器
   gameModeButtons: {
     position: 'absolute',
@@ -944,6 +1013,17 @@ const styles = StyleSheet.create({
     gap: 10,
     paddingBottom: 20,
   },
+  resumeDot: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#4CAF50',
+    borderWidth: 1,
+    borderColor: '#fff',
+  },
   levelButton: {
     width: 50,
     height: 50,
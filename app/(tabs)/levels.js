@@ -19,6 +19,7 @@ import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGameStore } from '../store/gameStore';
 import { STAGE_NAMES, STAGE_GROUPS, getStageGroup } from '../utils/stageNames';
+import { MAX_STARS, formatDuration } from '../utils/levelStats';
 import * as Haptics from 'expo-haptics';
 
 const FILTER_CHIPS = [
@@ -37,7 +38,7 @@ const FILTER_CHIPS = [
 ];
 
 export default function LevelsScreen() {
-  const { gameData } = useGameStore();
+  const { gameData, levelSessions, levelStats } = useGameStore();
   const [selectedFilter, setSelectedFilter] = useState('all');
   const insets = useSafeAreaInsets();
   
@@ -59,6 +60,8 @@ export default function LevelsScreen() {
         isUnlocked: true, // 开放所有关卡用于测试
         isCompleted: i <= maxLevel,
         isLastPlayed: i === lastPlayedLevel,
+        session: levelSessions?.[i] || null, // 中途保存的进度
+        stats: levelStats?.[i] || null, // 星级、最佳用时等统计
       });
     }
     return levels;
@@ -66,7 +69,7 @@ export default function LevelsScreen() {
 
   const handleLevelPress = (level) => {
     if (level.isUnlocked) {
-      router.push(`/details/${level.level}`);
+      router.push(level.session ? `/details/${level.level}?resume=1` : `/details/${level.level}`);
     }
   };
 
@@ -123,6 +126,34 @@ export default function LevelsScreen() {
       ]}>
         {item.group}
       </Text>
+      {item.stats && (
+        <View style={styles.statsRow}>
+          <View style={styles.starsRow}>
+            {Array.from({ length: MAX_STARS }, (_, i) => (
+              <Ionicons
+                key={i}
+                name={i < item.stats.stars ? 'star' : 'star-outline'}
+                size={14}
+                color={i < item.stats.stars ? '#FFB300' : '#ccc'}
+              />
+            ))}
+          </View>
+          {item.stats.bestTimeMs !== null && (
+            <Text style={styles.statsText}>{formatDuration(item.stats.bestTimeMs)}</Text>
+          )}
+          <Text style={styles.statsText}>
+            {item.stats.attempts} {item.stats.attempts === 1 ? 'try' : 'tries'}
+          </Text>
+        </View>
+      )}
+      {item.session && (
+        <View style={styles.resumeBadge}>
+          <Ionicons name="play" size={12} color="#fff" />
+          <Text style={styles.resumeBadgeText}>
+            Resume · Page {item.session.completedPages + 1}/{item.session.totalPages}
+          </Text>
+        </View>
+      )}
     </TouchableOpacity>
   );
 
@@ -285,4 +316,35 @@ const styles = StyleSheet.create({
   levelGroupLocked: {
     color: '#ccc',
   },
+  statsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 6,
+  },
+  starsRow: {
+    flexDirection: 'row',
+    marginRight: 6,
+  },
+  statsText: {
+    marginRight: 6,
+    fontSize: 11,
+    color: '#888',
+  },
+  resumeBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    backgroundColor: '#4CAF50',
+  },
+  resumeBadgeText: {
+    marginLeft: 4,
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#fff',
+  },
 });
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * Profile & Settings Screen - User preferences and app settings
  * Purpose: Manage user profile, app settings, and data
- * Extend: Add themes, export/import, achievements, or social features
+ * Extend: Add themes or social features
  */
 
 import React, { useState, useRef } from 'react';
@@ -14,13 +14,20 @@ import {
   Alert,
   ImageBackground,
   Modal,
-  Animated
+  Animated,
+  TextInput,
+  Share
 } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGameStore } from '../store/gameStore';
 import StorageUtils from '../utils/StorageUtils';
+import { API_BASE_URL } from '../utils/api';
+import { DEFAULT_AUDIO_SETTINGS } from '../utils/audioManager';
+import { getIQTitle } from '../../shared/challengeRules';
+import { ACHIEVEMENTS } from '../utils/achievements';
+import { createSaveCode, parseSaveCode, diffSaveData } from '../utils/saveCode';
 import * as Haptics from 'expo-haptics';
 
 export default function ProfileScreen() {
@@ -28,8 +35,15 @@ export default function ProfileScreen() {
     userData, 
     gameData, 
     settings, 
+    syncQueue,
+    syncStatus,
+    achievements,
+    levelStats,
     updateSettings, 
     resetDemoData,
+    importSaveData,
+    requestEmailLink,
+    confirmEmailLink,
     loadSettingsFromDate,
     saveSettingsToDate
   } = useGameStore();
@@ -37,6 +51,16 @@ export default function ProfileScreen() {
   const backButtonScale = useRef(new Animated.Value(1)).current;
   const insets = useSafeAreaInsets();
 
+  // 存档码弹窗：'export' | 'import' | null
+  const [saveModal, setSaveModal] = useState(null);
+  const [exportCode, setExportCode] = useState('');
+  const [importText, setImportText] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [importPreview, setImportPreview] = useState(null); // { data, version, exportedAt, diff }
+
+  // 关联邮箱弹窗：step 为 'email'（输入邮箱）或 'code'（输入验证码）
+  const [emailLink, setEmailLink] = useState(null); // { step, email, code, error, busy }
+
 
   const handleResetOnboarding = async () => {
     Alert.alert(
@@ -120,10 +144,102 @@ export default function ProfileScreen() {
     );
   };
 
+  const handleExportPress = () => {
+    setExportCode(createSaveCode({ userData, gameData, settings, levelStats, achievements }));
+    setSaveModal('export');
+  };
+
+  const handleShareSaveCode = async () => {
+    try {
+      await Share.share({ message: exportCode });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to share the save code. You can still copy it from the box.');
+    }
+  };
+
+  const handleImportPress = () => {
+    setImportText('');
+    setImportError(null);
+    setImportPreview(null);
+    setSaveModal('import');
+  };
+
+  // 校验存档码并生成与本机数据的对比
+  const handleCheckSaveCode = () => {
+    const result = parseSaveCode(importText);
+    if (!result.ok) {
+      setImportError(result.error);
+      return;
+    }
+    setImportError(null);
+    setImportPreview({
+      data: result.data,
+      version: result.version,
+      exportedAt: result.exportedAt,
+      diff: diffSaveData({ userData, gameData, levelStats, achievements }, result.data),
+    });
+  };
+
+  const handleConfirmImport = async () => {
+    const success = await importSaveData(importPreview.data);
+    setSaveModal(null);
+    setImportPreview(null);
+    if (success) {
+      Alert.alert('Success', 'Your progress has been imported.', [
+        { text: 'OK', onPress: () => router.replace('/(tabs)/') },
+      ]);
+    } else {
+      Alert.alert('Error', 'Failed to import progress, please try again.');
+    }
+  };
+
+  const closeSaveModal = () => {
+    setSaveModal(null);
+    setImportPreview(null);
+  };
+
+  const handleLinkEmailPress = () => {
+    setEmailLink({ step: 'email', email: userData?.email || '', code: '', error: null, busy: false });
+  };
+
+  const updateEmailLink = (changes) => setEmailLink(current => ({ ...current, ...changes }));
+
+  const handleSendCode = async () => {
+    updateEmailLink({ busy: true, error: null });
+    const result = await requestEmailLink(emailLink.email.trim());
+    updateEmailLink(result.ok
+      ? { busy: false, step: 'code', code: '' }
+      : { busy: false, error: result.error });
+  };
+
+  const handleVerifyCode = async () => {
+    updateEmailLink({ busy: true, error: null });
+    const result = await confirmEmailLink(emailLink.email.trim(), emailLink.code.trim());
+    if (!result.ok) {
+      updateEmailLink({ busy: false, error: result.error });
+      return;
+    }
+    setEmailLink(null);
+    Alert.alert(
+      result.merged ? 'Welcome Back' : 'Email Linked',
+      result.merged
+        ? 'This device is now signed in to your account, and the progress from both has been combined.'
+        : 'Use this email to recover your progress on a new device or after reinstalling.'
+    );
+  };
+
   const handleAboutPress = () => {
     router.push('/about');
   };
 
+  const handleReplaysPress = () => {
+    router.push('/replay');
+  };
+
+  const handleLeaderboardPress = () => {
+    router.push('/leaderboard');
+  };
+
   const handleLoadYesterdaySettings = async () => {
     const yesterday = new Date();
     yesterday.setDate(yesterday.getDate() - 1);
@@ -173,19 +289,6 @@ export default function ProfileScreen() {
     );
   };
 
-  const getIQTitle = (iq) => {
-    if (iq >= 145) return 'Cosmic Genius';
-    if (iq >= 130) return 'Puzzle Master';
-    if (iq >= 115) return 'Rising Star';
-    if (iq >= 100) return 'Everyday Scholar';
-    if (iq >= 85) return 'Hardworking Student';
-    if (iq >= 70) return 'Slow but Steady';
-    if (iq >= 65) return 'Little Explorer';
-    if (iq >= 55) return 'Learning Hatchling';
-    if (iq >= 40) return 'Tiny Adventurer';
-    return 'Newborn Dreamer';
-  };
-
   // 自定义Toggle组件，匹配参考图风格
   const renderToggle = (value, onPress) => (
     <TouchableOpacity
@@ -197,6 +300,23 @@ export default function ProfileScreen() {
     </TouchableOpacity>
   );
 
+  // 音量调节（0%~100%，每档10%）
+  const renderVolume = (value, onChange) => {
+    const percent = Math.round(value * 100);
+    const step = (delta) => onChange(Math.min(100, Math.max(0, percent + delta)) / 100);
+    return (
+      <View style={styles.volumeControl}>
+        <TouchableOpacity onPress={() => step(-10)} disabled={percent <= 0}>
+          <Ionicons name="remove-circle" size={28} color={percent <= 0 ? '#D2B48C' : '#8B4513'} />
+        </TouchableOpacity>
+        <Text style={styles.volumeText}>{percent}%</Text>
+        <TouchableOpacity onPress={() => step(10)} disabled={percent >= 100}>
+          <Ionicons name="add-circle" size={28} color={percent >= 100 ? '#D2B48C' : '#8B4513'} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
 
   const handleBackPressIn = () => {
     // 触觉反馈
@@ -294,6 +414,70 @@ export default function ProfileScreen() {
                 <Text style={styles.statValue}>{gameData?.splitItems || 0}</Text>
               </View>
             </View>
+            
+            <View style={styles.statRow}>
+              <Ionicons name="bulb" size={24} color="#FFC107" />
+              <View style={styles.statContent}>
+                <Text style={styles.statLabel}>Hint Items</Text>
+                <Text style={styles.statValue}>{gameData?.hintItems || 0}</Text>
+              </View>
+            </View>
+
+            {API_BASE_URL && (
+              <View style={styles.statRow}>
+                <Ionicons name="cloud-upload" size={24} color="#607D8B" />
+                <View style={styles.statContent}>
+                  <Text style={styles.statLabel}>Cloud Sync</Text>
+                  <Text style={styles.statValue}>
+                    {syncQueue.length > 0 ? `${syncQueue.length} pending` : 'Up to date'}
+                  </Text>
+                  {syncStatus === 'offline' && (
+                    <Text style={styles.statSubtitle}>Offline, will retry automatically</Text>
+                  )}
+                  {syncStatus === 'signedOut' && (
+                    <Text style={styles.statSubtitle}>
+                      Paused: this device was signed out. Link your email to recover your account.
+                    </Text>
+                  )}
+                </View>
+              </View>
+            )}
+          </View>
+        </View>
+
+        {/* Achievements - 已解锁的在前 */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>
+            Achievements ({Object.keys(achievements?.unlocked || {}).length}/{ACHIEVEMENTS.length})
+          </Text>
+
+          <View style={styles.statCard}>
+            {[...ACHIEVEMENTS]
+              .sort((a, b) => (achievements?.unlocked?.[b.id] ? 1 : 0) - (achievements?.unlocked?.[a.id] ? 1 : 0))
+              .map(achievement => {
+                const unlockedAt = achievements?.unlocked?.[achievement.id];
+                return (
+                  <View
+                    key={achievement.id}
+                    style={[styles.statRow, !unlockedAt && styles.achievementLocked]}
+                  >
+                    <Ionicons
+                      name={unlockedAt ? achievement.icon : 'lock-closed'}
+                      size={24}
+                      color={unlockedAt ? '#FFB300' : '#C8B8A8'}
+                    />
+                    <View style={styles.statContent}>
+                      <Text style={styles.statLabel}>{achievement.title}</Text>
+                      <Text style={styles.achievementDescription}>{achievement.description}</Text>
+                      {unlockedAt && (
+                        <Text style={styles.statSubtitle}>
+                          Unlocked {new Date(unlockedAt).toLocaleDateString()}
+                        </Text>
+                      )}
+                    </View>
+                  </View>
+                );
+              })}
           </View>
         </View>
 
@@ -316,6 +500,20 @@ export default function ProfileScreen() {
                 }
               )}
             </View>
+
+            {/* Sound Effects Volume */}
+            {settings?.soundEnabled && (
+              <View style={styles.settingRow}>
+                <View style={styles.settingInfo}>
+                  <Ionicons name="volume-medium" size={24} color="#8B4513" />
+                  <Text style={styles.settingLabel}>Effects Volume</Text>
+                </View>
+                {renderVolume(
+                  settings?.sfxVolume ?? DEFAULT_AUDIO_SETTINGS.sfxVolume,
+                  (sfxVolume) => updateSettings({ sfxVolume })
+                )}
+              </View>
+            )}
             
             {/* Music */}
             <View style={styles.settingRow}>
@@ -328,6 +526,20 @@ export default function ProfileScreen() {
                 () => updateSettings({ musicEnabled: !(settings?.musicEnabled || false) })
               )}
             </View>
+
+            {/* Music Volume */}
+            {settings?.musicEnabled && (
+              <View style={styles.settingRow}>
+                <View style={styles.settingInfo}>
+                  <Ionicons name="musical-note" size={24} color="#8B4513" />
+                  <Text style={styles.settingLabel}>Music Volume</Text>
+                </View>
+                {renderVolume(
+                  settings?.musicVolume ?? DEFAULT_AUDIO_SETTINGS.musicVolume,
+                  (musicVolume) => updateSettings({ musicVolume })
+                )}
+              </View>
+            )}
             
             {/* Haptic Feedback */}
             <View style={styles.settingRow}>
@@ -359,6 +571,66 @@ export default function ProfileScreen() {
               </TouchableOpacity>
             </View>
 
+            {/* Leaderboard */}
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Ionicons name="trophy" size={24} color="#8B4513" />
+                <Text style={styles.settingLabel}>Leaderboard</Text>
+              </View>
+              <TouchableOpacity onPress={handleLeaderboardPress}>
+                <Ionicons name="chevron-forward" size={24} color="#8B4513" />
+              </TouchableOpacity>
+            </View>
+
+            {/* Replays */}
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Ionicons name="film" size={24} color="#8B4513" />
+                <Text style={styles.settingLabel}>Replays</Text>
+              </View>
+              <TouchableOpacity onPress={handleReplaysPress}>
+                <Ionicons name="chevron-forward" size={24} color="#8B4513" />
+              </TouchableOpacity>
+            </View>
+
+            {/* Link Email - 账号找回和多设备 */}
+            {API_BASE_URL && (
+              <View style={styles.settingRow}>
+                <View style={styles.settingInfo}>
+                  <Ionicons name="mail" size={24} color="#8B4513" />
+                  <View style={styles.settingTextGroup}>
+                    <Text style={styles.settingLabel}>{userData?.email ? 'Linked Email' : 'Link Email'}</Text>
+                    {userData?.email && <Text style={styles.settingDetail}>{userData.email}</Text>}
+                  </View>
+                </View>
+                <TouchableOpacity onPress={handleLinkEmailPress}>
+                  <Ionicons name="chevron-forward" size={24} color="#8B4513" />
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Export Progress */}
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Ionicons name="share-outline" size={24} color="#8B4513" />
+                <Text style={styles.settingLabel}>Export Progress</Text>
+              </View>
+              <TouchableOpacity onPress={handleExportPress}>
+                <Ionicons name="chevron-forward" size={24} color="#8B4513" />
+              </TouchableOpacity>
+            </View>
+
+            {/* Import Progress */}
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Ionicons name="download-outline" size={24} color="#8B4513" />
+                <Text style={styles.settingLabel}>Import Progress</Text>
+              </View>
+              <TouchableOpacity onPress={handleImportPress}>
+                <Ionicons name="chevron-forward" size={24} color="#8B4513" />
+              </TouchableOpacity>
+            </View>
+
             {/* View Onboarding Guide Again */}
             <View style={styles.settingRow}>
               <View style={styles.settingInfo}>
@@ -397,6 +669,167 @@ export default function ProfileScreen() {
           </ScrollView>
         </View>
 
+        {/* 关联邮箱 */}
+        <Modal
+          visible={emailLink !== null}
+          transparent
+          animationType="fade"
+          onRequestClose={() => setEmailLink(null)}
+        >
+          <View style={styles.modalOverlay}>
+            {emailLink && (
+              <View style={styles.modalCard}>
+                <Text style={styles.modalTitle}>Link Email</Text>
+                <Text style={styles.modalText}>
+                  {emailLink.step === 'email'
+                    ? 'We will send a 6-digit code to this email. If it already belongs to your account on another device, both devices will share the same progress.'
+                    : `Enter the code sent to ${emailLink.email.trim()}.`}
+                </Text>
+                {emailLink.step === 'email' ? (
+                  <TextInput
+                    style={styles.textField}
+                    value={emailLink.email}
+                    onChangeText={email => updateEmailLink({ email })}
+                    placeholder="you@example.com"
+                    placeholderTextColor="#C8B8A8"
+                    keyboardType="email-address"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                ) : (
+                  <TextInput
+                    style={styles.textField}
+                    value={emailLink.code}
+                    onChangeText={code => updateEmailLink({ code })}
+                    placeholder="123456"
+                    placeholderTextColor="#C8B8A8"
+                    keyboardType="number-pad"
+                    maxLength={6}
+                  />
+                )}
+                {emailLink.error && <Text style={styles.importError}>{emailLink.error}</Text>}
+                <View style={styles.modalButtons}>
+                  <TouchableOpacity
+                    style={styles.modalButton}
+                    onPress={() => (emailLink.step === 'code'
+                      ? updateEmailLink({ step: 'email', error: null })
+                      : setEmailLink(null))}
+                  >
+                    <Text style={styles.modalButtonText}>{emailLink.step === 'code' ? 'Back' : 'Cancel'}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.modalButton, styles.modalButtonPrimary, emailLink.busy && styles.modalButtonDisabled]}
+                    onPress={emailLink.step === 'email' ? handleSendCode : handleVerifyCode}
+                    disabled={emailLink.busy || (emailLink.step === 'email' ? !emailLink.email.trim() : emailLink.code.length !== 6)}
+                  >
+                    <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>
+                      {emailLink.step === 'email' ? 'Send Code' : 'Verify'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+          </View>
+        </Modal>
+
+        {/* 存档码导出/导入 */}
+        <Modal
+          visible={saveModal !== null}
+          transparent
+          animationType="fade"
+          onRequestClose={closeSaveModal}
+        >
+          <View style={styles.modalOverlay}>
+            <View style={styles.modalCard}>
+              {saveModal === 'export' && (
+                <>
+                  <Text style={styles.modalTitle}>Export Progress</Text>
+                  <Text style={styles.modalText}>
+                    Keep this code somewhere safe, then use Import Progress on another device to continue.
+                  </Text>
+                  <ScrollView style={styles.saveCodeBox}>
+                    <Text style={styles.saveCodeText} selectable>{exportCode}</Text>
+                  </ScrollView>
+                  <View style={styles.modalButtons}>
+                    <TouchableOpacity style={styles.modalButton} onPress={closeSaveModal}>
+                      <Text style={styles.modalButtonText}>Close</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.modalButtonPrimary]}
+                      onPress={handleShareSaveCode}
+                    >
+                      <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>Share</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              )}
+
+              {saveModal === 'import' && !importPreview && (
+                <>
+                  <Text style={styles.modalTitle}>Import Progress</Text>
+                  <Text style={styles.modalText}>Paste a save code exported from KiderCrash.</Text>
+                  <TextInput
+                    style={styles.saveCodeInput}
+                    value={importText}
+                    onChangeText={setImportText}
+                    placeholder="KCSAVE-..."
+                    placeholderTextColor="#C8B8A8"
+                    multiline
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                  {importError && <Text style={styles.importError}>{importError}</Text>}
+                  <View style={styles.modalButtons}>
+                    <TouchableOpacity style={styles.modalButton} onPress={closeSaveModal}>
+                      <Text style={styles.modalButtonText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.modalButtonPrimary]}
+                      onPress={handleCheckSaveCode}
+                      disabled={!importText.trim()}
+                    >
+                      <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>Check</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              )}
+
+              {saveModal === 'import' && importPreview && (
+                <>
+                  <Text style={styles.modalTitle}>Replace Progress?</Text>
+                  <Text style={styles.modalText}>
+                    Saved {importPreview.exportedAt ? new Date(importPreview.exportedAt).toLocaleString() : 'on another device'}.
+                    Your current progress on this device will be replaced.
+                  </Text>
+                  <View style={styles.diffHeader}>
+                    <Text style={styles.diffLabel} />
+                    <Text style={styles.diffValue}>This device</Text>
+                    <Text style={styles.diffValue}>Save code</Text>
+                  </View>
+                  {importPreview.diff.map(row => (
+                    <View key={row.label} style={styles.diffRow}>
+                      <Text style={styles.diffLabel}>{row.label}</Text>
+                      <Text style={styles.diffValue}>{row.current}</Text>
+                      <Text style={[styles.diffValue, row.changed && styles.diffChanged]}>{row.incoming}</Text>
+                    </View>
+                  ))}
+                  <View style={styles.modalButtons}>
+                    <TouchableOpacity style={styles.modalButton} onPress={() => setImportPreview(null)}>
+                      <Text style={styles.modalButtonText}>Back</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.modalButtonDanger]}
+                      onPress={handleConfirmImport}
+                    >
+                      <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>Replace</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              )}
+            </View>
+          </View>
+        </Modal>
+
     </SafeAreaView>
   );
 }
@@ -534,6 +967,143 @@ const styles = StyleSheet.create({
     marginTop: 4, // 增加顶部间距
     fontStyle: 'italic', // 添加斜体效果
   },
+  achievementLocked: {
+    opacity: 0.55,
+  },
+  achievementDescription: {
+    fontSize: 13,
+    color: '#A0522D',
+    marginTop: 2,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modalCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+    borderWidth: 3,
+    borderColor: '#8B4513',
+    width: '100%',
+    maxWidth: 400,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#8B4513',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  modalText: {
+    fontSize: 14,
+    color: '#8B4513',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  saveCodeBox: {
+    maxHeight: 160,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(210, 105, 30, 0.4)',
+    backgroundColor: '#F7F2E9',
+    padding: 10,
+  },
+  saveCodeText: {
+    fontSize: 12,
+    color: '#5D4037',
+    fontFamily: 'monospace',
+  },
+  saveCodeInput: {
+    height: 120,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(210, 105, 30, 0.4)',
+    backgroundColor: '#F7F2E9',
+    padding: 10,
+    fontSize: 12,
+    color: '#5D4037',
+    textAlignVertical: 'top',
+  },
+  textField: {
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(210, 105, 30, 0.4)',
+    backgroundColor: '#F7F2E9',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#5D4037',
+  },
+  importError: {
+    fontSize: 13,
+    color: '#f44336',
+    marginTop: 8,
+  },
+  diffHeader: {
+    flexDirection: 'row',
+    paddingBottom: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(210, 105, 30, 0.4)',
+  },
+  diffRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(210, 105, 30, 0.2)',
+  },
+  diffLabel: {
+    flex: 1.4,
+    fontSize: 13,
+    color: '#8B4513',
+    fontWeight: '500',
+  },
+  diffValue: {
+    flex: 1,
+    fontSize: 13,
+    color: '#8B4513',
+    textAlign: 'right',
+  },
+  diffChanged: {
+    color: '#D2691E',
+    fontWeight: 'bold',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#8B4513',
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  modalButtonPrimary: {
+    backgroundColor: '#4CAF50',
+    borderColor: '#388E3C',
+  },
+  modalButtonDanger: {
+    backgroundColor: '#f44336',
+    borderColor: '#d32f2f',
+  },
+  modalButtonDisabled: {
+    opacity: 0.6,
+  },
+  modalButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#8B4513',
+  },
+  modalButtonPrimaryText: {
+    color: '#FFFFFF',
+  },
   settingsCard: {
     backgroundColor: 'rgba(255, 255, 255, 0.9)', // 更透明的背景，让背景图显示
     borderRadius: 16,
@@ -563,6 +1133,15 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     flex: 1,
   },
+  settingTextGroup: {
+    flex: 1,
+  },
+  settingDetail: {
+    fontSize: 13,
+    color: '#A0522D',
+    marginLeft: 12,
+    marginTop: 2,
+  },
   settingLabel: {
     fontSize: 16, // 稍微增大字体
     color: '#8B4513', // 使用主页面的棕色
@@ -603,6 +1182,17 @@ const styles = StyleSheet.create({
   customToggleThumbActive: {
     alignSelf: 'flex-end',
   },
+  volumeControl: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  volumeText: {
+    width: 48,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#8B4513',
+    textAlign: 'center',
+  },
   actionButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -4,32 +4,46 @@
  * Extend: Add global providers, error boundaries, or app-wide configurations
  */
 
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { Stack } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
 import * as SplashScreen from 'expo-splash-screen';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
-import { View, Text } from 'react-native';
+import { View, Text, AppState } from 'react-native';
 import { useGameStore } from './store/gameStore';
+import { preloadAssets } from './utils/assets';
 
 // Prevent the splash screen from auto-hiding
 SplashScreen.preventAutoHideAsync();
 
 export default function RootLayout() {
   const { initializeApp, isLoading, error } = useGameStore();
+  const [assetsReady, setAssetsReady] = useState(false);
 
   useEffect(() => {
     initializeApp();
+    // 本地图片/音效预加载完成前保持启动画面
+    preloadAssets().finally(() => setAssetsReady(true));
   }, []);
 
+  // 回到前台时提交离线期间排队的同步
   useEffect(() => {
-    if (!isLoading) {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        useGameStore.getState().flushSyncQueue();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  useEffect(() => {
+    if (!isLoading && assetsReady) {
       // Hide splash screen when app is ready
       SplashScreen.hideAsync();
     }
-  }, [isLoading]);
+  }, [isLoading, assetsReady]);
 
-  if (isLoading) {
+  if (isLoading || !assetsReady) {
     return (
       <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#f0f8ff' }}>
         <Text style={{ fontSize: 18, color: '#666' }}>Loading...</Text>
@@ -63,6 +77,15 @@ export default function RootLayout() {
           }}
         />
         <Stack.Screen name="about" />
+        <Stack.Screen
+          name="daily"
+          options={{
+            gestureEnabled: false,
+          }}
+        />
+        <Stack.Screen name="leaderboard" />
+        <Stack.Screen name="replay/index" />
+        <Stack.Screen name="replay/[id]" />
         <Stack.Screen name="+not-found" />
       </Stack>
       <StatusBar style="auto" />
@@ -0,0 +1,115 @@
+/**
+ * Achievement Toast Component - 成就解锁提示
+ * Purpose: 叠加在棋盘上方，依次显示 gameStore.achievementToasts 中新解锁的成就，显示后自动消失
+ */
+
+import React, { useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  Animated,
+  StyleSheet
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useGameStore } from '../store/gameStore';
+
+// 每条提示的停留时间
+const TOAST_DURATION = 2500;
+
+const AchievementToast = ({ top = 120 }) => {
+  const toast = useGameStore(state => state.achievementToasts[0]);
+  const dismissAchievementToast = useGameStore(state => state.dismissAchievementToast);
+  const translateY = useRef(new Animated.Value(-120)).current;
+
+  useEffect(() => {
+    if (!toast) return;
+
+    translateY.setValue(-120);
+    const animation = Animated.sequence([
+      Animated.spring(translateY, {
+        toValue: 0,
+        friction: 6,
+        useNativeDriver: true,
+      }),
+      Animated.delay(TOAST_DURATION),
+      Animated.timing(translateY, {
+        toValue: -120,
+        duration: 250,
+        useNativeDriver: true,
+      }),
+    ]);
+    animation.start(({ finished }) => {
+      if (finished) dismissAchievementToast();
+    });
+    return () => animation.stop();
+  }, [toast]);
+
+  if (!toast) return null;
+
+  return (
+    <Animated.View
+      style={[styles.container, { top, transform: [{ translateY }] }]}
+      pointerEvents="none"
+    >
+      <View style={styles.iconContainer}>
+        <Ionicons name={toast.icon} size={24} color="#FFD700" />
+      </View>
+      <View style={styles.textContainer}>
+        <Text style={styles.label}>Achievement unlocked</Text>
+        <Text style={styles.title}>{toast.title}</Text>
+        <Text style={styles.description} numberOfLines={1}>{toast.description}</Text>
+      </View>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 16,
+    backgroundColor: 'rgba(51, 33, 20, 0.92)',
+    borderWidth: 2,
+    borderColor: '#FFD700',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 10,
+    zIndex: 100,
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(255, 215, 0, 0.15)',
+  },
+  textContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  label: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#FFD700',
+    textTransform: 'uppercase',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  description: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.8)',
+  },
+});
+
+export default AchievementToast;
@@ -3,8 +3,8 @@ import React, { useCallback, useMemo, useRef, useState } from 'react';
 import {
   View, ImageBackground, Text, StyleSheet, PanResponder, Alert, Pressable
 } from 'react-native';
+import { getImageSource } from '../utils/assets';
 
-const POSTER_URI = 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/levelstart.webp';
 
 const initBoxes = [
   // 顶部胶囊（上一关/本关取决于你需求，这里先设 current）
@@ -94,7 +94,7 @@ export default function DraggableLevelNamePlacers({
   return (
     <View style={styles.wrap}>
       <ImageBackground
-        source={{ uri: POSTER_URI }}
+        source={getImageSource('levelStart')}
         resizeMode="contain"
         style={styles.bg}
         onLayout={onBgLayout}
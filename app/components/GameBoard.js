@@ -16,7 +16,6 @@ import {
   findNodeHandle,
   InteractionManager
 } from 'react-native';
-import { Audio } from 'expo-av';
 
 const snap = v => PixelRatio.roundToNearestPixel(v);
 const measureInWindowAsync = ref =>
@@ -90,6 +89,7 @@ async function waitForStableTile(measureFn, {
 import * as Haptics from 'expo-haptics';
 import { hasValidCombinations } from '../utils/gameLogic';
 import RescueModal from './RescueModal';
+import { useGameStore } from '../store/gameStore';
 
 // 仅开发环境开启
 const __LOG_TILE_OFFSET__ = __DEV__;
@@ -125,168 +125,37 @@ const GameBoard = forwardRef((props, ref) => {
     layoutConfig, // 新增：布局配置
     currentPage, // 新增：当前页面
     totalPages, // 新增：总页数
+    hintRect, // 提示矩形 { minRow, minCol, maxRow, maxCol }
+    onSelectionComplete, // 每次框选结束回调（用于录像）
   } = props;
   
   const DEBUG = true;
   
-  // 音效引用
-  const soundRef = useRef(null);
-  const itemSoundRef = useRef(null);
-  const endSoundRef = useRef(null);
+  // 音效由全局音频服务管理（开关和音量来自设置）
+  const { loadSounds, unloadSounds, playSound } = useGameStore.getState();
 
-  // 加载音效（带备选方案）
   useEffect(() => {
-    const loadSounds = async () => {
-      try {
-        console.log('🎵 开始加载音效文件...');
-        
-        // 设置音频模式
-        await Audio.setAudioModeAsync({
-          allowsRecordingIOS: false,
-          staysActiveInBackground: false,
-          playsInSilentModeIOS: true,
-          shouldDuckAndroid: true,
-          playThroughEarpieceAndroid: false
-        });
-        
-        // 加载消除音效
-        console.log('🎵 加载消除音效: clearcombo.mp3');
-        try {
-          const { sound: clearSound } = await Audio.Sound.createAsync(
-            { uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/clearcombo.mp3' }
-          );
-          soundRef.current = clearSound;
-          console.log('✅ 消除音效加载成功');
-        } catch (clearError) {
-          console.warn('⚠️ 消除音效加载失败:', clearError);
-        }
-        
-        // 加载道具音效
-        console.log('🎵 加载道具音效: changesplit.mp3');
-        try {
-          const { sound: itemSound } = await Audio.Sound.createAsync(
-            { uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/changesplit.mp3' }
-          );
-          itemSoundRef.current = itemSound;
-          console.log('✅ 道具音效加载成功');
-        } catch (itemError) {
-          console.warn('⚠️ 道具音效加载失败:', itemError);
-          console.warn('错误详情:', {
-            message: itemError.message,
-            code: itemError.code,
-            name: itemError.name
-          });
-        }
-        
-        // 加载结束音效
-        console.log('🎵 加载结束音效: end.mp3');
-        try {
-          const { sound: endSound } = await Audio.Sound.createAsync(
-            { uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/end.mp3' }
-          );
-          endSoundRef.current = endSound;
-          console.log('✅ 结束音效加载成功');
-        } catch (endError) {
-          console.warn('⚠️ 结束音效加载失败:', endError);
-          console.warn('错误详情:', {
-            message: endError.message,
-            code: endError.code,
-            name: endError.name
-          });
-        }
-        
-      } catch (error) {
-        console.error('❌ 音效加载失败:', error);
-        console.error('错误详情:', {
-          message: error.message,
-          code: error.code,
-          stack: error.stack
-        });
-      }
-    };
-    
-    loadSounds();
-    
-    return () => {
-      console.log('🎵 清理音效资源...');
-      if (soundRef.current) {
-        soundRef.current.unloadAsync();
-      }
-      if (itemSoundRef.current) {
-        itemSoundRef.current.unloadAsync();
-      }
-      if (endSoundRef.current) {
-        endSoundRef.current.unloadAsync();
-      }
-    };
+    const names = ['clearCombo', 'itemUse', 'end'];
+    loadSounds(names);
+    return () => unloadSounds(names);
   }, []);
 
-  // 播放消除音效
-  const playClearSound = async () => {
-    try {
-      // 检查音效设置
-      if (!settings?.soundEnabled) {
-        console.log('🔇 音效已禁用，跳过播放');
-        return;
-      }
-      
-      if (soundRef.current) {
-        console.log('🎵 播放消除音效...');
-        await soundRef.current.replayAsync();
-        console.log('✅ 消除音效播放成功');
-      } else {
-        console.warn('⚠️ 消除音效未加载');
-      }
-    } catch (error) {
-      console.error('❌ 消除音效播放失败:', error);
-    }
-  };
+  const playClearSound = () => playSound('clearCombo');
 
-  // 播放道具音效
-  const playItemSound = async () => {
-    try {
-      // 检查音效设置
-      if (!settings?.soundEnabled) {
-        console.log('🔇 音效已禁用，跳过播放');
-        return;
-      }
-      
-      if (itemSoundRef.current) {
-        console.log('🎵 播放道具音效...');
-        await itemSoundRef.current.replayAsync();
-        console.log('✅ 道具音效播放成功');
-      } else {
-        console.warn('⚠️ 道具音效未加载');
-      }
-    } catch (error) {
-      console.error('❌ 道具音效播放失败:', error);
-    }
-  };
+  const playItemSound = () => playSound('itemUse');
 
-  // 播放结束音效
-  const playEndSound = async () => {
-    try {
-      // 检查音效设置
-      if (!settings?.soundEnabled) {
-        console.log('🔇 音效已禁用，跳过播放');
-        return;
-      }
-      
-      if (endSoundRef.current) {
-        console.log('🎵 播放结束音效...');
-        await endSoundRef.current.replayAsync();
-        console.log('✅ 结束音效播放成功');
-      } else {
-        console.warn('⚠️ 结束音效未加载');
-      }
-    } catch (error) {
-      console.error('❌ 结束音效播放失败:', error);
-    }
-  };
+  const playEndSound = () => playSound('end');
 
   // 暴露给父组件的方法
   useImperativeHandle(ref, () => ({
     playEndSound,
+    // 回放一次框选（录像播放器使用）
+    playSelection: (sel) => {
+      if (!layoutConfig) return;
+      setSelection(sel);
+      selectionOpacity.setValue(0.6);
+      handleSelectionComplete(sel);
+    },
     clearSelection: () => {
       setSelection(null);
       setHoveredTiles(new Set());
@@ -456,6 +325,29 @@ const GameBoard = forwardRef((props, ref) => {
   const explosionScale = useRef(new Animated.Value(0)).current;
   const explosionOpacity = useRef(new Animated.Value(0)).current;
   const tileScales = useRef(new Map()).current;
+  const hintOpacity = useRef(new Animated.Value(0)).current;
+
+  // 提示矩形：边框闪烁三次后保持高亮，直到父组件清除
+  useEffect(() => {
+    if (!hintRect) {
+      hintOpacity.setValue(0);
+      return;
+    }
+
+    const pulse = Animated.sequence([
+      Animated.loop(
+        Animated.sequence([
+          Animated.timing(hintOpacity, { toValue: 1, duration: 300, useNativeDriver: false }),
+          Animated.timing(hintOpacity, { toValue: 0.2, duration: 300, useNativeDriver: false }),
+        ]),
+        { iterations: 3 }
+      ),
+      Animated.timing(hintOpacity, { toValue: 1, duration: 300, useNativeDriver: false }),
+    ]);
+    pulse.start();
+
+    return () => pulse.stop();
+  }, [hintRect]);
 
   // 如果没有布局配置，显示加载状态
   if (!layoutConfig) {
@@ -545,13 +437,18 @@ const GameBoard = forwardRef((props, ref) => {
     return selectedTiles;
   };
 
-  const handleSelectionComplete = async () => {
-    if (!selection) return;
+  const handleSelectionComplete = async (sel = selection) => {
+    if (!sel) return;
 
-    const selectedTiles = getSelectedTiles();
+    const selectedTiles = getSelectedTilesForSelection(sel);
     const sum = selectedTiles.reduce((acc, tile) => acc + tile.value, 0);
     const tilePositions = selectedTiles.map(tile => ({ row: tile.row, col: tile.col }));
 
+    if (onSelectionComplete && selectedTiles.length > 0) {
+      const { startRow, startCol, endRow, endCol } = sel;
+      onSelectionComplete({ startRow, startCol, endRow, endCol, sum });
+    }
+
     if (sum === 10 && selectedTiles.length > 0) {
       // Success - create explosion effect with yellow "10" note
       if (settings?.hapticsEnabled !== false) {
@@ -559,7 +456,7 @@ const GameBoard = forwardRef((props, ref) => {
       }
       
       // Calculate explosion center position
-      const { startRow, startCol, endRow, endCol } = selection;
+      const { startRow, startCol, endRow, endCol } = sel;
       const centerRow = (startRow + endRow) / 2;
       const centerCol = (startCol + endCol) / 2;
 
@@ -822,6 +719,32 @@ const GameBoard = forwardRef((props, ref) => {
     };
   };
 
+  const getHintStyle = () => {
+    if (!hintRect) return null;
+
+    const { minRow, minCol, maxRow, maxCol } = hintRect;
+    const topLeft = layoutConfig.getTilePosition(minRow, minCol);
+    const bottomRight = layoutConfig.getTilePosition(maxRow, maxCol);
+    const inset = 3;
+
+    return {
+      position: 'absolute',
+      left: topLeft.x - inset,
+      top: topLeft.y - inset,
+      width: bottomRight.x + bottomRight.width - topLeft.x + inset * 2,
+      height: bottomRight.y + bottomRight.height - topLeft.y + inset * 2,
+      opacity: hintOpacity,
+      borderRadius: 10,
+      borderWidth: 3,
+      borderColor: '#FFD700',
+      shadowColor: '#FFD700',
+      shadowOffset: { width: 0, height: 0 },
+      shadowOpacity: 0.8,
+      shadowRadius: 8,
+      elevation: 8,
+    };
+  };
+
   const getSelectionSum = () => {
     if (!selection) return null;
     
@@ -993,6 +916,7 @@ const GameBoard = forwardRef((props, ref) => {
 
   const selectionStyle = getSelectionStyle();
   const selectionSum = getSelectionSum();
+  const hintStyle = getHintStyle();
 
   return (
     <View style={styles.fullScreenContainer} pointerEvents="box-none">
@@ -1120,6 +1044,11 @@ const GameBoard = forwardRef((props, ref) => {
               return renderTile(value, row, col);
             })}
             
+            {/* Hint outline */}
+            {hintStyle && (
+              <Animated.View style={hintStyle} pointerEvents="none" />
+            )}
+            
             {/* Selection overlay */}
             {selectionStyle && (
               <Animated.View style={selectionStyle} />
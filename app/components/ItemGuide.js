@@ -10,6 +10,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import ItemDemoBoard from './ItemDemoBoard';
+import { useGameStore } from '../store/gameStore';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -19,6 +20,14 @@ const ItemGuide = ({ visible, onClose, itemButtonPosition, splitButtonPosition,
   const [pulseAnim] = useState(new Animated.Value(1));
   const [isDemoPlaying, setIsDemoPlaying] = useState(false);
   const demoResetTimeout = useRef(null);
+
+  // 引导显示时压低背景音乐
+  useEffect(() => {
+    if (!visible) return;
+    const { duckAudio, unduckAudio } = useGameStore.getState();
+    duckAudio();
+    return () => unduckAudio();
+  }, [visible]);
   
   // 根据步骤获取当前应该高亮的按钮位置
   const getCurrentButtonPosition = () => {
@@ -13,6 +13,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import * as Haptics from 'expo-haptics';
+import { getImageSource } from '../utils/assets';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 const BACK_W = 48; // 与游戏页面返回按钮尺寸一致
@@ -52,7 +53,7 @@ const OnboardingGuide = ({ visible, onClose }) => {
   return (
     <SafeAreaView style={styles.container}>
       <ImageBackground
-        source={{ uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/one.webp' }}
+        source={getImageSource('onboardingOne')}
         style={styles.backgroundImage}
         resizeMode="contain" // 改为contain以保持图片比例
       >
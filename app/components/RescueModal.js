@@ -3,7 +3,7 @@
  * Purpose: Offer help options or return to menu when no valid moves available
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { 
   View, 
   Text, 
@@ -12,12 +12,21 @@ import {
   StyleSheet
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useGameStore } from '../store/gameStore';
 
 const RescueModal = ({ 
   visible, 
   onContinue, 
   onReturn
 }) => {
+  // 弹窗显示时压低背景音乐
+  useEffect(() => {
+    if (!visible) return;
+    const { duckAudio, unduckAudio } = useGameStore.getState();
+    duckAudio();
+    return () => unduckAudio();
+  }, [visible]);
+
   return (
     <Modal 
       visible={visible} 
@@ -17,6 +17,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
+import { getImageSource } from '../utils/assets';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const TOPBAR_HEIGHT = Platform.OS === 'ios' ? 88 : 72;
@@ -24,10 +25,6 @@ const PADDING_H = 16;
 const HEADER_SPACING = 10;
 
 // 素材URL
-const BOMB_ICON = 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/bomb.webp';
-const DUCK_NEUTRAL = 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/duck1.webp';
-const DUCK_HAPPY = 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/duck_excited.webp';
-const DUCK_SAD = 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/duck_sad.webp';
 
 // 提示语
 const ENCOURAGEMENT_TIPS = [
@@ -365,9 +362,9 @@ export default function TopBarChallenge({
   // 获取鸭子表情图片
   const getDuckImage = () => {
     switch (duckExpression) {
-      case 'happy': return DUCK_HAPPY;
-      case 'sad': return DUCK_SAD;
-      default: return DUCK_NEUTRAL;
+      case 'happy': return getImageSource('duckHappy');
+      case 'sad': return getImageSource('duckSad');
+      default: return getImageSource('duck');
     }
   };
   
@@ -409,7 +406,7 @@ export default function TopBarChallenge({
               {iqScore.toString().padStart(2, '0')}
             </Animated.Text>
             <Animated.Image
-              source={{ uri: getDuckImage() }}
+              source={getDuckImage()}
               style={[styles.duckIcon, { transform: [{ scale: duckScale }] }]}
               resizeMode="contain"
             />
@@ -418,7 +415,7 @@ export default function TopBarChallenge({
         
         {/* 引线行 */}
         <View style={styles.fuseRow}>
-          <Image source={{ uri: BOMB_ICON }} style={styles.bombIcon} resizeMode="contain" />
+          <Image source={getImageSource('bomb')} style={styles.bombIcon} resizeMode="contain" />
           
           <Animated.View 
             style={[
@@ -4,6 +4,7 @@ import { View, StyleSheet, Pressable, Animated, Dimensions, Image, Text } from '
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
+import { getImageSource } from '../utils/assets';
 
 const { width: SCREEN_W } = Dimensions.get('window');
 const SAFE_H = 72;           // 顶部 HUD 目标高度（可调）
@@ -99,7 +100,7 @@ export default function TopHUD({
       <View style={[styles.abs, { right: 10, top: (SAFE_H - BOOK_W) / 2 + 10 }]}>
         <View style={styles.bookContainer}>
           <Image
-            source={{ uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/book.webp' }}
+            source={getImageSource('book')}
             style={styles.bookImage}
             resizeMode="contain"
           />
@@ -120,7 +121,7 @@ export default function TopHUD({
       <Animated.View style={[styles.abs, { top: 6, transform: [{ translateX: duckLeft }] }]}>
         <View style={styles.duckContainer}>
           <Image
-            source={{ uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/duck1.webp' }}
+            source={getImageSource('duck')}
             style={styles.duckImage}
             resizeMode="contain"
           />
@@ -0,0 +1,11 @@
+/**
+ * Daily Challenge Screen - 每日挑战
+ * Purpose: 所有玩家在同一个 UTC 日期玩同一组棋盘；规则与挑战模式相同，每天只结算第一局
+ */
+
+import React from 'react';
+import ChallengeScreen from './(tabs)/challenge';
+
+export default function DailyChallengeScreen() {
+  return <ChallengeScreen daily />;
+}
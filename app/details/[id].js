@@ -2,6 +2,9 @@
  * Level Detail Screen - Individual level gameplay
  * Purpose: Play specific levels with completion tracking and item usage
  * Features: Level completion detection, next level navigation, item management
+ * Resume: 多页关卡每次棋盘变化后保存中途进度（StorageUtils.saveLevelSession），带 ?resume=1 进入时恢复
+ * Stats: 每次开局/通关写入每关统计，通关时按用时和道具评星（utils/levelStats.js）
+ * Achievements: 消除和通关时上报成就事件（utils/achievements.js），解锁提示叠加在棋盘上方
  */
 
 import React, { useState, useEffect, useRef } from 'react';
@@ -23,13 +26,29 @@ import * as Haptics from 'expo-haptics';
 import { Ionicons } from '@expo/vector-icons';
 import { useCallback } from 'react';
 import { useGameStore } from '../store/gameStore';
-import { generateBoard } from '../utils/boardGenerator';
+import { generateBoard, getLevelSeed } from '../utils/boardGenerator';
+import { findHintMove } from '../utils/gameLogic';
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  getUndoBudget,
+  recordMove,
+  redoMove,
+  undoMove,
+} from '../utils/moveHistory';
+import { createReplay, finishReplay, hasPlayerEvents, recordReplayEvent } from '../utils/replay';
 import { STAGE_NAMES } from '../utils/stageNames';
+import { createItemUseId } from '../utils/syncQueue';
+import { HINT_LEVEL_REWARD, ITEM_TYPES, getLevelReward } from '../../shared/items';
+import { MAX_STARS, formatDuration, getLevelStars } from '../utils/levelStats';
 import GameBoard from '../components/GameBoard';
 import RescueModal from '../components/RescueModal';
 import TopHUD from '../components/TopHUD';
 import ItemGuide from '../components/ItemGuide';
+import AchievementToast from '../components/AchievementToast';
 import StorageUtils from '../utils/StorageUtils';
+import { getImageSource } from '../utils/assets';
 
 // 提取关卡名称（去掉Grade前缀部分）
 function extractLevelName(stageName) {
@@ -70,10 +89,23 @@ function generateRandomGradient() {
 }
 
 export default function LevelDetailScreen() {
-  const { id } = useLocalSearchParams();
+  const { id, resume } = useLocalSearchParams();
   const level = parseInt(id);
   
-  const { gameData, updateGameData, settings } = useGameStore();
+  const {
+    gameData,
+    updateGameData,
+    settings,
+    playStageMusic,
+    stopMusic,
+    duckAudio,
+    unduckAudio,
+    saveLevelSession,
+    clearLevelSession,
+    recordLevelAttempt,
+    recordLevelCompletion,
+    reportAchievementEvent,
+  } = useGameStore();
   
   // Game state
   const [board, setBoard] = useState(null);
@@ -89,6 +121,15 @@ export default function LevelDetailScreen() {
   const [swapAnimations, setSwapAnimations] = useState(new Map());
   const [fractalAnimations, setFractalAnimations] = useState(new Map());
   const [boardKey, setBoardKey] = useState(0); // 用于强制重新生成棋盘
+  const [hintRect, setHintRect] = useState(null); // 当前提示的矩形
+  const [moveHistory, setMoveHistory] = useState(() => createHistory(getUndoBudget(level))); // 撤销/重做历史
+  const pageTimeoutRef = useRef(null); // 多页关卡切换下一页的定时器
+  const replayRef = useRef(null); // 当前对局的录像
+  const resumeRef = useRef(resume === '1'); // 第一次开局时恢复中途进度
+  const runStatsRef = useRef({ clears: 0, itemsUsed: 0, startedAt: Date.now() }); // 本局统计（撤销会扣回）
+  const attemptRecordedRef = useRef(false); // 本局已计入尝试次数（第一次操作时才计入）
+  const rescueCountRef = useRef(0); // 本局换过的救援棋盘数，决定救援棋盘的 seed
+  const [levelResult, setLevelResult] = useState(null); // 本次通关的用时和星数
   
   // GameBoard ref
   const gameBoardRef = useRef(null);
@@ -328,6 +369,19 @@ export default function LevelDetailScreen() {
     }, 3500);
   };
 
+  // 当前阶段的背景音乐，离开关卡时停止
+  useEffect(() => {
+    playStageMusic(level);
+    return () => stopMusic();
+  }, [level]);
+
+  // 过关弹窗显示时压低背景音乐
+  useEffect(() => {
+    if (!showCompletionModal) return;
+    duckAudio();
+    return () => unduckAudio();
+  }, [showCompletionModal]);
+
   // 箭头动画效果和庆祝粒子
   useEffect(() => {
     if (showCompletionModal) {
@@ -439,10 +493,22 @@ export default function LevelDetailScreen() {
     else return 4;
   }, []);
 
-  // 生成新棋盘的函数
-  const generateNewBoard = useCallback(() => {
+  // 生成新棋盘的函数（page 为多页关卡的页码，决定棋盘 seed）
+  const generateNewBoard = useCallback((page = 0) => {
     if (level && !isNaN(level)) {
-      const newBoard = generateBoard(level);
+      const newBoard = generateBoard(level, true, false, { page });
+
+      // 从第一页开始时重置撤销历史和录像；翻页时保留，允许撤销回上一页
+      if (page === 0) {
+        setMoveHistory(createHistory(getUndoBudget(level)));
+        replayRef.current = createReplay({ mode: 'level', level });
+        runStatsRef.current = { clears: 0, itemsUsed: 0, startedAt: Date.now() };
+        setLevelResult(null);
+        // 页面获得焦点时会重新生成棋盘，尝试次数等玩家第一次操作时再记
+        attemptRecordedRef.current = false;
+        rescueCountRef.current = 0;
+      }
+      recordReplayEvent(replayRef.current, 'board', { seed: newBoard.seed, page });
       setBoard(newBoard);
       setBoardKey(prev => prev + 1); // 更新key强制重新渲染
       
@@ -477,11 +543,9 @@ export default function LevelDetailScreen() {
       const tp = calculateTotalPages(level);
       setTotalPages(tp);
       setCompletedPages(0);
-      
-      // 生成新棋盘
-      generateNewBoard();
+      // 棋盘由页面获得焦点时生成（或恢复中途进度），见下方 useFocusEffect
     }
-  }, [level, calculateTotalPages, generateNewBoard]);
+  }, [level, calculateTotalPages]);
 
   // 检查是否需要显示道具引导
   useEffect(() => {
@@ -527,7 +591,7 @@ export default function LevelDetailScreen() {
     useCallback(() => {
       // 只有在没有显示完成弹窗时才重新生成棋盘
       if (!showCompletionModal) {
-        generateNewBoard();
+        startLevel();
       }
     }, [generateNewBoard, showCompletionModal])
   );
@@ -559,6 +623,181 @@ export default function LevelDetailScreen() {
   }, [showLevelNameAnimation, levelNameAnimation]);
 
 
+  // 当前可恢复的状态快照
+  const takeSnapshot = () => ({
+    board,
+    clearedTiles,
+    totalTiles,
+    completedPages,
+  });
+
+  // 记录一次操作（在修改棋盘之前调用），item 为消耗的道具字段
+  // 道具操作返回这次消耗的 id（提交消耗时作为变更 id，撤销时据此请求退还）
+  const recordAction = (type, item = null) => {
+    if (!attemptRecordedRef.current) {
+      attemptRecordedRef.current = true;
+      recordLevelAttempt(level);
+    }
+    const itemUseId = item ? createItemUseId() : null;
+    setMoveHistory(prev => recordMove(prev, { type, item, itemUseId, snapshot: takeSnapshot() }));
+    countAction({ type, item }, 1);
+    return itemUseId;
+  };
+
+  // 本局统计：记录/重做时 +1，撤销时 -1
+  const countAction = (entry, delta) => {
+    if (entry.type === 'clear') runStatsRef.current.clears += delta;
+    if (entry.item) runStatsRef.current.itemsUsed += delta;
+  };
+
+  // 恢复快照：棋盘、进度条和页数
+  const restoreSnapshot = (snapshot) => {
+    if (pageTimeoutRef.current) {
+      clearTimeout(pageTimeoutRef.current);
+      pageTimeoutRef.current = null;
+    }
+
+    const restoredProgress = snapshot.totalTiles > 0
+      ? Math.min(snapshot.clearedTiles / snapshot.totalTiles, 1)
+      : 0;
+
+    setBoard(snapshot.board);
+    setBoardKey(prev => prev + 1);
+    setClearedTiles(snapshot.clearedTiles);
+    setTotalTiles(snapshot.totalTiles);
+    setCompletedPages(snapshot.completedPages);
+    setProgress(restoredProgress);
+    characterPosition.setValue(restoredProgress);
+    setItemMode(null);
+    setSelectedSwapTile(null);
+    setSwapAnimations(new Map());
+    setFractalAnimations(new Map());
+  };
+
+  // 开局：从“继续”进入时恢复中途进度，否则生成新棋盘
+  const startLevel = () => {
+    const session = resumeRef.current ? useGameStore.getState().levelSessions?.[level] : null;
+    resumeRef.current = false;
+    if (!session) {
+      generateNewBoard();
+      return;
+    }
+
+    setTotalPages(session.totalPages);
+    setMoveHistory(createHistory(session.undosLeft));
+    const runStats = session.runStats || { clears: 0, itemsUsed: 0, elapsedMs: 0 };
+    runStatsRef.current = {
+      clears: runStats.clears,
+      itemsUsed: runStats.itemsUsed,
+      startedAt: Date.now() - runStats.elapsedMs, // 离开的时间不计入用时
+    };
+    setLevelResult(null);
+    attemptRecordedRef.current = true; // 中途进度是已经计入过的那一局
+    // 录像接着录：开局时间后移离开的时长，时间戳保持连续
+    replayRef.current = session.replay
+      ? { ...session.replay, events: [...session.replay.events], startedAt: session.replay.startedAt + (Date.now() - session.savedAt) }
+      : createReplay({ mode: 'level', level });
+    setProgressGradient(generateRandomGradient());
+    restoreSnapshot(session);
+  };
+
+  // 多页关卡：每次棋盘变化（消除、道具、撤销、翻页）后保存中途进度；已消耗的道具本来就写在 gameData 里
+  useEffect(() => {
+    if (!board || totalPages <= 1 || showCompletionModal) return;
+    if (!hasPlayerEvents(replayRef.current)) return;
+    // 翻页前的空棋盘不保存
+    if (!board.tiles.some(tile => tile > 0)) return;
+
+    const replay = replayRef.current;
+    saveLevelSession({
+      level,
+      board,
+      completedPages,
+      totalPages,
+      clearedTiles,
+      totalTiles,
+      undosLeft: moveHistory.undosLeft,
+      runStats: {
+        clears: runStatsRef.current.clears,
+        itemsUsed: runStatsRef.current.itemsUsed,
+        elapsedMs: Date.now() - runStatsRef.current.startedAt,
+      },
+      replay: { ...replay, events: [...replay.events] },
+      savedAt: Date.now(),
+    });
+  }, [board]);
+
+  // 通关后不再需要中途进度
+  useEffect(() => {
+    if (showCompletionModal) {
+      clearLevelSession(level);
+    }
+  }, [showCompletionModal]);
+
+  // 保存录像（通关或中途退出）
+  const saveReplay = (completed) => {
+    const replay = replayRef.current;
+    if (!hasPlayerEvents(replay)) return;
+
+    finishReplay(replay, { completed, pages: totalPages });
+    StorageUtils.saveReplay(replay);
+    replayRef.current = null;
+  };
+
+  // 记录每次框选
+  const handleSelectionRecorded = (selection) => {
+    recordReplayEvent(replayRef.current, 'select', selection);
+  };
+
+  const handleUndo = () => {
+    const result = undoMove(moveHistory, takeSnapshot());
+    if (!result) return;
+    recordReplayEvent(replayRef.current, 'undo');
+
+    restoreSnapshot(result.entry.snapshot);
+    setMoveHistory(result.history);
+    countAction(result.entry, -1);
+
+    // 退还道具（服务端按那次消耗退还）
+    if (result.entry.item) {
+      updateGameData(
+        { [result.entry.item]: (gameData?.[result.entry.item] || 0) + 1 },
+        { refundOf: result.entry.itemUseId }
+      );
+    }
+
+    if (settings?.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  const handleRedo = () => {
+    const entry = moveHistory.future[moveHistory.future.length - 1];
+    if (!entry) return;
+
+    // 重做道具操作需要重新消耗道具
+    if (entry.item && (gameData?.[entry.item] || 0) <= 0) {
+      Alert.alert('No Items', 'You don\'t have enough items to redo this move.');
+      return;
+    }
+
+    // 重做是一次新的消耗，换一个 id（上一次已经退还）
+    const itemUseId = entry.item ? createItemUseId() : null;
+    const result = redoMove(moveHistory, takeSnapshot(), { itemUseId });
+    recordReplayEvent(replayRef.current, 'redo');
+    restoreSnapshot(result.entry.snapshot);
+    setMoveHistory(result.history);
+    countAction(entry, 1);
+
+    if (entry.item) {
+      updateGameData({ [entry.item]: Math.max(0, (gameData?.[entry.item] || 0) - 1) }, { itemReason: 'redo', itemUseId });
+    }
+
+    if (settings?.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
   const handleTilesClear = (clearedPositions, newTilesData = null) => {
     if (!board) return;
 
@@ -566,6 +805,9 @@ export default function LevelDetailScreen() {
       // 空数组 - 暂时不处理
       return;
     } else {
+      recordAction('clear');
+      reportAchievementEvent({ type: 'clear', tiles: clearedPositions.length, mode: 'level' });
+
       // 更新已清除方块数量
       const newClearedCount = clearedTiles + clearedPositions.length;
       setClearedTiles(newClearedCount);
@@ -629,8 +871,9 @@ export default function LevelDetailScreen() {
           
           if (newCompletedPages < totalPages) {
             // 还有页面需要完成，生成新棋盘
-            setTimeout(() => {
-              generateNewBoard();
+            pageTimeoutRef.current = setTimeout(() => {
+              pageTimeoutRef.current = null;
+              generateNewBoard(newCompletedPages);
               // 重置当前页面进度
               setClearedTiles(0);
               setProgress(0);
@@ -639,48 +882,12 @@ export default function LevelDetailScreen() {
             return;
           } else {
             // 所有页面都完成了，显示完成弹窗
-            setShowCompletionModal(true);
-            
-            // 播放结束音效
-            if (gameBoardRef.current) {
-              gameBoardRef.current.playEndSound();
-            }
-            
-            // 更新进度
-            const currentMaxLevel = gameData?.maxLevel || 0;
-            const newMaxLevel = Math.max(currentMaxLevel, level);
-            const newSwapMasterItems = (gameData?.swapMasterItems || 0) + 1;
-            const newSplitItems = (gameData?.splitItems || 0) + 1;
-            
-            updateGameData({
-              maxLevel: newMaxLevel,
-              lastPlayedLevel: level + 1, // 设置为下一关，这样下次闯关会从下一关开始
-              swapMasterItems: newSwapMasterItems,
-              splitItems: newSplitItems,
-            });
+            handleLevelComplete();
             return;
           }
         } else {
           // 单页游戏：直接显示完成弹窗
-          setShowCompletionModal(true);
-          
-          // 播放结束音效
-          if (gameBoardRef.current) {
-            gameBoardRef.current.playEndSound();
-          }
-          
-          // 更新进度
-          const currentMaxLevel = gameData?.maxLevel || 0;
-          const newMaxLevel = Math.max(currentMaxLevel, level);
-          const newSwapMasterItems = (gameData?.swapMasterItems || 0) + 1;
-          const newSplitItems = (gameData?.splitItems || 0) + 1;
-          
-          updateGameData({
-            maxLevel: newMaxLevel,
-            lastPlayedLevel: level + 1, // 设置为下一关，这样下次闯关会从下一关开始
-            swapMasterItems: newSwapMasterItems,
-            splitItems: newSplitItems,
-          });
+          handleLevelComplete();
           return;
         }
       }
@@ -706,6 +913,7 @@ export default function LevelDetailScreen() {
   };
 
   const handleBackPress = () => {
+    saveReplay(false);
     router.replace('/(tabs)/');
   };
 
@@ -722,25 +930,45 @@ export default function LevelDetailScreen() {
   };
 
   const handleLevelComplete = () => {
+    // 评星并写入每关统计（用时从开局算起，多页关卡包含所有页）
+    const { clears, itemsUsed, startedAt } = runStatsRef.current;
+    const timeMs = Date.now() - startedAt;
+    const stars = getLevelStars({ level, pages: totalPages, timeMs, itemsUsed });
+    const previous = useGameStore.getState().levelStats[level];
+    setLevelResult({
+      stars,
+      timeMs,
+      isBestTime: !previous?.bestTimeMs || timeMs < previous.bestTimeMs,
+    });
+    recordLevelCompletion(level, { timeMs, clears, itemsUsed, stars });
+    reportAchievementEvent({ type: 'levelComplete', level, itemsUsed, stars });
+
     // 触发关卡完成逻辑
     setShowCompletionModal(true);
+    saveReplay(true);
     
     // 播放结束音效
     if (gameBoardRef.current) {
       gameBoardRef.current.playEndSound();
     }
     
-    // 更新进度
+    // 更新进度；第一次通过新关卡时加上奖励（与服务端结算时发放的相同，见 shared/items.js），Hint 只在本地加
     const currentMaxLevel = gameData?.maxLevel || 0;
     const newMaxLevel = Math.max(currentMaxLevel, level);
-    const newSwapMasterItems = (gameData?.swapMasterItems || 0) + 1;
-    const newSplitItems = (gameData?.splitItems || 0) + 1;
+    const levelReward = getLevelReward(level, currentMaxLevel);
+    const rewardItems = {};
+    Object.entries(levelReward || {}).forEach(([type, amount]) => {
+      const field = ITEM_TYPES[type].field;
+      rewardItems[field] = (gameData?.[field] || 0) + amount;
+    });
+    if (levelReward) {
+      rewardItems.hintItems = (gameData?.hintItems || 0) + HINT_LEVEL_REWARD;
+    }
     
     updateGameData({
       maxLevel: newMaxLevel,
       lastPlayedLevel: level + 1, // 设置为下一关，这样下次闯关会从下一关开始
-      swapMasterItems: newSwapMasterItems,
-      splitItems: newSplitItems,
+      ...rewardItems,
     });
   };
 
@@ -867,6 +1095,12 @@ export default function LevelDetailScreen() {
         setBoardKey(prev => prev + 1);
         
         // 然后更新棋盘状态
+        const itemUseId = recordAction('swapMaster', 'swapMasterItems');
+        recordReplayEvent(replayRef.current, 'item', {
+          item: 'swapMaster',
+          from: tile1.index,
+          to: tile2.index,
+        });
         const newTiles = [...board.tiles];
         newTiles[tile1.index] = tile2.value;
         newTiles[tile2.index] = tile1.value;
@@ -877,7 +1111,7 @@ export default function LevelDetailScreen() {
         
         // Consume item
         const newSwapMasterItems = Math.max(0, (gameData?.swapMasterItems || 0) - 1);
-        updateGameData({ swapMasterItems: newSwapMasterItems });
+        updateGameData({ swapMasterItems: newSwapMasterItems }, { itemReason: 'use', itemUseId });
 
         // 触觉反馈
         if (settings?.hapticsEnabled) {
@@ -935,6 +1169,7 @@ export default function LevelDetailScreen() {
       }
 
       // 执行分裂
+      const itemUseId = recordAction('fractalSplit', 'splitItems');
       const newTiles = [...board.tiles];
       
       // 清空原位置（如果原位置不在目标中）
@@ -944,11 +1179,19 @@ export default function LevelDetailScreen() {
       }
 
       // 在目标位置放置新数字
+      const placements = [];
       for (let i = 0; i < targets.length; i++) {
         const target = targets[i];
         const targetIndex = target.r * board.width + target.c;
         newTiles[targetIndex] = parts[i];
+        placements.push({ index: targetIndex, value: parts[i] });
       }
+      recordReplayEvent(replayRef.current, 'item', {
+        item: 'fractalSplit',
+        index,
+        clearOrigin: !originUsed,
+        placements,
+      });
 
       // 更新总方块数（增加的分裂方块数）
       const newTotalTiles = totalTiles + (targets.length - 1);
@@ -963,7 +1206,7 @@ export default function LevelDetailScreen() {
       
       // Consume item
       const newSplitItems = Math.max(0, (gameData?.splitItems || 0) - 1);
-      updateGameData({ splitItems: newSplitItems });
+      updateGameData({ splitItems: newSplitItems }, { itemReason: 'use', itemUseId });
       
       // 如果正在显示道具引导，关闭它
       if (showItemGuide) {
@@ -999,6 +1242,41 @@ export default function LevelDetailScreen() {
     setSelectedSwapTile(null);
   };
 
+  const handleUseHint = () => {
+    if (!board) return;
+
+    if ((gameData?.hintItems || 0) <= 0) {
+      Alert.alert('No Items', 'You don\'t have any Hint items.');
+      return;
+    }
+
+    const move = findHintMove(board.tiles, board.width, board.height);
+    if (!move) {
+      Alert.alert('No Moves', 'There is no rectangle that adds up to 10 on this board.');
+      return;
+    }
+
+    setItemMode(null);
+    setSelectedSwapTile(null);
+    setHintRect(move);
+    recordReplayEvent(replayRef.current, 'hint', { rect: move, cost: 0 });
+    runStatsRef.current.itemsUsed += 1;
+
+    // Consume item
+    const newHintItems = Math.max(0, (gameData?.hintItems || 0) - 1);
+    updateGameData({ hintItems: newHintItems });
+
+    // 触觉反馈
+    if (settings?.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  // 棋盘变化（消除、道具、换页）后提示失效
+  useEffect(() => {
+    setHintRect(null);
+  }, [board]);
+
   const stageName = STAGE_NAMES[level] || `Level ${level}`;
   const displayLevelName = extractLevelName(stageName);
 
@@ -1062,6 +1340,8 @@ export default function LevelDetailScreen() {
         layoutConfig={board.layoutConfig}
         currentPage={completedPages + 1}
         totalPages={totalPages}
+        hintRect={hintRect}
+        onSelectionComplete={handleSelectionRecorded}
       />
 
       {/* Bottom Toolbar - 移到GameBoard下方确保不被覆盖 */}
@@ -1153,6 +1433,58 @@ export default function LevelDetailScreen() {
             {gameData?.splitItems || 0}
           </Text>
         </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[
+            styles.bottomToolButton,
+            (gameData?.hintItems || 0) <= 0 && styles.toolButtonDisabled
+          ]}
+          onPress={handleUseHint}
+          disabled={(gameData?.hintItems || 0) <= 0}
+          activeOpacity={0.7}
+          hitSlop={{ top: 30, bottom: 30, left: 30, right: 30 }}
+        >
+          <Ionicons 
+            name="bulb" 
+            size={20} 
+            color={(gameData?.hintItems || 0) <= 0 ? '#ccc' : 'white'} 
+          />
+          <Text style={[
+            styles.toolButtonText,
+            (gameData?.hintItems || 0) <= 0 && styles.toolButtonTextDisabled
+          ]}>
+            Hint
+          </Text>
+          <Text style={[
+            styles.toolButtonCount,
+            (gameData?.hintItems || 0) <= 0 && styles.toolButtonCountDisabled
+          ]}>
+            {gameData?.hintItems || 0}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* 撤销/重做 */}
+      <View style={styles.historyToolbar}>
+        <TouchableOpacity
+          style={[styles.historyButton, !canUndo(moveHistory) && styles.toolButtonDisabled]}
+          onPress={handleUndo}
+          disabled={!canUndo(moveHistory)}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="arrow-undo" size={18} color={canUndo(moveHistory) ? 'white' : '#ccc'} />
+          <Text style={[styles.toolButtonCount, !canUndo(moveHistory) && styles.toolButtonCountDisabled]}>
+            {moveHistory.undosLeft}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.historyButton, !canRedo(moveHistory) && styles.toolButtonDisabled]}
+          onPress={handleRedo}
+          disabled={!canRedo(moveHistory)}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="arrow-redo" size={18} color={canRedo(moveHistory) ? 'white' : '#ccc'} />
+        </TouchableOpacity>
       </View>
 
       {/* Completion Modal */}
@@ -1166,7 +1498,7 @@ export default function LevelDetailScreen() {
           <View style={styles.completionModal}>
             {/* 新的结算页面背景图片 */}
             <Image
-              source={{ uri: 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/levelendend.jpeg' }}
+              source={getImageSource('levelEnd')}
               style={styles.completionBackground}
               resizeMode="cover"
               pointerEvents="none"
@@ -1255,6 +1587,28 @@ export default function LevelDetailScreen() {
               </View>
             </View>
             
+            {/* 成就提示（弹窗盖住了页面上的提示，弹窗打开时在这里显示） */}
+            <AchievementToast top={16} />
+
+            {/* 本次评星和用时 */}
+            {levelResult && (
+              <View style={styles.levelResultContainer}>
+                <View style={styles.starsRow}>
+                  {Array.from({ length: MAX_STARS }, (_, i) => (
+                    <Ionicons
+                      key={i}
+                      name={i < levelResult.stars ? 'star' : 'star-outline'}
+                      size={32}
+                      color="#FFD700"
+                    />
+                  ))}
+                </View>
+                <Text style={styles.levelResultTime}>
+                  {formatDuration(levelResult.timeMs)}{levelResult.isBestTime ? ' · New best!' : ''}
+                </Text>
+              </View>
+            )}
+
             {/* 返回主页面按钮 */}
             <TouchableOpacity 
               style={[
@@ -1377,13 +1731,21 @@ export default function LevelDetailScreen() {
         </View>
       </Modal>
 
+      {/* 成就解锁提示 */}
+      {!showCompletionModal && <AchievementToast />}
+
       {/* Rescue Modal */}
       <RescueModal
         visible={showRescueModal}
         onContinue={() => {
           setShowRescueModal(false);
-          // Generate new board as rescue
-          const newBoard = generateBoard(level);
+          // 救援棋盘换一个 seed，否则会生成同一块卡住的棋盘
+          rescueCountRef.current += 1;
+          const newBoard = generateBoard(level, true, false, {
+            page: completedPages,
+            seed: `${getLevelSeed(level, completedPages)}_rescue_${rescueCountRef.current}`,
+          });
+          recordReplayEvent(replayRef.current, 'board', { seed: newBoard.seed, page: completedPages });
           setBoard(newBoard);
         }}
         onReturn={() => {
@@ -1554,6 +1916,28 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 8,
   },
+  historyToolbar: {
+    position: 'absolute',
+    left: 20,
+    bottom: 124,
+    flexDirection: 'row',
+    gap: 12,
+    zIndex: 1000,
+    elevation: 1000,
+  },
+  historyButton: {
+    width: 44,
+    height: 44,
+    backgroundColor: '#2196F3',
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 6,
+  },
   toolButtonActive: {
     backgroundColor: '#1976D2', // 深蓝色激活状态
     transform: [{ scale: 0.95 }], // 按压时稍微缩放
@@ -1615,6 +1999,25 @@ const styles = StyleSheet.create({
     borderRadius: 20,
     overflow: 'hidden',
   },
+  levelResultContainer: {
+    position: 'absolute',
+    top: 16,
+    alignSelf: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(0, 0, 0, 0.45)',
+  },
+  starsRow: {
+    flexDirection: 'row',
+  },
+  levelResultTime: {
+    marginTop: 2,
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
   completionBackground: {
     width: '100%',
     height: '100%',
@@ -0,0 +1,364 @@
+/**
+ * Leaderboard Screen - 挑战模式 IQ 排行榜
+ * Purpose: 查看历史/本周/今日排名，以及自己附近的玩家
+ * Features: 周期切换、前列分页加载、Around Me 视图、自己的排名与 IQ 称号
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useGameStore } from './store/gameStore';
+import {
+  API_BASE_URL,
+  LEADERBOARD_PERIODS,
+  fetchLeaderboard,
+  fetchLeaderboardAround,
+} from './utils/api';
+import { getIQTitle } from '../shared/challengeRules';
+
+const PAGE_SIZE = 20;
+
+const PERIOD_LABELS = {
+  all: 'All-Time',
+  weekly: 'Weekly',
+  daily: 'Today',
+  'daily-challenge': 'Daily Challenge',
+};
+
+export default function LeaderboardScreen() {
+  const { userData, gameData } = useGameStore();
+  const params = useLocalSearchParams();
+
+  // 可以通过 ?period= 直接打开某个榜单（例如每日挑战结算页）
+  const [period, setPeriod] = useState(LEADERBOARD_PERIODS.includes(params.period) ? params.period : 'all');
+  const [view, setView] = useState('top'); // 'top' | 'around'
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [player, setPlayer] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  const uid = userData?.uid;
+
+  // 加载排行榜：自己的排名总是来自 around 接口
+  const loadLeaderboard = async (nextPeriod, nextView) => {
+    if (!API_BASE_URL || !uid) return;
+
+    setLoading(true);
+    setLoadFailed(false);
+    try {
+      const around = await fetchLeaderboardAround(nextPeriod, uid);
+      setPlayer(around.player);
+
+      if (nextView === 'around') {
+        setEntries(around.entries);
+        setTotal(around.total);
+      } else {
+        const top = await fetchLeaderboard(nextPeriod, { limit: PAGE_SIZE });
+        setEntries(top.entries);
+        setTotal(top.total);
+      }
+    } catch (error) {
+      console.warn('⚠️ 排行榜加载失败:', error);
+      setLoadFailed(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadLeaderboard(period, view);
+    }, [period, view, uid])
+  );
+
+  // 前列视图分页
+  const handleLoadMore = async () => {
+    setLoading(true);
+    try {
+      const page = await fetchLeaderboard(period, { limit: PAGE_SIZE, offset: entries.length });
+      setEntries(prev => [...prev, ...page.entries]);
+      setTotal(page.total);
+    } catch (error) {
+      console.warn('⚠️ 排行榜加载失败:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderPlayerCard = () => {
+    if (player) {
+      return (
+        <View style={styles.playerCard}>
+          <Text style={styles.playerRank}>#{player.rank}</Text>
+          <View style={styles.playerInfo}>
+            <Text style={styles.playerLabel}>Your {PERIOD_LABELS[period]} Rank</Text>
+            <Text style={styles.playerTitle}>{player.title}</Text>
+          </View>
+          <Text style={styles.playerIQ}>IQ {player.iq}</Text>
+        </View>
+      );
+    }
+
+    // 本周期还没有成绩：显示本地最佳 IQ 的称号
+    return (
+      <View style={styles.playerCard}>
+        <Ionicons name="trophy-outline" size={28} color="#FF9800" />
+        <View style={styles.playerInfo}>
+          <Text style={styles.playerLabel}>Not ranked yet</Text>
+          <Text style={styles.playerTitle}>{getIQTitle(gameData?.maxScore || 0)}</Text>
+        </View>
+        <Text style={styles.playerIQ}>IQ {gameData?.maxScore || 0}</Text>
+      </View>
+    );
+  };
+
+  const renderContent = () => {
+    if (!API_BASE_URL) {
+      return <Text style={styles.emptyText}>Leaderboards need a server connection.</Text>;
+    }
+    if (loadFailed) {
+      return <Text style={styles.emptyText}>Could not load the leaderboard. Please try again later.</Text>;
+    }
+    if (!loading && entries.length === 0) {
+      return <Text style={styles.emptyText}>No scores yet. Play a challenge to get on the board!</Text>;
+    }
+
+    return (
+      <>
+        {entries.map(entry => (
+          <View
+            key={entry.uid}
+            style={[styles.entryRow, entry.uid === uid && styles.entryRowSelf]}
+          >
+            <Text style={styles.entryRank}>{entry.rank}</Text>
+            <View style={styles.entryInfo}>
+              <Text style={styles.entryName} numberOfLines={1}>
+                {entry.nickname || (entry.uid === uid ? 'You' : 'Player')}
+              </Text>
+              <Text style={styles.entryTitle}>{entry.title}</Text>
+            </View>
+            <Text style={styles.entryIQ}>{entry.iq}</Text>
+          </View>
+        ))}
+
+        {view === 'top' && entries.length < total && !loading && (
+          <TouchableOpacity style={styles.loadMoreButton} onPress={handleLoadMore}>
+            <Text style={styles.loadMoreText}>Load More</Text>
+          </TouchableOpacity>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Leaderboard</Text>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => setView(prev => (prev === 'top' ? 'around' : 'top'))}
+        >
+          <Ionicons name={view === 'top' ? 'locate' : 'podium'} size={24} color="#333" />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.periodTabs}>
+        {LEADERBOARD_PERIODS.map(item => (
+          <TouchableOpacity
+            key={item}
+            style={[styles.periodTab, period === item && styles.periodTabActive]}
+            onPress={() => setPeriod(item)}
+          >
+            <Text style={[styles.periodTabText, period === item && styles.periodTabTextActive]}>
+              {PERIOD_LABELS[item]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {renderPlayerCard()}
+
+      <ScrollView style={styles.scrollView}>
+        <Text style={styles.sectionTitle}>{view === 'top' ? 'Top Players' : 'Around Me'}</Text>
+        {renderContent()}
+        {loading && <ActivityIndicator style={styles.loading} color="#FF9800" />}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f8ff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    padding: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'center',
+  },
+  periodTabs: {
+    flexDirection: 'row',
+    marginHorizontal: 20,
+    marginTop: 16,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 4,
+  },
+  periodTab: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  periodTabActive: {
+    backgroundColor: '#FF9800',
+  },
+  periodTabText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+  },
+  periodTabTextActive: {
+    color: 'white',
+  },
+  playerCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 16,
+    paddingVertical: 16,
+    paddingHorizontal: 16,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  playerRank: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#FF9800',
+  },
+  playerInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  playerLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  playerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 2,
+  },
+  playerIQ: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  scrollView: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    marginBottom: 8,
+  },
+  entryRowSelf: {
+    borderWidth: 2,
+    borderColor: '#FF9800',
+  },
+  entryRank: {
+    width: 36,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  entryInfo: {
+    flex: 1,
+  },
+  entryName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  entryTitle: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  entryIQ: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FF9800',
+  },
+  loadMoreButton: {
+    alignSelf: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    marginVertical: 12,
+    borderRadius: 20,
+    backgroundColor: '#FF9800',
+  },
+  loadMoreText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'white',
+  },
+  loading: {
+    marginVertical: 16,
+  },
+});
@@ -0,0 +1,317 @@
+/**
+ * Replay Player Screen - 按录像日志重新驱动 GameBoard
+ * Purpose: 复盘对局、复现问题报告
+ * Features: 播放/暂停、倍速、从头开始；棋盘按 seed 重新生成，框选通过 GameBoard.playSelection 回放
+ */
+
+import React, { useState, useEffect, useReducer, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useGameStore } from '../store/gameStore';
+import { generateBoard } from '../utils/boardGenerator';
+import { createHistory, recordMove, redoMove, undoMove } from '../utils/moveHistory';
+import { applyItemEvent } from '../utils/replay';
+import StorageUtils from '../utils/StorageUtils';
+import GameBoard from '../components/GameBoard';
+
+const SPEEDS = [1, 2, 4];
+
+// 事件之间的最短间隔，保证框选动画（约600ms）播放完再执行下一步
+const MIN_EVENT_GAP = 700;
+
+// 录像中很长的停顿压缩到这个时长
+const MAX_EVENT_GAP = 3000;
+
+const initialPlayerState = {
+  board: null,
+  history: createHistory(Infinity),
+  hintRect: null,
+  boardKey: 0,
+};
+
+// 播放器状态：棋盘 + 撤销历史（快照为整块棋盘）
+function playerReducer(state, action) {
+  switch (action.type) {
+    case 'reset':
+      return { ...initialPlayerState, boardKey: state.boardKey + 1 };
+
+    case 'board':
+      return { ...state, board: action.board, hintRect: null, boardKey: state.boardKey + 1 };
+
+    case 'clear': {
+      if (!state.board) return state;
+      const tiles = [...state.board.tiles];
+      action.positions.forEach(pos => {
+        tiles[pos.row * state.board.width + pos.col] = 0;
+      });
+      return {
+        ...state,
+        board: { ...state.board, tiles },
+        history: recordMove(state.history, { type: 'clear', item: null, snapshot: state.board }),
+        hintRect: null,
+      };
+    }
+
+    case 'item': {
+      if (!state.board) return state;
+      const { tiles } = applyItemEvent(state.board.tiles, action.event);
+      return {
+        ...state,
+        board: { ...state.board, tiles },
+        history: recordMove(state.history, { type: action.event.item, item: null, snapshot: state.board }),
+        hintRect: null,
+        boardKey: state.boardKey + 1,
+      };
+    }
+
+    case 'undo':
+    case 'redo': {
+      const result = action.type === 'undo'
+        ? undoMove(state.history, state.board)
+        : redoMove(state.history, state.board);
+      if (!result) return state;
+      return {
+        ...state,
+        board: result.entry.snapshot,
+        history: result.history,
+        hintRect: null,
+        boardKey: state.boardKey + 1,
+      };
+    }
+
+    case 'hint':
+      return { ...state, hintRect: action.rect };
+
+    default:
+      return state;
+  }
+}
+
+export default function ReplayPlayerScreen() {
+  const { id } = useLocalSearchParams();
+  const { settings } = useGameStore();
+
+  const [replay, setReplay] = useState(null);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [cursor, setCursor] = useState(0); // 下一个要执行的事件
+  const [playing, setPlaying] = useState(false);
+  const [speedIndex, setSpeedIndex] = useState(0);
+  const [state, dispatch] = useReducer(playerReducer, initialPlayerState);
+
+  const gameBoardRef = useRef(null);
+
+  // 加载录像
+  useEffect(() => {
+    StorageUtils.getReplay(id).then(data => {
+      if (data) {
+        setReplay(data);
+        setPlaying(true);
+      } else {
+        setLoadFailed(true);
+      }
+    });
+  }, [id]);
+
+  // 执行一个事件
+  const applyEvent = (event) => {
+    switch (event.type) {
+      case 'board':
+        dispatch({
+          type: 'board',
+          board: generateBoard(replay.level, true, replay.mode === 'challenge', { seed: event.seed }),
+        });
+        break;
+      case 'select':
+        if (gameBoardRef.current) {
+          const { startRow, startCol, endRow, endCol } = event;
+          gameBoardRef.current.playSelection({ startRow, startCol, endRow, endCol });
+        }
+        break;
+      case 'item':
+        dispatch({ type: 'item', event });
+        break;
+      case 'hint':
+        dispatch({ type: 'hint', rect: event.rect });
+        break;
+      case 'undo':
+      case 'redo':
+        dispatch({ type: event.type });
+        break;
+      default:
+        break;
+    }
+  };
+
+  // 按时间戳调度下一个事件
+  useEffect(() => {
+    if (!replay || !playing) return;
+
+    if (cursor >= replay.events.length) {
+      setPlaying(false);
+      return;
+    }
+
+    const event = replay.events[cursor];
+    const previousT = cursor > 0 ? replay.events[cursor - 1].t : 0;
+    const gap = Math.min(event.t - previousT, MAX_EVENT_GAP) / SPEEDS[speedIndex];
+    const delay = cursor === 0 ? 0 : Math.max(gap, MIN_EVENT_GAP);
+
+    const timer = setTimeout(() => {
+      applyEvent(event);
+      setCursor(prev => prev + 1);
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [replay, playing, cursor, speedIndex]);
+
+  const handleRestart = () => {
+    dispatch({ type: 'reset' });
+    setCursor(0);
+    setPlaying(true);
+  };
+
+  const handleTogglePlay = () => {
+    if (replay && cursor >= replay.events.length) {
+      handleRestart();
+      return;
+    }
+    setPlaying(prev => !prev);
+  };
+
+  const handleToggleSpeed = () => {
+    setSpeedIndex(prev => (prev + 1) % SPEEDS.length);
+  };
+
+  const title = replay
+    ? (replay.mode === 'challenge' ? 'Challenge Replay' : `Level ${replay.level} Replay`)
+    : 'Replay';
+  const elapsed = replay && cursor > 0 ? replay.events[cursor - 1].t : 0;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>{title}</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      {loadFailed && (
+        <Text style={styles.statusText}>This replay could not be found.</Text>
+      )}
+
+      {state.board && (
+        <GameBoard
+          ref={gameBoardRef}
+          key={state.boardKey}
+          tiles={state.board.tiles}
+          width={state.board.width}
+          height={state.board.height}
+          onTilesClear={(positions) => dispatch({ type: 'clear', positions })}
+          disabled={true}
+          settings={settings}
+          isChallenge={replay?.mode === 'challenge'}
+          layoutConfig={state.board.layoutConfig}
+          hintRect={state.hintRect}
+        />
+      )}
+
+      {replay && (
+        <View style={styles.controls}>
+          <Text style={styles.statusText}>
+            {cursor}/{replay.events.length} · {(elapsed / 1000).toFixed(1)}s
+          </Text>
+          <View style={styles.controlRow}>
+            <TouchableOpacity style={styles.controlButton} onPress={handleRestart}>
+              <Ionicons name="play-skip-back" size={22} color="white" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.controlButton} onPress={handleTogglePlay}>
+              <Ionicons name={playing ? 'pause' : 'play'} size={22} color="white" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.controlButton} onPress={handleToggleSpeed}>
+              <Text style={styles.speedText}>{SPEEDS[speedIndex]}x</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#2D6B4A',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+    zIndex: 1000,
+  },
+  backButton: {
+    padding: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'center',
+  },
+  placeholder: {
+    width: 40,
+  },
+  statusText: {
+    fontSize: 14,
+    color: 'white',
+    textAlign: 'center',
+    marginVertical: 8,
+  },
+  controls: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 40,
+    alignItems: 'center',
+    zIndex: 1000,
+    elevation: 1000,
+  },
+  controlRow: {
+    flexDirection: 'row',
+    gap: 24,
+  },
+  controlButton: {
+    width: 56,
+    height: 56,
+    borderRadius: 14,
+    backgroundColor: '#2196F3',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  speedText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+});
@@ -0,0 +1,177 @@
+/**
+ * Replay List Screen - 保存在本地的对局录像
+ * Purpose: 浏览最近的闯关/挑战录像，进入播放器或删除
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { router, useFocusEffect } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import StorageUtils from '../utils/StorageUtils';
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatResult(summary) {
+  if (summary.mode === 'challenge') {
+    return `IQ ${summary.result?.iq ?? 0}`;
+  }
+  return summary.result?.completed ? 'Cleared' : 'Unfinished';
+}
+
+export default function ReplayListScreen() {
+  const [replays, setReplays] = useState([]);
+
+  useFocusEffect(
+    useCallback(() => {
+      StorageUtils.getReplayList().then(setReplays);
+    }, [])
+  );
+
+  const handleDelete = (summary) => {
+    Alert.alert(
+      'Delete Replay',
+      'Are you sure you want to delete this replay?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await StorageUtils.deleteReplay(summary.id);
+            setReplays(await StorageUtils.getReplayList());
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Replays</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.scrollView}>
+        {replays.length === 0 ? (
+          <Text style={styles.emptyText}>
+            No replays yet. Every level and challenge you play is recorded here.
+          </Text>
+        ) : (
+          replays.map(summary => (
+            <TouchableOpacity
+              key={summary.id}
+              style={styles.replayRow}
+              onPress={() => router.push(`/replay/${summary.id}`)}
+            >
+              <Ionicons
+                name={summary.mode === 'challenge' ? 'timer' : 'school'}
+                size={24}
+                color={summary.mode === 'challenge' ? '#FF9800' : '#4CAF50'}
+              />
+              <View style={styles.replayInfo}>
+                <Text style={styles.replayTitle}>
+                  {summary.mode === 'challenge' ? 'Challenge' : `Level ${summary.level}`}
+                  {'  ·  '}
+                  {formatResult(summary)}
+                </Text>
+                <Text style={styles.replaySubtitle}>
+                  {formatDate(summary.startedAt)} · {summary.clears} clears · {Math.round(summary.duration / 1000)}s
+                </Text>
+              </View>
+              <TouchableOpacity onPress={() => handleDelete(summary)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                <Ionicons name="trash" size={20} color="#f44336" />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          ))
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f8ff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    padding: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'center',
+  },
+  placeholder: {
+    width: 40,
+  },
+  scrollView: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  replayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingVertical: 16,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  replayInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  replayTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  replaySubtitle: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+});
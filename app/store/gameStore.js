@@ -5,7 +5,112 @@
  */
 
 import { create } from 'zustand';
+import { Platform } from 'react-native';
 import StorageUtils from '../utils/StorageUtils';
+import {
+  API_BASE_URL,
+  postJSON,
+  getAuthToken,
+  setAuthToken,
+  createDeviceId,
+  registerDevice,
+  startEmailLink,
+  verifyEmailLink,
+  startChallengeRun,
+  startDailyChallenge,
+} from '../utils/api';
+import audioManager, { DEFAULT_AUDIO_SETTINGS } from '../utils/audioManager';
+import {
+  SYNC_ENDPOINTS,
+  createMutation,
+  enqueueMutation,
+  markAttemptFailed,
+  isRetryableError,
+  diffProgress,
+  diffItems,
+  getProgressItemDeltas,
+  buildUserSyncPayload,
+  buildItemBaseline,
+  resolveSyncResponse,
+  resolveAccountResponse,
+} from '../utils/syncQueue';
+import { recordAttempt, recordCompletion } from '../utils/levelStats';
+import { applyAchievementEvent, createAchievementState } from '../utils/achievements';
+import {
+  DEFAULT_GAME_DATA,
+  STORAGE_SCHEMA_VERSION,
+  migrateGameData,
+  validateGameData,
+  pickGameData,
+} from '../utils/storageSchema';
+
+// 同步队列的运行状态（不放进 store，避免触发重渲染）
+let isFlushing = false;
+let retryTimer = null;
+// 正在进行的设备注册：注册完成前所有调用方等待同一个请求，避免同时注册出两个账号
+let deviceAuthPromise = null;
+
+// 设备注册失败（例如离线）后多久再试
+const AUTH_RETRY_DELAY = 30 * 1000;
+
+function scheduleRetry(flush, delay) {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flush();
+  }, Math.max(0, delay));
+}
+
+// 向服务端注册本机并保存设备令牌（只通过 ensureDeviceAuth 调用）
+async function registerDeviceAuth(get, set, { recovery }) {
+  const existing = await StorageUtils.getDeviceAuth();
+  if (existing?.token) {
+    setAuthToken(existing.token);
+    return;
+  }
+
+  const { userData, gameData } = get();
+  const deviceId = createDeviceId();
+  const legacyUid = gameData?.syncBaselineQueued && !userData?.createdAfterDeviceAuth ? userData?.uid : undefined;
+  let response;
+  try {
+    response = await registerDevice({ deviceId, platform: Platform.OS, legacyUid });
+  } catch (error) {
+    if (error.status !== 409 || !legacyUid) throw error;
+    response = await registerDevice({ deviceId, platform: Platform.OS });
+  }
+
+  const { uid } = response.user;
+  await StorageUtils.saveDeviceAuth({
+    deviceId,
+    token: response.token,
+    uid,
+    ...(recovery ? { signedOut: true, recovery: true } : {}),
+  });
+  setAuthToken(response.token);
+
+  if (userData && userData.uid !== uid) {
+    const updatedUser = { ...userData, uid };
+    await StorageUtils.saveUserData(updatedUser);
+    set({ userData: updatedUser });
+
+    // 新账号：已经提交过的进度和道具基线留在旧账号上，重新提交进度基线和道具基线
+    if (legacyUid) {
+      const pending = get().syncQueue;
+      const baselineQueued = pending.some(item => item.type === 'itemBaseline');
+      const syncQueue = [
+        ...(baselineQueued ? [] : [buildItemBaseline(get().gameData, pending)]),
+        createMutation('user', buildUserSyncPayload(updatedUser)),
+        createMutation('progress', {
+          level: gameData.maxLevel || 1,
+        }),
+        ...pending,
+      ];
+      set({ syncQueue });
+      await StorageUtils.saveSyncQueue(syncQueue);
+    }
+  }
+}
 
 export const useGameStore = create((set, get) => ({
   // State
@@ -14,6 +119,13 @@ export const useGameStore = create((set, get) => ({
   settings: null,
   isLoading: false,
   error: null,
+  syncQueue: [], // 待提交给服务端的变更，见 utils/syncQueue.js
+  syncStatus: 'idle', // 'idle' | 'syncing' | 'offline' | 'signedOut'（设备令牌被拒绝，等待找回账号）
+  lastSyncedAt: null,
+  levelSessions: {}, // 多页关卡中途保存的进度：关卡 → LevelSession（StorageUtils）
+  levelStats: {}, // 每关统计与星级：关卡 → LevelStats（utils/levelStats.js）
+  achievements: createAchievementState(), // 成就解锁记录（utils/achievements.js）
+  achievementToasts: [], // 待显示的成就解锁提示（AchievementToast 依次显示）
 
   // Actions
   initializeApp: async () => {
@@ -21,7 +133,7 @@ export const useGameStore = create((set, get) => ({
     try {
       // Load user data
       let userData = await StorageUtils.getUserData();
-      if (!userData) {
+      if (!userData || typeof userData.uid !== 'string') {
         // Create default user
         userData = {
           id: Date.now(),
@@ -35,6 +147,8 @@ export const useGameStore = create((set, get) => ({
           country: null,
           city: null,
           createTime: Date.now(),
+          // 新安装的本地 uid 从未同步过，注册时不作为 legacyUid 认领，账号由服务端创建
+          createdAfterDeviceAuth: true,
         };
         await StorageUtils.saveUserData(userData);
       }
@@ -43,20 +157,29 @@ export const useGameStore = create((set, get) => ({
       let gameData = await StorageUtils.getData();
       if (!gameData) {
         // Initialize default game data
-        gameData = {
-          maxLevel: 1,
-          maxScore: 0,
-          swapMasterItems: 3, // SwapMaster 道具数量
-          splitItems: 2, // Split 道具数量
-          lastPlayedLevel: 1,
-          hasSeenSimpleRules: false, // 是否已看过简约规则介绍
-        };
-        await StorageUtils.setData(gameData);
+        gameData = { ...DEFAULT_GAME_DATA };
+        await StorageUtils.replaceData(gameData);
+      } else {
+        // 旧版本的数据逐版本升级，再逐字段校验（坏字段换回默认值，不整体重置）
+        const schemaVersion = await StorageUtils.getSchemaVersion();
+        const migrated = migrateGameData(gameData, schemaVersion);
+        const validated = validateGameData(migrated.data);
+        if (migrated.applied.length > 0 || validated.issues.length > 0) {
+          if (validated.issues.length > 0) {
+            console.warn('gameData fields reset to defaults:', validated.issues.join(', '));
+          }
+          gameData = validated.data;
+          await StorageUtils.replaceData(gameData);
+        }
       }
+      await StorageUtils.setSchemaVersion(STORAGE_SCHEMA_VERSION);
+      // 加载成功的数据留作备份，本地 JSON 损坏时用来恢复
+      await StorageUtils.saveBackup('userData', userData);
+      await StorageUtils.saveBackup(`${StorageUtils.miniAppName}info`, gameData);
 
       // Load settings
       let settings = await StorageUtils.getSettings();
-      if (!settings) {
+      if (!settings || typeof settings !== 'object') {
         // 尝试加载昨天的设置
         const yesterday = new Date();
         yesterday.setDate(yesterday.getDate() - 1);
@@ -68,20 +191,58 @@ export const useGameStore = create((set, get) => ({
           await StorageUtils.setSettings(settings);
         } else {
           settings = {
-            soundEnabled: true,
+            ...DEFAULT_AUDIO_SETTINGS,
             hapticsEnabled: true,
           };
           await StorageUtils.setSettings(settings);
         }
       }
+      audioManager.configure(settings);
+
+      // 之前注册过的设备令牌
+      const deviceAuth = await StorageUtils.getDeviceAuth();
+      setAuthToken(deviceAuth?.token);
+
+      // 同步队列：第一次连上服务端时先提交用户信息和本地已有的进度作为基线
+      let syncQueue = await StorageUtils.getSyncQueue();
+      if (API_BASE_URL && !gameData.syncBaselineQueued) {
+        syncQueue = enqueueMutation(syncQueue, createMutation('user', buildUserSyncPayload(userData)));
+        syncQueue = enqueueMutation(syncQueue, createMutation('progress', {
+          level: gameData.maxLevel || 1,
+        }));
+        gameData = { ...gameData, syncBaselineQueued: true };
+        await StorageUtils.saveSyncQueue(syncQueue);
+        await StorageUtils.setData({ syncBaselineQueued: true });
+      }
+
+      // 旧安装在服务端库存上线前攒下的道具：领取一次道具基线，排在队首，
+      // 赶在其他响应以服务端库存覆盖本地数量之前
+      if (API_BASE_URL && !userData.createdAfterDeviceAuth && !gameData.itemBaselineClaimQueued) {
+        syncQueue = [buildItemBaseline(gameData, syncQueue), ...syncQueue];
+        gameData = { ...gameData, itemBaselineClaimQueued: true };
+        await StorageUtils.saveSyncQueue(syncQueue);
+        await StorageUtils.setData({ itemBaselineClaimQueued: true });
+      }
+
+      // 多页关卡的中途进度（Home/Levels 显示“继续”）
+      const levelSessions = await StorageUtils.getLevelSessions();
+      const levelStats = await StorageUtils.getLevelStats();
+      const achievements = (await StorageUtils.getAchievements()) || createAchievementState();
 
       set({ 
         userData, 
         gameData, 
         settings, 
+        syncQueue,
+        levelSessions,
+        levelStats,
+        achievements,
+        syncStatus: deviceAuth?.signedOut ? 'signedOut' : 'idle',
         isLoading: false,
         error: null
       });
+
+      get().flushSyncQueue();
     } catch (error) {
       set({ 
         error: error.message, 
@@ -90,19 +251,298 @@ export const useGameStore = create((set, get) => ({
     }
   },
 
-  updateGameData: async (newData) => {
+  // itemReason 记入服务端道具流水（消耗道具时），例如 'use'、'redo'
+  // 使用道具时带上 itemUseId（createItemUseId），撤销时用 refundOf 指明退还哪一次消耗
+  updateGameData: async (newData, { itemReason, itemUseId, refundOf } = {}) => {
     try {
-      const success = await StorageUtils.setData(newData);
+      // 与 StorageUtils.setData 一样只接受登记过的字段，保持 store 与本地存储一致
+      const { data } = pickGameData(newData);
+      const success = await StorageUtils.setData(data);
       if (success) {
         const currentData = get().gameData || {};
-        const updatedData = { ...currentData, ...newData };
+        const updatedData = { ...currentData, ...data };
         set({ gameData: updatedData });
+        get().queueProgressSync(currentData, updatedData, { reason: itemReason, itemUseId, refundOf });
       }
     } catch (error) {
       set({ error: error.message });
     }
   },
 
+  // 关卡进度提高时排队提交进度结算（服务端据此发放通关奖励），道具减少时排队提交消耗，撤销时提交退还
+  queueProgressSync: (oldData, newData, itemOptions) => {
+    if (!get().userData) return;
+
+    const payload = diffProgress(oldData, newData);
+    if (payload) {
+      get().queueSync('progress', payload, { itemDeltas: getProgressItemDeltas(oldData, payload) });
+    }
+    diffItems(oldData, newData, itemOptions).forEach(({ type, payload: itemPayload, id, itemDeltas }) => {
+      get().queueSync(type, itemPayload, { id, itemDeltas });
+    });
+  },
+
+  // 变更先写入本地队列，再尝试提交；未配置服务端时不排队
+  queueSync: async (type, payload, mutationOptions) => {
+    if (!API_BASE_URL) return;
+    try {
+      const syncQueue = enqueueMutation(get().syncQueue, createMutation(type, payload, mutationOptions));
+      set({ syncQueue });
+      await StorageUtils.saveSyncQueue(syncQueue);
+      get().flushSyncQueue();
+    } catch (error) {
+      set({ error: error.message });
+    }
+  },
+
+  // 确保本机已在服务端注册并持有设备令牌，同步请求的用户由令牌决定
+  // 设备令牌上线前就同步过的旧安装把 uid 作为 legacyUid 认领（服务端开放认领期间）；
+  // 认领不成功时注册为新账号，并把本机进度重新作为基线提交
+  // recovery：令牌失效后为找回账号重新注册，邮箱验证完成前保持 signedOut
+  ensureDeviceAuth: ({ recovery = false } = {}) => {
+    if (getAuthToken()) return Promise.resolve();
+    if (!deviceAuthPromise) {
+      deviceAuthPromise = registerDeviceAuth(get, set, { recovery })
+        .finally(() => {
+          deviceAuthPromise = null;
+        });
+    }
+    return deviceAuthPromise;
+  },
+
+  // 普通挑战开局：向服务端申请本局 seed；未配置服务端、同步暂停或请求失败时返回 null（本局只记本地成绩）
+  requestChallengeSeed: async (variant) => {
+    if (!API_BASE_URL || get().syncStatus === 'signedOut') return null;
+    try {
+      await get().ensureDeviceAuth();
+      const response = await startChallengeRun(variant);
+      return response?.seed || null;
+    } catch (error) {
+      console.warn('⚠️ 获取挑战 seed 失败，本局不提交排行榜:', error.message);
+      return null;
+    }
+  },
+
+  // 每日挑战开局：向服务端申请今天的 seed，返回 { date, seed }；拿不到（包括今天已经结算过）时返回 null，本局只记本地成绩
+  requestDailyChallengeSeed: async () => {
+    if (!API_BASE_URL || get().syncStatus === 'signedOut') return null;
+    try {
+      await get().ensureDeviceAuth();
+      const response = await startDailyChallenge();
+      return response?.seed ? { date: response.date, seed: response.seed } : null;
+    } catch (error) {
+      console.warn('⚠️ 获取每日挑战 seed 失败，本局不提交排行榜:', error.message);
+      return null;
+    }
+  },
+
+  // 关联邮箱第一步：发送验证码
+  // 令牌失效（signedOut）时这也是找回账号的入口：本机重新注册，验证邮箱后并入邮箱所属的账号
+  requestEmailLink: async (email) => {
+    try {
+      const deviceAuth = await StorageUtils.getDeviceAuth();
+      if (get().syncStatus === 'signedOut' && !deviceAuth?.recovery) {
+        await StorageUtils.clearDeviceAuth();
+        setAuthToken(null);
+        await get().ensureDeviceAuth({ recovery: true });
+      } else {
+        await get().ensureDeviceAuth();
+      }
+      await startEmailLink(email);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  },
+
+  // 关联邮箱第二步：提交验证码；账号被合并时换用新令牌和 uid，并合并服务端的进度
+  confirmEmailLink: async (email, code) => {
+    try {
+      const response = await verifyEmailLink(email, code);
+      const { uid } = response.user;
+
+      const { signedOut, recovery, ...deviceAuth } = (await StorageUtils.getDeviceAuth()) || {};
+      if (response.token || signedOut) {
+        await StorageUtils.saveDeviceAuth({ ...deviceAuth, token: response.token || deviceAuth.token, uid });
+        setAuthToken(response.token || deviceAuth.token);
+      }
+
+      const userData = { ...get().userData, uid, email: response.user.email };
+      await StorageUtils.saveUserData(userData);
+
+      const updates = resolveAccountResponse(get().gameData, response, get().syncQueue);
+      if (updates) {
+        await StorageUtils.setData(updates);
+      }
+      set({ userData, gameData: { ...get().gameData, ...updates } });
+
+      // 找回账号完成：先补交本机进度作为基线（服务端取较大值），再恢复同步
+      if (signedOut) {
+        const syncQueue = [
+          createMutation('progress', { level: get().gameData?.maxLevel || 1 }),
+          ...get().syncQueue,
+        ];
+        set({ syncQueue, syncStatus: 'idle' });
+        await StorageUtils.saveSyncQueue(syncQueue);
+        get().flushSyncQueue();
+      }
+      return { ok: true, merged: response.merged };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  },
+
+  // 按顺序提交队列；遇到可重试的失败就停下并按退避时间稍后再试，保证先后顺序不变
+  flushSyncQueue: async () => {
+    if (!API_BASE_URL || isFlushing || get().syncStatus === 'signedOut') return;
+    isFlushing = true;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    set({ syncStatus: 'syncing' });
+
+    try {
+      for (;;) {
+        const mutation = get().syncQueue[0];
+        if (!mutation) {
+          set({ syncStatus: 'idle' });
+          break;
+        }
+
+        // 旧版本排队、服务端已不再提供的接口（例如道具发放 itemGrant）：直接丢弃
+        if (!SYNC_ENDPOINTS[mutation.type]) {
+          const syncQueue = get().syncQueue.filter(item => item.id !== mutation.id);
+          set({ syncQueue });
+          await StorageUtils.saveSyncQueue(syncQueue);
+          continue;
+        }
+
+        const now = Date.now();
+        if (mutation.nextAttemptAt > now) {
+          set({ syncStatus: 'offline' });
+          scheduleRetry(get().flushSyncQueue, mutation.nextAttemptAt - now);
+          break;
+        }
+
+        // 还没有设备令牌时先注册；注册失败不丢弃队列，稍后再试
+        try {
+          await get().ensureDeviceAuth();
+        } catch (error) {
+          console.warn('⚠️ 设备注册失败，稍后重试:', error.message);
+          set({ syncStatus: 'offline' });
+          scheduleRetry(get().flushSyncQueue, AUTH_RETRY_DELAY);
+          break;
+        }
+
+        try {
+          // 变更 id 作为幂等键：上次请求已生效但响应丢失时，重试不会重复发放道具
+          const response = await postJSON(SYNC_ENDPOINTS[mutation.type], mutation.payload, {
+            idempotencyKey: mutation.id,
+          });
+          const syncQueue = get().syncQueue.filter(item => item.id !== mutation.id);
+          const updates = resolveSyncResponse(get().gameData, mutation, response, syncQueue);
+
+          set({ syncQueue, lastSyncedAt: Date.now() });
+          await StorageUtils.saveSyncQueue(syncQueue);
+
+          // 服务端结果合并进本地（直接写入，不再触发新的同步）
+          if (updates) {
+            await StorageUtils.setData(updates);
+            set({ gameData: { ...get().gameData, ...updates } });
+          }
+        } catch (error) {
+          // 令牌被服务端拒绝（设备已注销等）：不自动注册新账号（进度会分到另一个账号上），
+          // 队列原样保留并暂停同步，由用户通过关联邮箱找回账号（见 requestEmailLink）
+          if (error.status === 401) {
+            const deviceAuth = await StorageUtils.getDeviceAuth();
+            await StorageUtils.saveDeviceAuth({ ...deviceAuth, signedOut: true, recovery: false });
+            console.warn('⚠️ 设备令牌已失效，同步已暂停:', error.message);
+            set({ syncStatus: 'signedOut' });
+            break;
+          }
+
+          let syncQueue;
+          if (isRetryableError(error)) {
+            syncQueue = get().syncQueue.map(item => (item.id === mutation.id ? markAttemptFailed(item) : item));
+          } else {
+            console.warn('⚠️ 同步请求被服务端拒绝，已丢弃:', mutation.type, error.message);
+            syncQueue = get().syncQueue.filter(item => item.id !== mutation.id);
+          }
+
+          set({ syncQueue });
+          await StorageUtils.saveSyncQueue(syncQueue);
+        }
+      }
+    } catch (error) {
+      set({ error: error.message });
+    } finally {
+      isFlushing = false;
+    }
+  },
+
+  // 保存多页关卡的中途进度
+  saveLevelSession: async (session) => {
+    try {
+      await StorageUtils.saveLevelSession(session);
+      set({ levelSessions: await StorageUtils.getLevelSessions() });
+    } catch (error) {
+      set({ error: error.message });
+    }
+  },
+
+  // 通关或重置后删除中途进度
+  clearLevelSession: async (level) => {
+    try {
+      await StorageUtils.deleteLevelSession(level);
+      set({ levelSessions: await StorageUtils.getLevelSessions() });
+    } catch (error) {
+      set({ error: error.message });
+    }
+  },
+
+  // 记录一次开局
+  recordLevelAttempt: async (level) => {
+    try {
+      const levelStats = { ...get().levelStats, [level]: recordAttempt(get().levelStats[level]) };
+      set({ levelStats });
+      await StorageUtils.saveLevelStats(levelStats);
+    } catch (error) {
+      set({ error: error.message });
+    }
+  },
+
+  // 记录一次通关 @param {{timeMs, clears, itemsUsed, stars}} result
+  recordLevelCompletion: async (level, result) => {
+    try {
+      const levelStats = { ...get().levelStats, [level]: recordCompletion(get().levelStats[level], result) };
+      set({ levelStats });
+      await StorageUtils.saveLevelStats(levelStats);
+    } catch (error) {
+      set({ error: error.message });
+    }
+  },
+
+  // 上报成就事件，新解锁的成就加入提示队列
+  reportAchievementEvent: async (event) => {
+    try {
+      const { achievements, achievementToasts, gameData, levelStats } = get();
+      const result = applyAchievementEvent(achievements, event, { gameData, levelStats });
+      set({
+        achievements: result.state,
+        achievementToasts: result.unlocked.length > 0
+          ? [...achievementToasts, ...result.unlocked.map(({ id, title, description, icon }) => ({ id, title, description, icon }))]
+          : achievementToasts,
+      });
+      await StorageUtils.saveAchievements(result.state);
+    } catch (error) {
+      set({ error: error.message });
+    }
+  },
+
+  // 当前提示显示完毕
+  dismissAchievementToast: () => set(state => ({ achievementToasts: state.achievementToasts.slice(1) })),
+
   updateSettings: async (newSettings) => {
     try {
       const success = await StorageUtils.setSettings(newSettings);
@@ -110,6 +550,7 @@ export const useGameStore = create((set, get) => ({
         const currentSettings = get().settings || {};
         const updatedSettings = { ...currentSettings, ...newSettings };
         set({ settings: updatedSettings });
+        audioManager.configure(updatedSettings);
       }
     } catch (error) {
       set({ error: error.message });
@@ -135,31 +576,106 @@ export const useGameStore = create((set, get) => ({
         maxScore: 0,
         swapMasterItems: 3,
         splitItems: 2,
+        hintItems: 3,
         lastPlayedLevel: 1,
         hasSeenSimpleRules: false, // 重置简约规则状态
         hasSeenOnboarding: false, // 重置新手引导状态
         hasSeenButtonGuide: false, // 重置按钮引导状态
         hasSeenItemGuide: false, // 重置道具引导状态
+        dailyChallenge: null, // 清除每日挑战记录和连续天数
+        challengeBests: {}, // 清除挑战变体最佳成绩
       };
       
       // Reset settings
       const resetSettings = {
-        soundEnabled: true,
+        ...DEFAULT_AUDIO_SETTINGS,
         hapticsEnabled: true,
       };
 
+      const currentData = get().gameData || {};
       await StorageUtils.setData(resetGameData);
       await StorageUtils.setSettings(resetSettings);
+      await StorageUtils.clearLevelSessions();
+      await StorageUtils.saveLevelStats({});
+      await StorageUtils.saveAchievements(createAchievementState());
       
       set({ 
-        gameData: resetGameData, 
-        settings: resetSettings 
+        gameData: { ...currentData, ...resetGameData }, 
+        settings: resetSettings,
+        levelSessions: {},
+        levelStats: {},
+        achievements: createAchievementState(),
+        achievementToasts: [],
       });
+      audioManager.configure(resetSettings);
+      // 只重置本机数据，不排队同步：道具减少会被当成消耗提交，删掉玩家在服务端的道具
     } catch (error) {
       set({ error: error.message });
     }
   },
 
+  // 导入存档码中的进度（已由 utils/saveCode.js 校验），覆盖本机数据
+  // 只恢复本机数据，不向服务端提交：存档码可以被改写，服务端的进度和道具不因导入而变化，
+  // 同步开启时道具数量在下一次同步后以服务端库存为准
+  importSaveData: async (data) => {
+    try {
+      const currentData = get().gameData || {};
+      // 存档码不记录本地数据的结构版本，按最早的版本升级（迁移可以重复执行）；同步基线标记只对本机有效
+      const { data: migrated } = migrateGameData(data.gameData, 0);
+      const { data: gameData } = pickGameData({
+        ...validateGameData(migrated).data,
+        syncBaselineQueued: currentData.syncBaselineQueued,
+        itemBaselineQueued: currentData.itemBaselineQueued,
+        itemBaselineClaimQueued: currentData.itemBaselineClaimQueued,
+      });
+      const settings = { ...DEFAULT_AUDIO_SETTINGS, hapticsEnabled: true, ...data.settings };
+      // 服务端身份属于本机的设备注册，导入只替换资料和进度，保留本机的 uid
+      const currentUser = get().userData;
+      const userData = currentUser
+        ? { ...data.userData, id: currentUser.id, uid: currentUser.uid, createdAfterDeviceAuth: currentUser.createdAfterDeviceAuth }
+        : data.userData;
+
+      await StorageUtils.saveUserData(userData);
+      await StorageUtils.replaceData(gameData);
+      await StorageUtils.setSettings(settings);
+      await StorageUtils.clearLevelSessions();
+      await StorageUtils.saveLevelStats(data.levelStats);
+      await StorageUtils.saveAchievements(data.achievements);
+
+      set({
+        userData,
+        gameData,
+        settings,
+        levelSessions: {},
+        levelStats: data.levelStats,
+        achievements: data.achievements,
+        achievementToasts: [],
+      });
+      audioManager.configure(settings);
+      return true;
+    } catch (error) {
+      set({ error: error.message });
+      return false;
+    }
+  },
+
+  // 音频：播放由 utils/audioManager.js 负责，开关和音量来自 settings
+  // 组件挂载时 loadSounds、卸载时 unloadSounds（按引用计数卸载）
+  loadSounds: (names) => audioManager.loadEffects(names),
+
+  unloadSounds: (names) => audioManager.unloadEffects(names),
+
+  playSound: (name) => audioManager.play(name),
+
+  playStageMusic: (level) => audioManager.playStageMusic(level),
+
+  stopMusic: () => audioManager.stopMusic(),
+
+  // 弹窗显示时压低背景音乐，关闭时恢复（成对调用）
+  duckAudio: () => audioManager.duck(),
+
+  unduckAudio: () => audioManager.unduck(),
+
   clearError: () => set({ error: null }),
 
   // 加载指定日期的设置
@@ -170,6 +686,7 @@ export const useGameStore = create((set, get) => ({
         // 重新加载设置到状态中
         const settings = await StorageUtils.getSettings();
         set({ settings });
+        audioManager.configure(settings);
         return true;
       }
       return false;
@@ -4,6 +4,8 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getReplaySummary } from './replay';
+import { pickGameData } from './storageSchema';
 
 /**
  * @typedef {Object} UserData
@@ -18,19 +20,105 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
  * @property {string} country
  * @property {string} city
  * @property {number} createTime
+ * @property {boolean} [createdAfterDeviceAuth] - 设备令牌上线后才创建的安装（uid 从未同步过，不作为 legacyUid 认领）
  */
 
 /**
  * @typedef {Object} GameData
  * @property {number} maxLevel
  * @property {number} maxScore
- * @property {number} changeItems
+ * @property {number} swapMasterItems
+ * @property {number} splitItems
+ * @property {number} hintItems
  * @property {number} lastPlayedLevel
+ * @property {boolean} [hasSeenSimpleRules]
+ * @property {boolean} [hasSeenOnboarding]
+ * @property {boolean} [hasSeenButtonGuide]
+ * @property {boolean} [hasSeenItemGuide]
+ * @property {boolean} [syncBaselineQueued] - 已排队提交过本机进度基线
+ * @property {boolean} [itemBaselineQueued] - 旧版本：已排队提交过本机道具数量基线（道具改由服务端发放后不再使用）
+ * @property {boolean} [itemBaselineClaimQueued] - 已排队领取过道具基线（服务端库存上线前本机攒下的道具）
+ * @property {DailyChallengeRecord|null} [dailyChallenge]
+ * @property {Object<string, number>} [challengeBests] - 非经典挑战变体的最佳 IQ：变体 id → IQ
+ */
+
+/**
+ * @typedef {Object} DailyChallengeRecord
+ * @property {string|null} lastDate - 最近一次结算的 UTC 日期（YYYY-MM-DD）
+ * @property {number} lastIQ
+ * @property {number} bestIQ
+ * @property {number} streak - 连续天数
+ * @property {number} bestStreak
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {number} version
+ * @property {string} id
+ * @property {'level'|'challenge'} mode
+ * @property {number} level
+ * @property {number} startedAt
+ * @property {number|null} finishedAt
+ * @property {Object|null} result
+ * @property {Object[]} events
+ */
+
+/**
+ * @typedef {Object} LevelSession - 多页关卡中途保存的进度
+ * @property {number} level
+ * @property {Object} board - 当前页的棋盘（含 tiles、width、height、layoutConfig、seed）
+ * @property {number} completedPages
+ * @property {number} totalPages
+ * @property {number} clearedTiles - 当前页已消除的方块数
+ * @property {number} totalTiles - 当前页的方块总数
+ * @property {number} undosLeft - 剩余撤销次数
+ * @property {{clears: number, itemsUsed: number, elapsedMs: number}} [runStats] - 本局统计（utils/levelStats.js）
+ * @property {Replay|null} replay - 未结束的录像，继续时接着录
+ * @property {number} savedAt
+ */
+
+/**
+ * @typedef {Object} LevelStats - 每关统计（utils/levelStats.js）
+ * @property {number} attempts
+ * @property {number} completions
+ * @property {number} stars - 最好成绩的星数 0~3
+ * @property {number|null} bestTimeMs
+ * @property {number} clears
+ * @property {number} itemsUsed
+ */
+
+/**
+ * @typedef {Object} AchievementState - 成就（utils/achievements.js）
+ * @property {Object<string, number>} unlocked - 成就 id → 解锁时间
+ * @property {{clears: number}} counters - 累计计数
+ */
+
+/**
+ * @typedef {Object} SyncMutation
+ * @property {string} id
+ * @property {'user'|'progress'|'itemConsume'|'itemRefund'|'challenge'|'dailyChallenge'} type
+ * @property {Object} payload - 对应接口的请求体
+ * @property {Object<string, number>} [itemDeltas] - 提交后服务端库存的预期变化（道具类型 → 增量）
+ * @property {number} createdAt
+ * @property {number} attempts - 已失败的次数
+ * @property {number} nextAttemptAt - 下次可以重试的时间
+ */
+
+/**
+ * @typedef {Object} DeviceAuth - 本机在服务端的注册信息（POST /api/auth/register）
+ * @property {string} deviceId
+ * @property {string} token - 设备令牌，请求时放在 Authorization 头
+ * @property {string} uid - 令牌对应的服务端用户
+ * @property {boolean} [signedOut] - 令牌被服务端拒绝，同步暂停，等待通过关联邮箱找回账号
+ * @property {boolean} [recovery] - 找回账号时新注册的令牌（邮箱验证完成前仍处于 signedOut）
  */
 
 /**
  * @typedef {Object} Settings
  * @property {boolean} soundEnabled
+ * @property {boolean} [musicEnabled]
+ * @property {number} [sfxVolume] - 音效音量 0~1
+ * @property {number} [musicVolume] - 音乐音量 0~1
  * @property {boolean} hapticsEnabled
  */
 
@@ -38,14 +126,15 @@ class StorageUtils {
   /** namespace key prefix */
   static miniAppName = 'KidderCrushMiniApp';
 
+  /** 最多保留的录像数量（超出时删除最旧的） */
+  static maxReplays = 20;
+
+  /** 最多保留的中途进度数量（超出时删除最早保存的） */
+  static maxLevelSessions = 5;
+
   /** @returns {Promise<UserData|null>} */
   static async getUserData() {
-    try {
-      const raw = await AsyncStorage.getItem('userData');
-      return raw ? JSON.parse(raw) : null;
-    } catch (error) {
-      return null;
-    }
+    return this.readRecoverable('userData');
   }
 
   /** @param {UserData} userData @returns {Promise<boolean>} */
@@ -60,19 +149,18 @@ class StorageUtils {
 
   /** @returns {Promise<GameData|null>} */
   static async getData() {
-    try {
-      const raw = await AsyncStorage.getItem(`${this.miniAppName}info`);
-      return raw ? JSON.parse(raw) : null;
-    } catch (error) {
-      return null;
-    }
+    return this.readRecoverable(`${this.miniAppName}info`);
   }
 
-  /** @param {Partial<GameData>} newData @returns {Promise<boolean>} */
+  /** 合并写入，只保留 storageSchema 中登记且类型正确的字段 @param {Partial<GameData>} newData @returns {Promise<boolean>} */
   static async setData(newData) {
     try {
+      const { data, rejected } = pickGameData(newData);
+      if (rejected.length > 0) {
+        console.warn('StorageUtils.setData ignored invalid fields:', rejected.join(', '));
+      }
       const oldData = await this.getData();
-      const merged = oldData ? { ...oldData, ...newData } : (newData || {});
+      const merged = oldData ? { ...oldData, ...data } : data;
       await AsyncStorage.setItem(`${this.miniAppName}info`, JSON.stringify(merged));
       return true;
     } catch (error) {
@@ -80,22 +168,82 @@ class StorageUtils {
     }
   }
 
-  /** @returns {Promise<Settings|null>} */
-  static async getSettings() {
+  /** 整体覆盖游戏数据（迁移和校验后使用，调用方负责内容合法） @param {GameData} data @returns {Promise<boolean>} */
+  static async replaceData(data) {
     try {
-      const raw = await AsyncStorage.getItem(`${this.miniAppName}settings`);
+      await AsyncStorage.setItem(`${this.miniAppName}info`, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 游戏数据的结构版本，没有记录时为 0 @returns {Promise<number>} */
+  static async getSchemaVersion() {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}schemaVersion`);
+      return raw ? Number(raw) || 0 : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /** @param {number} version @returns {Promise<boolean>} */
+  static async setSchemaVersion(version) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}schemaVersion`, String(version));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 读取 JSON；内容损坏时保留原文（corrupt_ 前缀）并用最近的备份恢复 @param {string} key @returns {Promise<Object|null>} */
+  static async readRecoverable(key) {
+    let raw;
+    try {
+      raw = await AsyncStorage.getItem(key);
       return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      if (!raw) return null;
+    }
+
+    try {
+      console.warn(`StorageUtils: ${key} is corrupted, restoring from backup`);
+      await AsyncStorage.setItem(`${this.miniAppName}corrupt_${key}`, raw);
+      const backup = await AsyncStorage.getItem(`${this.miniAppName}backup_${key}`);
+      const data = backup ? JSON.parse(backup) : null;
+      if (data) {
+        await AsyncStorage.setItem(key, backup);
+      }
+      return data;
     } catch (error) {
       return null;
     }
   }
 
-  /** @param {Partial<Settings>} settings @returns {Promise<boolean>} */
+  /** 保存加载成功的数据作为备份，供 readRecoverable 恢复 @param {string} key @param {Object} data @returns {Promise<boolean>} */
+  static async saveBackup(key, data) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}backup_${key}`, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** @returns {Promise<Settings|null>} */
+  static async getSettings() {
+    return this.readRecoverable(`${this.miniAppName}settings`);
+  }
+
+  /** 合并写入，同时更新备份（设置只在这里写入，供 getSettings 损坏时恢复） @param {Partial<Settings>} settings @returns {Promise<boolean>} */
   static async setSettings(settings) {
     try {
       const oldSettings = await this.getSettings();
       const merged = oldSettings ? { ...oldSettings, ...settings } : (settings || {});
       await AsyncStorage.setItem(`${this.miniAppName}settings`, JSON.stringify(merged));
+      await this.saveBackup(`${this.miniAppName}settings`, merged);
       return true;
     } catch (error) {
       return false;
@@ -147,6 +295,194 @@ class StorageUtils {
       return [];
     }
   }
+
+  /** 获取待同步队列 @returns {Promise<SyncMutation[]>} */
+  static async getSyncQueue() {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}syncQueue`);
+      return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /** 保存待同步队列（整体覆盖） @param {SyncMutation[]} queue @returns {Promise<boolean>} */
+  static async saveSyncQueue(queue) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}syncQueue`, JSON.stringify(queue));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 设备令牌 @returns {Promise<DeviceAuth|null>} */
+  static async getDeviceAuth() {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}deviceAuth`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /** @param {DeviceAuth} auth @returns {Promise<boolean>} */
+  static async saveDeviceAuth(auth) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}deviceAuth`, JSON.stringify(auth));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 删除设备令牌（服务端拒绝令牌时，下次同步重新注册） @returns {Promise<boolean>} */
+  static async clearDeviceAuth() {
+    try {
+      await AsyncStorage.removeItem(`${this.miniAppName}deviceAuth`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 获取所有中途进度：关卡 → 进度 @returns {Promise<Object<string, LevelSession>>} */
+  static async getLevelSessions() {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}levelSessions`);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /** 保存关卡的中途进度（覆盖该关卡之前的进度） @param {LevelSession} session @returns {Promise<boolean>} */
+  static async saveLevelSession(session) {
+    try {
+      const sessions = { ...(await this.getLevelSessions()), [session.level]: session };
+      const kept = Object.values(sessions)
+        .sort((a, b) => b.savedAt - a.savedAt)
+        .slice(0, this.maxLevelSessions);
+      const next = Object.fromEntries(kept.map(item => [item.level, item]));
+      await AsyncStorage.setItem(`${this.miniAppName}levelSessions`, JSON.stringify(next));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 删除关卡的中途进度 @param {number} level @returns {Promise<boolean>} */
+  static async deleteLevelSession(level) {
+    try {
+      const sessions = await this.getLevelSessions();
+      if (!sessions[level]) return true;
+      delete sessions[level];
+      await AsyncStorage.setItem(`${this.miniAppName}levelSessions`, JSON.stringify(sessions));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 获取每关统计：关卡 → 统计 @returns {Promise<Object<string, LevelStats>>} */
+  static async getLevelStats() {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}levelStats`);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /** 保存每关统计（整体覆盖） @param {Object<string, LevelStats>} stats @returns {Promise<boolean>} */
+  static async saveLevelStats(stats) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}levelStats`, JSON.stringify(stats));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 获取成就状态 @returns {Promise<AchievementState|null>} */
+  static async getAchievements() {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}achievements`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /** 保存成就状态（整体覆盖） @param {AchievementState} state @returns {Promise<boolean>} */
+  static async saveAchievements(state) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}achievements`, JSON.stringify(state));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 删除所有中途进度 @returns {Promise<boolean>} */
+  static async clearLevelSessions() {
+    try {
+      await AsyncStorage.removeItem(`${this.miniAppName}levelSessions`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 获取录像列表（摘要，最新在前） @returns {Promise<Object[]>} */
+  static async getReplayList() {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}replays`);
+      return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /** 保存录像（同时更新列表摘要） @param {Replay} replay @returns {Promise<boolean>} */
+  static async saveReplay(replay) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}replay_${replay.id}`, JSON.stringify(replay));
+
+      const list = (await this.getReplayList()).filter(item => item.id !== replay.id);
+      list.unshift(getReplaySummary(replay));
+      const removed = list.splice(this.maxReplays);
+      await AsyncStorage.setItem(`${this.miniAppName}replays`, JSON.stringify(list));
+      if (removed.length > 0) {
+        await AsyncStorage.multiRemove(removed.map(item => `${this.miniAppName}replay_${item.id}`));
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /** 读取录像 @param {string} id @returns {Promise<Replay|null>} */
+  static async getReplay(id) {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.miniAppName}replay_${id}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /** 删除录像 @param {string} id @returns {Promise<boolean>} */
+  static async deleteReplay(id) {
+    try {
+      await AsyncStorage.removeItem(`${this.miniAppName}replay_${id}`);
+      const list = (await this.getReplayList()).filter(item => item.id !== id);
+      await AsyncStorage.setItem(`${this.miniAppName}replays`, JSON.stringify(list));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
 }
 
 export default StorageUtils;
\ No newline at end of file
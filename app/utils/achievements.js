@@ -0,0 +1,164 @@
+/**
+ * Achievements - 成就引擎
+ * Purpose: 游戏过程中上报事件，按定义判断是否解锁成就；解锁记录和累计计数通过 StorageUtils 保存
+ *
+ * 事件：
+ *   clear          { tiles, mode: 'level'|'challenge' }                一次消除
+ *   levelComplete  { level, itemsUsed, stars }                         通关
+ *   challengeEnd   { iq, variant, maxCombo, daily, streak }            挑战结束（streak 为每日挑战连续天数）
+ *
+ * 新增成就：在 ACHIEVEMENTS 中登记 check(event, context)，context 为 { counters, gameData, levelStats }
+ */
+
+import { STAGE_GROUPS } from './stageNames';
+import { getChallengeVariant } from '../../shared/challengeVariants';
+
+// 挑战 IQ 按变体的 titleScale 换算成经典模式的尺度，与 IQ 称号一致
+const normalizedIQ = (event) => event.iq / getChallengeVariant(event.variant).titleScale;
+
+// 阶段内的每一关都已通关（本次通关的关卡、maxLevel 以内或统计中有通关记录）
+function isStageGroupComplete(group, event, { gameData, levelStats }) {
+  const [min, max] = group.range;
+  if (event.level < min || event.level > max) return false;
+  for (let level = min; level <= max; level++) {
+    const done = level === event.level
+      || level <= (gameData?.maxLevel || 0)
+      || (levelStats?.[level]?.completions || 0) > 0;
+    if (!done) return false;
+  }
+  return true;
+}
+
+const STAGE_ACHIEVEMENTS = Object.entries(STAGE_GROUPS).map(([name, group]) => ({
+  id: `stage_${name.toLowerCase().replace(/\s+/g, '_')}`,
+  title: `${name} Graduate`,
+  description: `Complete every ${name} level (${group.range[0]}–${group.range[1]})`,
+  icon: 'school',
+  check: (event, context) => event.type === 'levelComplete' && isStageGroupComplete(group, event, context),
+}));
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_clear',
+    title: 'First Ten',
+    description: 'Clear your first rectangle',
+    icon: 'sparkles',
+    check: (event, { counters }) => event.type === 'clear' && counters.clears >= 1,
+  },
+  {
+    id: 'clears_100',
+    title: 'Century',
+    description: 'Make 100 clears',
+    icon: 'flash',
+    check: (event, { counters }) => event.type === 'clear' && counters.clears >= 100,
+  },
+  {
+    id: 'clears_1000',
+    title: 'Clearing Machine',
+    description: 'Make 1,000 clears',
+    icon: 'rocket',
+    check: (event, { counters }) => event.type === 'clear' && counters.clears >= 1000,
+  },
+  {
+    id: 'big_rect_5',
+    title: 'Big Picture',
+    description: 'Clear 5 or more tiles at once',
+    icon: 'expand',
+    check: (event) => event.type === 'clear' && event.tiles >= 5,
+  },
+  {
+    id: 'big_rect_8',
+    title: 'Wide Angle',
+    description: 'Clear 8 or more tiles at once',
+    icon: 'scan',
+    check: (event) => event.type === 'clear' && event.tiles >= 8,
+  },
+  {
+    id: 'no_items',
+    title: 'Purist',
+    description: 'Complete a level without using any items',
+    icon: 'leaf',
+    check: (event) => event.type === 'levelComplete' && event.itemsUsed === 0,
+  },
+  {
+    id: 'three_stars',
+    title: 'Star Student',
+    description: 'Earn 3 stars on a level',
+    icon: 'star',
+    check: (event) => event.type === 'levelComplete' && event.stars >= 3,
+  },
+  {
+    id: 'iq_100',
+    title: 'Above Average',
+    description: 'Reach 100 IQ in a challenge',
+    icon: 'bulb',
+    check: (event) => event.type === 'challengeEnd' && normalizedIQ(event) >= 100,
+  },
+  {
+    id: 'iq_145',
+    title: 'Cosmic Genius',
+    description: 'Reach 145 IQ in a challenge',
+    icon: 'planet',
+    check: (event) => event.type === 'challengeEnd' && normalizedIQ(event) >= 145,
+  },
+  {
+    id: 'combo_5',
+    title: 'On Fire',
+    description: 'Chain a 5-clear combo in a challenge',
+    icon: 'flame',
+    check: (event) => event.type === 'challengeEnd' && event.maxCombo >= 5,
+  },
+  {
+    id: 'streak_3',
+    title: 'Habit Forming',
+    description: 'Play the Daily Challenge 3 days in a row',
+    icon: 'calendar',
+    check: (event) => event.type === 'challengeEnd' && event.daily && event.streak >= 3,
+  },
+  {
+    id: 'streak_7',
+    title: 'Week Warrior',
+    description: 'Play the Daily Challenge 7 days in a row',
+    icon: 'trophy',
+    check: (event) => event.type === 'challengeEnd' && event.daily && event.streak >= 7,
+  },
+  ...STAGE_ACHIEVEMENTS,
+];
+
+// 空的成就状态：unlocked 为 成就 id → 解锁时间
+export function createAchievementState() {
+  return {
+    unlocked: {},
+    counters: { clears: 0 },
+  };
+}
+
+/**
+ * 处理一个事件
+ * @param {Object} state - 当前成就状态
+ * @param {Object} event - 见文件头的事件列表
+ * @param {Object} context - { gameData, levelStats }
+ * @returns {{state: Object, unlocked: Object[]}} 新的状态和本次解锁的成就
+ */
+export function applyAchievementEvent(state, event, context = {}) {
+  const current = state || createAchievementState();
+  const counters = { ...current.counters };
+  if (event.type === 'clear') {
+    counters.clears = (counters.clears || 0) + 1;
+  }
+
+  const now = Date.now();
+  const unlocked = ACHIEVEMENTS.filter(achievement =>
+    !current.unlocked[achievement.id] && achievement.check(event, { ...context, counters })
+  );
+
+  const nextUnlocked = { ...current.unlocked };
+  unlocked.forEach(achievement => {
+    nextUnlocked[achievement.id] = now;
+  });
+
+  return {
+    state: { unlocked: nextUnlocked, counters },
+    unlocked,
+  };
+}
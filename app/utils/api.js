@@ -0,0 +1,173 @@
+/**
+ * API - 后端接口调用
+ * Purpose: 向 backend 提交结算等数据；未配置 EXPO_PUBLIC_API_BASE_URL 时所有请求直接跳过
+ */
+
+export const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || null;
+
+// 设备令牌（POST /api/auth/register 签发），设置后每个请求都带上 Authorization 头
+let authToken = null;
+
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+
+export function getAuthToken() {
+  return authToken;
+}
+
+function buildHeaders(headers = {}) {
+  return authToken ? { ...headers, Authorization: `Bearer ${authToken}` } : headers;
+}
+
+/**
+ * POST JSON 请求
+ * @param {string} path - 例如 '/api/challenge/settle'
+ * @param {Object} body - 请求体
+ * @param {{idempotencyKey?: string}} options - 重试同一请求时带相同的 idempotencyKey，服务端只生效一次
+ * @returns {Promise<Object|null>} 响应 JSON；未配置服务端时为 null
+ */
+export async function postJSON(path, body, { idempotencyKey } = {}) {
+  if (!API_BASE_URL) return null;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: buildHeaders(headers),
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data?.message || `Request failed: ${response.status}`);
+    error.status = response.status;
+    error.details = data?.details;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * GET JSON 请求
+ * @param {string} path - 例如 '/api/leaderboard/weekly'
+ * @param {Object} params - 查询参数（值为 undefined/null 的参数会被忽略）
+ * @returns {Promise<Object|null>} 响应 JSON；未配置服务端时为 null
+ */
+export async function getJSON(path, params = {}) {
+  if (!API_BASE_URL) return null;
+
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  const response = await fetch(`${API_BASE_URL}${path}${query ? `?${query}` : ''}`, {
+    headers: buildHeaders(),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data?.message || `Request failed: ${response.status}`);
+    error.status = response.status;
+    error.details = data?.details;
+    throw error;
+  }
+
+  return data;
+}
+
+// 每次安装生成一次的设备 ID
+export function createDeviceId() {
+  const bytes = new Uint8Array(16);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return `dev_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * 注册本机，换取设备令牌
+ * @param {{deviceId: string, platform?: string, legacyUid?: string}} device - legacyUid 为之前同步过的 uid（只能被第一台注册的设备认领）
+ * @returns {Promise<{registered: boolean, claimed: boolean, token: string, user: {uid: string}}|null>}
+ */
+export function registerDevice(device) {
+  return postJSON('/api/auth/register', device);
+}
+
+// 向邮箱发送验证码（关联邮箱的第一步）
+export function startEmailLink(email) {
+  return postJSON('/api/account/email/start', { email });
+}
+
+/**
+ * 验证码正确后关联邮箱；邮箱已属于其他账号时，本机账号合并进去（换设备或重装后找回进度）
+ * @returns {Promise<{linked: boolean, merged: boolean, token?: string, user: {uid: string, email: string},
+ *   progress: {bestLevel: number, changeItems: number}, challengeBests: Object<string, number>}|null>}
+ *   merged 时 token 为合并后账号的新设备令牌
+ */
+export function verifyEmailLink(email, code) {
+  return postJSON('/api/account/email/verify', { email, code });
+}
+
+/**
+ * 普通挑战开局前向服务端申请本局 seed（服务端签名、限时，只能结算一次）
+ * @param {string} variant - 玩法变体（shared/challengeVariants.js）
+ * @returns {Promise<{seed: string, variant: string, expiresAt: string}|null>}
+ */
+export function startChallengeRun(variant) {
+  return postJSON('/api/challenge/start', { variant });
+}
+
+/**
+ * 每日挑战开局前向服务端申请今天的 seed（服务端签名，与用户和日期绑定，只能结算一次）
+ * 今天已经结算过时返回 409
+ * @returns {Promise<{date: string, seed: string, expiresAt: string}|null>}
+ */
+export function startDailyChallenge() {
+  return postJSON('/api/challenge/daily/start', {});
+}
+
+/**
+ * 从挑战录像生成结算请求：本局 seed + 按时间排序的消除/提示操作
+ * @param {string} seed - 本局 seed（每块棋盘的 seed 由它派生）
+ * @param {Object} replay - 已结束的挑战录像（utils/replay.js）
+ * @param {string} [variant] - 玩法变体（shared/challengeVariants.js）
+ */
+export function buildChallengeSettlePayload(seed, replay, variant = 'classic') {
+  const moves = [];
+
+  replay.events.forEach(event => {
+    if (event.type === 'select' && event.sum === 10) {
+      const { t, startRow, startCol, endRow, endCol } = event;
+      moves.push({ type: 'clear', t, startRow, startCol, endRow, endCol });
+    } else if (event.type === 'hint') {
+      moves.push({ type: 'hint', t: event.t });
+    }
+  });
+
+  return { seed, variant, moves };
+}
+
+// 每日挑战结算请求（seed 由 startDailyChallenge 签发，每个用户每天只结算一次）
+export function buildDailyChallengeSettlePayload(date, seed, replay) {
+  const { moves } = buildChallengeSettlePayload(seed, replay);
+  return { date, seed, moves };
+}
+
+// 排行榜周期：all 为历史最佳，weekly/daily 按 UTC 自然周（周一开始）/自然日，daily-challenge 为今天的每日挑战
+export const LEADERBOARD_PERIODS = ['all', 'weekly', 'daily', 'daily-challenge'];
+
+// 排行榜前列（分页）
+export function fetchLeaderboard(period, { limit = 20, offset = 0 } = {}) {
+  return getJSON(`/api/leaderboard/${period}`, { limit, offset });
+}
+
+// 玩家自己附近的排名（上下各 range 名）
+export function fetchLeaderboardAround(period, uid, range = 5) {
+  return getJSON(`/api/leaderboard/${period}/around/${encodeURIComponent(uid)}`, { range });
+}
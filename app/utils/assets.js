@@ -0,0 +1,139 @@
+/**
+ * Asset Manifest - 图片与音效资源清单
+ * Purpose: 所有图片/音效都通过 key 取用，默认使用打包进 App 的本地文件，离线也能正常显示和播放
+ * Features: 启动时预加载、可选的远程覆盖（EXPO_PUBLIC_ASSET_BASE_URL）、远程下载失败时回退到本地文件
+ *
+ * 新增资源：把文件放进 assets/images 或 assets/sounds 并在下面登记；
+ * `npm run assets:fetch` 会按这里的 require 路径从 CDN 下载缺失的文件
+ * 背景音乐（assets/music）不在 CDN 上，也不参与预加载和远程覆盖，播放时才加载
+ */
+
+import { Image } from 'react-native';
+import { Asset } from 'expo-asset';
+
+// 远程覆盖地址（以 / 结尾），文件名与本地相同；未配置时只使用本地文件
+export const ASSET_BASE_URL = process.env.EXPO_PUBLIC_ASSET_BASE_URL || null;
+
+// 远程资源的下载超时，超时视为离线
+const REMOTE_TIMEOUT_MS = 8000;
+
+const IMAGES = {
+  bomb: { file: 'bomb.webp', module: require('../../assets/images/bomb.webp') },
+  bombDuck: { file: 'bombduck1.webp', module: require('../../assets/images/bombduck1.webp') },
+  book: { file: 'book.webp', module: require('../../assets/images/book.webp') },
+  challengeResult: { file: 'changeend1.webp', module: require('../../assets/images/changeend1.webp') },
+  duck: { file: 'duck1.webp', module: require('../../assets/images/duck1.webp') },
+  duckHappy: { file: 'duck_excited.webp', module: require('../../assets/images/duck_excited.webp') },
+  duckSad: { file: 'duck_sad.webp', module: require('../../assets/images/duck_sad.webp') },
+  hero: { file: 'maintabletabl1end.webp', module: require('../../assets/images/maintabletabl1end.webp') },
+  levelEnd: { file: 'levelendend.jpeg', module: require('../../assets/images/levelendend.jpeg') },
+  levelStart: { file: 'levelstart.webp', module: require('../../assets/images/levelstart.webp') },
+  onboardingOne: { file: 'one.webp', module: require('../../assets/images/one.webp') },
+};
+
+const SOUNDS = {
+  clearCombo: { file: 'clearcombo.mp3', module: require('../../assets/sounds/clearcombo.mp3') },
+  itemUse: { file: 'changesplit.mp3', module: require('../../assets/sounds/changesplit.mp3') },
+  end: { file: 'end.mp3', module: require('../../assets/sounds/end.mp3') },
+};
+
+// 背景音乐，key 对应 STAGE_GROUPS 中的 music
+const MUSIC = {
+  playroom: require('../../assets/music/bgm_playroom.mp3'),
+  school: require('../../assets/music/bgm_school.mp3'),
+  campus: require('../../assets/music/bgm_campus.mp3'),
+  career: require('../../assets/music/bgm_career.mp3'),
+  cosmos: require('../../assets/music/bgm_cosmos.mp3'),
+};
+
+// 已成功下载的远程覆盖：key → source
+const remoteImages = {};
+const remoteSounds = {};
+
+/**
+ * 图片 source，可直接传给 <Image source>
+ * @param {keyof IMAGES} key
+ */
+export function getImageSource(key) {
+  const asset = IMAGES[key];
+  if (!asset) {
+    console.warn(`⚠️ 未登记的图片资源: ${key}`);
+    return null;
+  }
+  return remoteImages[key] || asset.module;
+}
+
+/**
+ * 音效 source，可直接传给 Audio.Sound.createAsync
+ * @param {keyof SOUNDS} key
+ */
+export function getSoundSource(key) {
+  const asset = SOUNDS[key];
+  if (!asset) {
+    console.warn(`⚠️ 未登记的音效资源: ${key}`);
+    return null;
+  }
+  return remoteSounds[key] || asset.module;
+}
+
+/**
+ * 背景音乐 source（只使用本地文件）
+ * @param {keyof MUSIC} key
+ */
+export function getMusicSource(key) {
+  if (!MUSIC[key]) {
+    console.warn(`⚠️ 未登记的背景音乐: ${key}`);
+    return null;
+  }
+  return MUSIC[key];
+}
+
+function withTimeout(promise) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Asset download timed out')), REMOTE_TIMEOUT_MS)),
+  ]);
+}
+
+// 下载远程覆盖；任何一个失败都只影响它自己，继续使用本地文件
+async function loadRemoteOverrides() {
+  const imageJobs = Object.entries(IMAGES).map(async ([key, asset]) => {
+    const uri = `${ASSET_BASE_URL}${asset.file}`;
+    try {
+      if (await withTimeout(Image.prefetch(uri))) {
+        remoteImages[key] = { uri };
+      }
+    } catch (error) {
+      console.warn(`⚠️ 远程图片不可用，使用本地文件: ${asset.file}`);
+    }
+  });
+
+  const soundJobs = Object.entries(SOUNDS).map(async ([key, asset]) => {
+    try {
+      const remote = Asset.fromURI(`${ASSET_BASE_URL}${asset.file}`);
+      await withTimeout(remote.downloadAsync());
+      remoteSounds[key] = { uri: remote.localUri || remote.uri };
+    } catch (error) {
+      console.warn(`⚠️ 远程音效不可用，使用本地文件: ${asset.file}`);
+    }
+  });
+
+  await Promise.all([...imageJobs, ...soundJobs]);
+}
+
+/**
+ * 启动时预加载：等待本地资源就绪；远程覆盖在后台下载，不阻塞启动
+ * @returns {Promise<void>}
+ */
+export async function preloadAssets() {
+  const modules = [...Object.values(IMAGES), ...Object.values(SOUNDS)].map(asset => asset.module);
+  try {
+    await Asset.loadAsync(modules);
+  } catch (error) {
+    console.warn('⚠️ 本地资源预加载失败:', error);
+  }
+
+  if (ASSET_BASE_URL) {
+    loadRemoteOverrides();
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Audio Manager - 全局音频服务
+ * Purpose: 统一加载/播放音效和背景音乐，替代各页面各自创建的 Audio.Sound
+ * Features: 音效按名称播放并池化（连续触发不会互相打断）、按引用计数卸载、
+ *           音乐与音效分开的音量和开关、按关卡阶段切换背景音乐、弹窗时压低音乐
+ *
+ * 页面/组件通过 gameStore 的 loadSounds/unloadSounds/playSound 等 action 使用，不直接调用这里
+ */
+
+import { Audio } from 'expo-av';
+import { getSoundSource, getMusicSource } from './assets';
+import { STAGE_GROUPS, getStageGroup } from './stageNames';
+
+// 每个音效同时可以重叠播放的实例数
+const POOL_SIZE = 3;
+
+// 压低时音乐音量的比例
+const DUCK_RATIO = 0.3;
+
+// 设置中缺省的音频选项（旧存档没有音量字段）
+export const DEFAULT_AUDIO_SETTINGS = {
+  soundEnabled: true,
+  musicEnabled: false,
+  sfxVolume: 1,
+  musicVolume: 0.6,
+};
+
+class AudioManager {
+  /** 已加载的音效：name → { pool, next, refs, loading } */
+  effects = {};
+
+  /** 正在播放的音乐 { key, sound } */
+  music = null;
+
+  /** 期望播放的音乐（音乐关闭时也记住，重新打开后继续播放） */
+  musicKey = null;
+
+  options = { ...DEFAULT_AUDIO_SETTINGS };
+
+  /** 当前打开的弹窗数量，大于0时压低音乐 */
+  duckCount = 0;
+
+  audioModeReady = null;
+
+  ensureAudioMode() {
+    if (!this.audioModeReady) {
+      this.audioModeReady = Audio.setAudioModeAsync({
+        allowsRecordingIOS: false,
+        staysActiveInBackground: false,
+        playsInSilentModeIOS: true,
+        shouldDuckAndroid: true,
+        playThroughEarpieceAndroid: false
+      }).catch(error => {
+        console.warn('⚠️ 音频模式设置失败:', error);
+      });
+    }
+    return this.audioModeReady;
+  }
+
+  /** 按设置更新开关和音量 @param {Object} settings */
+  configure(settings) {
+    this.options = {
+      soundEnabled: settings?.soundEnabled ?? DEFAULT_AUDIO_SETTINGS.soundEnabled,
+      musicEnabled: settings?.musicEnabled ?? DEFAULT_AUDIO_SETTINGS.musicEnabled,
+      sfxVolume: settings?.sfxVolume ?? DEFAULT_AUDIO_SETTINGS.sfxVolume,
+      musicVolume: settings?.musicVolume ?? DEFAULT_AUDIO_SETTINGS.musicVolume,
+    };
+    return this.syncMusic();
+  }
+
+  /** 加载音效（引用计数，多个页面可以加载同一个音效） @param {string[]} names */
+  async loadEffects(names) {
+    await this.ensureAudioMode();
+    await Promise.all(names.map(name => this.loadEffect(name)));
+  }
+
+  loadEffect(name) {
+    const existing = this.effects[name];
+    if (existing) {
+      existing.refs++;
+      return existing.loading;
+    }
+
+    const entry = { pool: [], next: 0, refs: 1, loading: null };
+    this.effects[name] = entry;
+    entry.loading = (async () => {
+      for (let i = 0; i < POOL_SIZE; i++) {
+        try {
+          const { sound } = await Audio.Sound.createAsync(getSoundSource(name));
+          // 加载期间已经被卸载
+          if (this.effects[name] !== entry) {
+            sound.unloadAsync();
+            return;
+          }
+          entry.pool.push(sound);
+        } catch (error) {
+          console.warn(`⚠️ 音效加载失败: ${name}`, error);
+          return;
+        }
+      }
+    })();
+    return entry.loading;
+  }
+
+  /** 释放音效，最后一个使用者释放时卸载 @param {string[]} names */
+  unloadEffects(names) {
+    names.forEach(name => {
+      const entry = this.effects[name];
+      if (!entry) return;
+
+      entry.refs--;
+      if (entry.refs > 0) return;
+
+      delete this.effects[name];
+      entry.loading.then(() => {
+        entry.pool.forEach(sound => sound.unloadAsync().catch(() => {}));
+      });
+    });
+  }
+
+  /** 播放音效（轮流使用池中的实例） @param {string} name */
+  async play(name) {
+    if (!this.options.soundEnabled) return;
+
+    const entry = this.effects[name];
+    if (!entry || entry.pool.length === 0) {
+      console.warn(`⚠️ 音效未加载: ${name}`);
+      return;
+    }
+
+    const sound = entry.pool[entry.next % entry.pool.length];
+    entry.next++;
+    try {
+      await sound.replayAsync({ volume: this.options.sfxVolume });
+    } catch (error) {
+      console.warn(`⚠️ 音效播放失败: ${name}`, error);
+    }
+  }
+
+  /** 循环播放背景音乐 @param {string|null} key */
+  playMusic(key) {
+    this.musicKey = key;
+    return this.syncMusic();
+  }
+
+  /** 按关卡所属阶段（STAGE_GROUPS.music）播放背景音乐 @param {number} level */
+  playStageMusic(level) {
+    const group = STAGE_GROUPS[getStageGroup(level)];
+    return this.playMusic(group?.music || null);
+  }
+
+  stopMusic() {
+    return this.playMusic(null);
+  }
+
+  getMusicVolume() {
+    return this.options.musicVolume * (this.duckCount > 0 ? DUCK_RATIO : 1);
+  }
+
+  /** 压低/恢复音乐（弹窗打开/关闭时成对调用） */
+  duck() {
+    this.duckCount++;
+    return this.applyMusicVolume();
+  }
+
+  unduck() {
+    this.duckCount = Math.max(0, this.duckCount - 1);
+    return this.applyMusicVolume();
+  }
+
+  async applyMusicVolume() {
+    if (!this.music) return;
+    try {
+      await this.music.sound.setVolumeAsync(this.getMusicVolume());
+    } catch (error) {
+      console.warn('⚠️ 音乐音量设置失败:', error);
+    }
+  }
+
+  // 让实际播放的音乐与期望状态（musicKey + 音乐开关）一致
+  async syncMusic() {
+    const wanted = this.options.musicEnabled ? this.musicKey : null;
+    if ((this.music?.key || null) === wanted) {
+      return this.applyMusicVolume();
+    }
+
+    const previous = this.music;
+    this.music = null;
+    if (previous) {
+      previous.sound.unloadAsync().catch(() => {});
+    }
+    if (!wanted) return;
+
+    await this.ensureAudioMode();
+    try {
+      const { sound } = await Audio.Sound.createAsync(getMusicSource(wanted), {
+        isLooping: true,
+        shouldPlay: true,
+        volume: this.getMusicVolume(),
+      });
+      // 加载期间音乐已经切换/关闭
+      const stillWanted = this.options.musicEnabled && this.musicKey === wanted && !this.music;
+      if (!stillWanted) {
+        sound.unloadAsync();
+        return;
+      }
+      this.music = { key: wanted, sound };
+    } catch (error) {
+      console.warn(`⚠️ 背景音乐加载失败: ${wanted}`, error);
+    }
+  }
+}
+
+const audioManager = new AudioManager();
+
+export default audioManager;
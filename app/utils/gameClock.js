@@ -0,0 +1,45 @@
+/**
+ * Game Clock - 可暂停的游戏时钟
+ * Purpose: 计时挑战按“游戏时间”（不含暂停）计算剩余时间和录像时间戳，
+ *          切到后台、弹窗或手动暂停期间不计时，服务端重放看到的也是同一条时间线
+ * Notes: 与 shared/challengeRules 的计时状态一样，是直接修改的普通对象
+ */
+
+/**
+ * 创建时钟
+ * @param {number} [startedAt] - 开局时刻（与录像的 startedAt 对齐）
+ */
+export function createGameClock(startedAt = Date.now()) {
+  return { startedAt, pausedAt: null, pausedMs: 0 };
+}
+
+// 距开局的游戏时间（毫秒），暂停期间保持不变
+export function getGameElapsed(clock, now = Date.now()) {
+  const end = clock.pausedAt ?? now;
+  return end - clock.startedAt - clock.pausedMs;
+}
+
+export function isGameClockPaused(clock) {
+  return !!clock && clock.pausedAt !== null;
+}
+
+/**
+ * 暂停
+ * @returns {boolean} 是否从运行状态进入暂停
+ */
+export function pauseGameClock(clock, now = Date.now()) {
+  if (!clock || clock.pausedAt !== null) return false;
+  clock.pausedAt = now;
+  return true;
+}
+
+/**
+ * 继续，暂停的时长不计入游戏时间
+ * @returns {boolean} 是否从暂停状态恢复
+ */
+export function resumeGameClock(clock, now = Date.now()) {
+  if (!clock || clock.pausedAt === null) return false;
+  clock.pausedMs += now - clock.pausedAt;
+  clock.pausedAt = null;
+  return true;
+}
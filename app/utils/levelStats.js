@@ -0,0 +1,95 @@
+/**
+ * Level Stats - 闯关模式的每关统计与星级
+ * Purpose: 记录每关的尝试次数、最佳用时、消除次数和道具使用，通关时按用时和道具评 1~3 星
+ * Rules:
+ *   3 星：没有使用道具，且用时不超过标准用时
+ *   2 星：最多使用 1 个道具，且用时不超过标准用时的 2 倍
+ *   1 星：通关
+ */
+
+// 每页的标准用时（按关卡区间配置，maxLevel 为区间上限）
+export const PAR_SECONDS_PER_PAGE = [
+  { maxLevel: 30, seconds: 45 },
+  { maxLevel: 80, seconds: 60 },
+  { maxLevel: 150, seconds: 75 },
+  { maxLevel: Infinity, seconds: 90 },
+];
+
+export const MAX_STARS = 3;
+
+/**
+ * 获取关卡的标准用时
+ * @param {number} level - 关卡等级
+ * @param {number} pages - 关卡页数
+ * @returns {number} 毫秒
+ */
+export function getParTime(level, pages = 1) {
+  const entry = PAR_SECONDS_PER_PAGE.find(item => level <= item.maxLevel);
+  return entry.seconds * pages * 1000;
+}
+
+/**
+ * 通关评星
+ * @param {Object} result
+ * @param {number} result.level
+ * @param {number} result.pages
+ * @param {number} result.timeMs - 通关用时
+ * @param {number} result.itemsUsed - 使用的道具数（含提示）
+ * @returns {number} 1~3
+ */
+export function getLevelStars({ level, pages, timeMs, itemsUsed }) {
+  const par = getParTime(level, pages);
+  if (itemsUsed === 0 && timeMs <= par) return 3;
+  if (itemsUsed <= 1 && timeMs <= par * 2) return 2;
+  return 1;
+}
+
+// 一关的空统计
+export function createLevelStats() {
+  return {
+    attempts: 0,
+    completions: 0,
+    stars: 0, // 最好成绩的星数
+    bestTimeMs: null,
+    clears: 0, // 通关对局的累计消除次数
+    itemsUsed: 0, // 通关对局的累计道具使用数
+  };
+}
+
+/**
+ * 记录一次开局
+ * @param {Object|undefined} stats - 之前的统计
+ * @returns {Object} 新的统计
+ */
+export function recordAttempt(stats) {
+  const current = stats || createLevelStats();
+  return { ...current, attempts: current.attempts + 1 };
+}
+
+/**
+ * 记录一次通关（星数和最佳用时只保留最好成绩）
+ * @param {Object|undefined} stats - 之前的统计
+ * @param {{timeMs: number, clears: number, itemsUsed: number, stars: number}} result
+ * @returns {Object} 新的统计
+ */
+export function recordCompletion(stats, { timeMs, clears, itemsUsed, stars }) {
+  const current = stats || createLevelStats();
+  return {
+    ...current,
+    // 没有记录开局的旧存档至少算一次
+    attempts: Math.max(current.attempts, current.completions + 1),
+    completions: current.completions + 1,
+    stars: Math.max(current.stars, stars),
+    bestTimeMs: current.bestTimeMs === null ? timeMs : Math.min(current.bestTimeMs, timeMs),
+    clears: current.clears + clears,
+    itemsUsed: current.itemsUsed + itemsUsed,
+  };
+}
+
+// 显示用的用时 m:ss
+export function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,101 @@
+/**
+ * Move History - 闯关模式的撤销/重做
+ * Purpose: 记录每次消除和道具使用前的棋盘快照，支持撤销（退还道具）和重做
+ * Features: 每关撤销次数上限可配置；新的操作会清空重做栈
+ */
+
+// 每关可撤销次数（按关卡区间配置，maxLevel 为区间上限）
+export const UNDO_BUDGETS = [
+  { maxLevel: 50, budget: 5 },
+  { maxLevel: 150, budget: 3 },
+  { maxLevel: Infinity, budget: 2 },
+];
+
+// 快照最多保留的步数，避免长关卡占用过多内存
+const MAX_HISTORY = 50;
+
+/**
+ * 获取关卡的撤销次数上限
+ * @param {number} level - 关卡等级
+ * @returns {number}
+ */
+export function getUndoBudget(level) {
+  const entry = UNDO_BUDGETS.find(item => level <= item.maxLevel);
+  return entry ? entry.budget : 0;
+}
+
+/**
+ * 创建空的历史记录
+ * @param {number} budget - 本关可撤销次数
+ */
+export function createHistory(budget) {
+  return {
+    past: [],
+    future: [],
+    undosLeft: budget,
+  };
+}
+
+/**
+ * 记录一次操作（snapshot 为操作前的状态）
+ * @param {Object} history
+ * @param {Object} entry - { type, item, itemUseId, snapshot }，item 为消耗的道具字段（如 'splitItems'），没有则为 null
+ * @returns {Object} 新的历史记录
+ */
+export function recordMove(history, entry) {
+  const past = [...history.past, entry];
+  return {
+    ...history,
+    past: past.length > MAX_HISTORY ? past.slice(past.length - MAX_HISTORY) : past,
+    future: [],
+  };
+}
+
+export function canUndo(history) {
+  return history.past.length > 0 && history.undosLeft > 0;
+}
+
+export function canRedo(history) {
+  return history.future.length > 0;
+}
+
+/**
+ * 撤销最近一次操作
+ * @param {Object} history
+ * @param {Object} currentSnapshot - 当前状态，放入重做栈
+ * @returns {{history: Object, entry: Object}|null} entry.snapshot 为需要恢复的状态
+ */
+export function undoMove(history, currentSnapshot) {
+  if (!canUndo(history)) return null;
+
+  const entry = history.past[history.past.length - 1];
+  return {
+    entry,
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, { ...entry, snapshot: currentSnapshot }],
+      undosLeft: history.undosLeft - 1,
+    },
+  };
+}
+
+/**
+ * 重做最近一次撤销的操作
+ * @param {Object} history
+ * @param {Object} currentSnapshot - 当前状态，放回撤销栈
+ * @param {Object} [changes] - 放回撤销栈时要更新的字段（例如新的 itemUseId）
+ * @returns {{history: Object, entry: Object}|null} entry.snapshot 为需要恢复的状态
+ */
+export function redoMove(history, currentSnapshot, changes = {}) {
+  if (!canRedo(history)) return null;
+
+  const entry = history.future[history.future.length - 1];
+  return {
+    entry,
+    history: {
+      ...history,
+      past: [...history.past, { ...entry, ...changes, snapshot: currentSnapshot }],
+      future: history.future.slice(0, -1),
+    },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Replay - 对局录像格式
+ * Purpose: 记录棋盘 seed、每次框选、道具使用及时间戳，播放器按日志重新驱动 GameBoard
+ * Notes: 棋盘由共享生成器按 seed 复现；Split 的随机结果直接记录落点，回放不依赖 Math.random
+ *
+ * 事件（t 为距开局的毫秒数）：
+ *   board  { seed, page }                               生成/切换棋盘
+ *   select { startRow, startCol, endRow, endCol, sum }  一次框选（sum 为 10 时消除）
+ *   item   { item: 'swapMaster', from, to }             交换两个方块（下标）
+ *   item   { item: 'fractalSplit', index, clearOrigin, placements: [{ index, value }] }
+ *   hint   { rect, cost }                               使用提示
+ *   undo / redo                                         闯关模式撤销/重做
+ */
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * 创建录像
+ * @param {Object} options
+ * @param {'level'|'challenge'} options.mode - 游戏模式
+ * @param {number} options.level - 关卡（挑战模式为 CHALLENGE_LEVEL）
+ */
+export function createReplay({ mode, level }) {
+  const startedAt = Date.now();
+  return {
+    version: REPLAY_VERSION,
+    id: `${mode}_${startedAt}`,
+    mode,
+    level,
+    startedAt,
+    finishedAt: null,
+    result: null,
+    events: [],
+  };
+}
+
+/**
+ * 追加事件
+ * @param {Object|null} replay - 未开始录像时忽略
+ * @param {string} type - 事件类型
+ * @param {Object} data - 事件数据；带 t 时使用传入的时间戳（挑战模式传入不含暂停的游戏时间，utils/gameClock.js）
+ * @returns {Object|null} 记录的事件（含时间戳 t）
+ */
+export function recordReplayEvent(replay, type, data = {}) {
+  if (!replay || replay.finishedAt) return null;
+  const event = { t: Date.now() - replay.startedAt, type, ...data };
+  replay.events.push(event);
+  return event;
+}
+
+/**
+ * 结束录像
+ * @param {Object} replay
+ * @param {Object} result - 例如 { completed: true } 或 { iq: 42 }
+ */
+export function finishReplay(replay, result) {
+  if (!replay || replay.finishedAt) return replay;
+  replay.finishedAt = Date.now();
+  replay.result = result;
+  return replay;
+}
+
+// 是否值得保存（至少有一次玩家操作）
+export function hasPlayerEvents(replay) {
+  return !!replay && replay.events.some(event => event.type !== 'board');
+}
+
+// 列表页使用的摘要
+export function getReplaySummary(replay) {
+  const { id, mode, level, startedAt, finishedAt, result, events } = replay;
+  return {
+    id,
+    mode,
+    level,
+    startedAt,
+    duration: (finishedAt || startedAt) - startedAt,
+    clears: events.filter(event => event.type === 'select' && event.sum === 10).length,
+    result,
+  };
+}
+
+// 把道具事件应用到棋盘（返回新的 tiles 和新增的方块数）
+export function applyItemEvent(tiles, event) {
+  const newTiles = [...tiles];
+
+  if (event.item === 'swapMaster') {
+    const fromValue = newTiles[event.from];
+    newTiles[event.from] = newTiles[event.to];
+    newTiles[event.to] = fromValue;
+    return { tiles: newTiles, addedTiles: 0 };
+  }
+
+  if (event.item === 'fractalSplit') {
+    if (event.clearOrigin) {
+      newTiles[event.index] = 0;
+    }
+    event.placements.forEach(({ index, value }) => {
+      newTiles[index] = value;
+    });
+    return { tiles: newTiles, addedTiles: event.placements.length - 1 };
+  }
+
+  return { tiles: newTiles, addedTiles: 0 };
+}
@@ -0,0 +1,162 @@
+/**
+ * Save Code - 进度导出/导入
+ * Purpose: 不依赖服务端在设备之间转移进度：把用户信息、游戏数据、设置、每关统计和成就打包成一段文本
+ * Format: SAVE_CODE_PREFIX + base64(JSON { app, version, exportedAt, checksum, data })
+ *         checksum 为 version + data 的 FNV-1a 32 位哈希，用于发现复制不完整或被改动的存档
+ * Notes: 中途进度和录像只保存在本机，不导出；目前只有第 1 版，改变存档内容时再增加版本和对应的升级
+ */
+
+import { createAchievementState } from './achievements';
+
+export const SAVE_CODE_VERSION = 1;
+
+export const SAVE_CODE_PREFIX = 'KCSAVE-';
+
+const APP_ID = 'KidderCrush';
+
+// 32 位 FNV-1a 哈希（十六进制）
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// UTF-8 安全的 base64（btoa/atob 只支持 Latin-1）
+function toBase64(text) {
+  const bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return btoa(bytes);
+}
+
+function fromBase64(code) {
+  const bytes = atob(code);
+  let encoded = '';
+  for (let i = 0; i < bytes.length; i++) {
+    encoded += `%${bytes.charCodeAt(i).toString(16).padStart(2, '0')}`;
+  }
+  return decodeURIComponent(encoded);
+}
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// 校验当前版本的存档内容，返回错误信息或 null
+function validateSaveData(data) {
+  if (!isObject(data)) return 'Save data is missing';
+
+  const { userData, gameData, settings, levelStats, achievements } = data;
+  if (!isObject(userData) || typeof userData.uid !== 'string' || !userData.uid) {
+    return 'Player info is missing';
+  }
+  if (!isObject(gameData) || !Number.isInteger(gameData.maxLevel) || gameData.maxLevel < 1) {
+    return 'Level progress is missing';
+  }
+  for (const field of ['maxScore', 'swapMasterItems', 'splitItems', 'hintItems']) {
+    if (gameData[field] !== undefined && !isCount(gameData[field])) {
+      return `Invalid value for ${field}`;
+    }
+  }
+  if (!isObject(settings)) return 'Settings are missing';
+  if (!isObject(levelStats) || !Object.values(levelStats).every(isObject)) {
+    return 'Level stats are invalid';
+  }
+  if (!isObject(achievements) || !isObject(achievements.unlocked) || !isObject(achievements.counters)) {
+    return 'Achievements are invalid';
+  }
+  return null;
+}
+
+/**
+ * 生成存档码
+ * @param {Object} data - { userData, gameData, settings, levelStats, achievements }
+ * @returns {string}
+ */
+export function createSaveCode({ userData, gameData, settings, levelStats, achievements }) {
+  const data = {
+    userData,
+    gameData,
+    settings,
+    levelStats: levelStats || {},
+    achievements: achievements || createAchievementState(),
+  };
+  const payload = {
+    app: APP_ID,
+    version: SAVE_CODE_VERSION,
+    exportedAt: Date.now(),
+    checksum: checksum(`${SAVE_CODE_VERSION}:${JSON.stringify(data)}`),
+    data,
+  };
+  return `${SAVE_CODE_PREFIX}${toBase64(JSON.stringify(payload))}`;
+}
+
+/**
+ * 解析并校验存档码
+ * @param {string} code
+ * @returns {{ok: true, data: Object, version: number, exportedAt: number} | {ok: false, error: string}}
+ */
+export function parseSaveCode(code) {
+  const trimmed = (code || '').replace(/\s+/g, '');
+  if (!trimmed.startsWith(SAVE_CODE_PREFIX)) {
+    return { ok: false, error: 'This is not a KiderCrash save code.' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64(trimmed.slice(SAVE_CODE_PREFIX.length)));
+  } catch (error) {
+    return { ok: false, error: 'The save code is damaged or incomplete.' };
+  }
+
+  if (!isObject(payload) || payload.app !== APP_ID || !Number.isInteger(payload.version)) {
+    return { ok: false, error: 'This is not a KiderCrash save code.' };
+  }
+  if (payload.version > SAVE_CODE_VERSION) {
+    return { ok: false, error: 'This save code is from a newer version of the app. Please update first.' };
+  }
+  if (payload.version !== SAVE_CODE_VERSION) {
+    return { ok: false, error: 'This is not a KiderCrash save code.' };
+  }
+  if (payload.checksum !== checksum(`${payload.version}:${JSON.stringify(payload.data)}`)) {
+    return { ok: false, error: 'The save code failed its integrity check.' };
+  }
+
+  const { data } = payload;
+  const error = validateSaveData(data);
+  if (error) {
+    return { ok: false, error };
+  }
+
+  return { ok: true, data, version: payload.version, exportedAt: payload.exportedAt };
+}
+
+const countStars = (levelStats) => Object.values(levelStats || {}).reduce((sum, stats) => sum + (stats.stars || 0), 0);
+
+/**
+ * 导入前对比本机和存档中的主要数据
+ * @returns {{label: string, current: string, incoming: string, changed: boolean}[]}
+ */
+export function diffSaveData(current, incoming) {
+  const rows = [
+    ['Player', current.userData?.userName, incoming.userData?.userName],
+    ['Best Level', current.gameData?.maxLevel || 1, incoming.gameData.maxLevel],
+    ['Best Challenge IQ', current.gameData?.maxScore || 0, incoming.gameData.maxScore || 0],
+    ['SwapMaster Items', current.gameData?.swapMasterItems || 0, incoming.gameData.swapMasterItems || 0],
+    ['Split Items', current.gameData?.splitItems || 0, incoming.gameData.splitItems || 0],
+    ['Hint Items', current.gameData?.hintItems || 0, incoming.gameData.hintItems || 0],
+    ['Stars', countStars(current.levelStats), countStars(incoming.levelStats)],
+    [
+      'Achievements',
+      Object.keys(current.achievements?.unlocked || {}).length,
+      Object.keys(incoming.achievements.unlocked).length,
+    ],
+  ];
+
+  return rows.map(([label, before, after]) => ({
+    label,
+    current: String(before ?? '-'),
+    incoming: String(after ?? '-'),
+    changed: String(before ?? '-') !== String(after ?? '-'),
+  }));
+}
@@ -0,0 +1,131 @@
+/**
+ * Storage Schema - 本地游戏数据（KidderCrushMiniAppinfo）的字段定义、版本升级与校验
+ * Purpose: setData 只接受登记过且类型正确的字段；旧版本的数据在 initializeApp 中按 STORAGE_MIGRATIONS 逐版本升级，
+ *          加载后的数据逐字段校验，坏掉的字段换回默认值而不是整体重置
+ * Extend: 新增字段在 GAME_DATA_FIELDS 登记；字段改名或含义变化时提升 STORAGE_SCHEMA_VERSION 并添加迁移
+ */
+
+import { STARTER_ITEMS } from '../../shared/items';
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isScore = (value) => Number.isFinite(value) && value >= 0;
+const isLevel = (value) => Number.isInteger(value) && value >= 1;
+const isBoolean = (value) => typeof value === 'boolean';
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// 新玩家的初始数据
+export const DEFAULT_GAME_DATA = {
+  maxLevel: 1,
+  maxScore: 0,
+  swapMasterItems: STARTER_ITEMS.swapMaster, // SwapMaster 道具数量（与服务端的初始道具一致）
+  splitItems: STARTER_ITEMS.split, // Split 道具数量
+  hintItems: 3, // Hint 道具数量
+  lastPlayedLevel: 1,
+  hasSeenSimpleRules: false, // 是否已看过简约规则介绍
+};
+
+// 字段 → 校验函数（与 StorageUtils 的 GameData typedef 对应）
+export const GAME_DATA_FIELDS = {
+  maxLevel: isLevel,
+  maxScore: isScore,
+  swapMasterItems: isCount,
+  splitItems: isCount,
+  hintItems: isCount,
+  lastPlayedLevel: isLevel,
+  hasSeenSimpleRules: isBoolean,
+  hasSeenOnboarding: isBoolean,
+  hasSeenButtonGuide: isBoolean,
+  hasSeenItemGuide: isBoolean,
+  syncBaselineQueued: isBoolean,
+  itemBaselineQueued: isBoolean,
+  itemBaselineClaimQueued: isBoolean,
+  dailyChallenge: (value) => value === null || isObject(value),
+  challengeBests: (value) => isObject(value) && Object.values(value).every(isScore),
+};
+
+export const STORAGE_SCHEMA_VERSION = 2;
+
+// 从 version - 1 升级到 version；没有版本号的旧数据视为第 0 版
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    // 最早的 Change 道具改名为 SwapMaster
+    migrate: ({ changeItems, ...data }) => ({
+      ...data,
+      swapMasterItems: data.swapMasterItems ?? changeItems ?? DEFAULT_GAME_DATA.swapMasterItems,
+    }),
+  },
+  {
+    version: 2,
+    // Split / Hint 道具上线前的存档补发初始数量
+    migrate: (data) => ({
+      ...data,
+      splitItems: data.splitItems ?? DEFAULT_GAME_DATA.splitItems,
+      hintItems: data.hintItems ?? DEFAULT_GAME_DATA.hintItems,
+    }),
+  },
+];
+
+/**
+ * 把数据从 fromVersion 升级到当前版本
+ * @param {Object} data
+ * @param {number} fromVersion
+ * @returns {{data: Object, applied: number[]}} 升级后的数据和执行过的版本
+ */
+export function migrateGameData(data, fromVersion = 0) {
+  let current = data;
+  const applied = [];
+  STORAGE_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      current = migration.migrate(current);
+      applied.push(migration.version);
+    });
+  return { data: current, applied };
+}
+
+/**
+ * 校验加载的数据：类型不对的字段换回默认值（没有默认值的删除），未登记的字段删除
+ * @param {*} data
+ * @returns {{data: Object, issues: string[]}} 修复后的数据和有问题的字段
+ */
+export function validateGameData(data) {
+  if (!isObject(data)) {
+    return { data: { ...DEFAULT_GAME_DATA }, issues: ['gameData'] };
+  }
+
+  const result = {};
+  const issues = [];
+  Object.entries(data).forEach(([key, value]) => {
+    const validate = GAME_DATA_FIELDS[key];
+    if (validate && validate(value)) {
+      result[key] = value;
+    } else {
+      issues.push(key);
+    }
+  });
+  Object.entries(DEFAULT_GAME_DATA).forEach(([key, value]) => {
+    if (result[key] === undefined) result[key] = value;
+  });
+  return { data: result, issues };
+}
+
+/**
+ * 过滤写入的字段：只保留登记过且类型正确的（值为 undefined 的忽略）
+ * @param {Object} newData
+ * @returns {{data: Object, rejected: string[]}}
+ */
+export function pickGameData(newData) {
+  const data = {};
+  const rejected = [];
+  Object.entries(newData || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    const validate = GAME_DATA_FIELDS[key];
+    if (validate && validate(value)) {
+      data[key] = value;
+    } else {
+      rejected.push(key);
+    }
+  });
+  return { data, rejected };
+}
@@ -0,0 +1,260 @@
+/**
+ * Sync Queue - 离线优先的服务端同步队列
+ * Purpose: 本地先写 AsyncStorage，再把进度/道具/挑战结算按顺序排队提交给 backend
+ * Features: 持久化队列、失败指数退避重试、按事件日志确定性地合并服务端结果
+ *
+ * 冲突规则：
+ *   maxLevel       取本地 maxLevel 与服务端 best_level 的较大值
+ *   道具数量        服务端 user_items 为准，本地 = 服务端 + 队列中未提交的增量
+ *                  （swapMasterItems、splitItems，见 shared/items.js）；App 只提交消耗、撤销时的退还和一次性的道具基线，
+ *                  通关奖励由服务端在进度结算时按同一规则发放
+ *   maxScore       取本地与服务端 best_iq 的较大值
+ */
+
+import { ITEM_TYPES, getLevelReward } from '../../shared/items';
+
+// 类型 → 接口
+export const SYNC_ENDPOINTS = {
+  user: '/api/user/sync',
+  progress: '/api/progress/settle',
+  itemConsume: '/api/items/consume',
+  itemRefund: '/api/items/refund',
+  itemBaseline: '/api/items/baseline',
+  challenge: '/api/challenge/settle',
+  dailyChallenge: '/api/challenge/daily/settle',
+};
+
+// 重试间隔：2s 起每次翻倍，最长 5 分钟
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// 队列上限，长期离线时丢弃最旧的挑战结算（进度和道具增量不丢）
+const MAX_QUEUE_LENGTH = 200;
+
+// 变更 id，同时作为请求的幂等键
+function createMutationId(type, createdAt = Date.now()) {
+  return `${type}_${createdAt}_${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * 道具消耗的变更 id：在使用道具时先生成并记入操作历史，撤销时据此请求退还
+ */
+export function createItemUseId() {
+  return createMutationId('itemConsume');
+}
+
+/**
+ * 创建一条待同步的变更
+ * @param {'user'|'progress'|'itemConsume'|'itemRefund'|'challenge'|'dailyChallenge'} type
+ * @param {Object} payload - 对应接口的请求体
+ * @param {Object} [options]
+ * @param {string} [options.id] - 指定变更 id（道具消耗用 createItemUseId 生成的 id）
+ * @param {Object<string, number>} [options.itemDeltas] - 这条变更提交后服务端库存的预期变化（道具类型 → 增量）
+ */
+export function createMutation(type, payload, { id, itemDeltas } = {}) {
+  const createdAt = Date.now();
+  return {
+    id: id || createMutationId(type, createdAt),
+    type,
+    payload,
+    ...(itemDeltas ? { itemDeltas } : {}),
+    createdAt,
+    attempts: 0,
+    nextAttemptAt: 0,
+  };
+}
+
+/**
+ * 入队；user 同步只保留最新的一条，并留在原来的位置（后面的变更依赖它先创建用户）
+ * @returns {Object[]} 新队列
+ */
+export function enqueueMutation(queue, mutation) {
+  const userIndex = mutation.type === 'user' ? queue.findIndex(item => item.type === 'user') : -1;
+  let next = [...queue];
+  if (userIndex === -1) {
+    next.push(mutation);
+  } else {
+    next[userIndex] = mutation;
+  }
+
+  while (next.length > MAX_QUEUE_LENGTH) {
+    const index = next.findIndex(item => item.type === 'challenge' || item.type === 'dailyChallenge');
+    if (index === -1) break;
+    next = [...next.slice(0, index), ...next.slice(index + 1)];
+  }
+  return next;
+}
+
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_DELAY);
+}
+
+// 记录一次失败，安排下次重试
+export function markAttemptFailed(mutation, now = Date.now()) {
+  const attempts = mutation.attempts + 1;
+  return { ...mutation, attempts, nextAttemptAt: now + getRetryDelay(attempts) };
+}
+
+/**
+ * 失败是否值得重试：网络错误、5xx、限流（429）
+ * 设备令牌失效（401）由 flushSyncQueue 暂停同步处理；其余 4xx（校验失败、每日挑战重复结算）重试也不会成功，直接丢弃
+ */
+export function isRetryableError(error) {
+  return !error.status || error.status >= 500 || error.status === 429;
+}
+
+/**
+ * 队列中尚未提交的某种道具增量（通关奖励、消耗、退还）
+ * 旧版本排队的消耗没有 itemDeltas，按请求体计入
+ * @param {Object[]} queue
+ * @param {string} itemType - shared/items.js 中的类型，例如 'swapMaster'
+ */
+export function getPendingItemDelta(queue, itemType = 'swapMaster') {
+  return queue.reduce((sum, item) => {
+    if (item.itemDeltas) return sum + (item.itemDeltas[itemType] || 0);
+    if (item.type === 'itemConsume' && item.payload.type === itemType) return sum - item.payload.amount;
+    return sum;
+  }, 0);
+}
+
+/**
+ * 一次性领取道具基线：服务端库存上线前本机攒下的道具（服务端按 ITEM_BASELINE_CAP 封顶）
+ * 数量扣掉队列中未提交的增量，避免待提交的消耗和奖励被算两次
+ * @param {Object} gameData
+ * @param {Object[]} queue
+ */
+export function buildItemBaseline(gameData, queue) {
+  const items = {};
+  Object.values(ITEM_TYPES).forEach(item => {
+    items[item.id] = Math.max(0, (gameData?.[item.field] || 0) - getPendingItemDelta(queue, item.id));
+  });
+  return createMutation('itemBaseline', { items });
+}
+
+/**
+ * 本地 gameData 变化对应的进度结算请求（maxLevel 没有提高时返回 null）
+ * 道具数量的变化由 diffItems 单独同步
+ * @param {Object} oldData - 变化前的 gameData
+ * @param {Object} newData - 变化后的 gameData
+ */
+export function diffProgress(oldData, newData) {
+  const oldLevel = oldData?.maxLevel || 0;
+  const newLevel = newData?.maxLevel || 0;
+
+  if (newLevel <= oldLevel) return null;
+
+  return {
+    level: Math.max(1, newLevel),
+  };
+}
+
+/**
+ * 本次通关在服务端应得的奖励，作为进度结算的 itemDeltas（没有奖励时为 undefined）
+ * 与服务端一样按 shared/items.js 的 getLevelReward 计算
+ * @param {Object} oldData - 变化前的 gameData
+ * @param {Object} payload - diffProgress 返回的请求体
+ */
+export function getProgressItemDeltas(oldData, payload) {
+  return getLevelReward(payload.level, oldData?.maxLevel || 0) || undefined;
+}
+
+/**
+ * 本地道具数量变化对应的消耗/退还请求
+ * 数量减少时提交消耗；数量增加只有撤销道具操作（refundOf）时提交退还，其余增加（通关奖励等）由服务端发放
+ * @param {Object} oldData - 变化前的 gameData
+ * @param {Object} newData - 变化后的 gameData
+ * @param {Object} [options]
+ * @param {string} [options.reason] - 记入服务端道具流水，例如 'use'
+ * @param {string} [options.itemUseId] - 消耗的变更 id（createItemUseId）
+ * @param {string} [options.refundOf] - 撤销时要退还的那次消耗的变更 id
+ * @returns {{type: 'itemConsume'|'itemRefund', payload: Object, id?: string, itemDeltas: Object<string, number>}[]}
+ */
+export function diffItems(oldData, newData, { reason = 'game', itemUseId, refundOf } = {}) {
+  return Object.values(ITEM_TYPES)
+    .map(item => ({ item, delta: (newData?.[item.field] || 0) - (oldData?.[item.field] || 0) }))
+    .filter(({ delta }) => delta < 0 || (delta > 0 && refundOf))
+    .map(({ item, delta }) => (delta < 0 ? {
+      type: 'itemConsume',
+      payload: { type: item.id, amount: -delta, reason },
+      id: itemUseId,
+      itemDeltas: { [item.id]: delta },
+    } : {
+      type: 'itemRefund',
+      payload: { consumeKey: refundOf },
+      itemDeltas: { [item.id]: delta },
+    }));
+}
+
+// 用户同步请求：只提交昵称，用户由设备令牌决定，邮箱只能通过验证码关联
+export function buildUserSyncPayload(userData) {
+  return {
+    nickname: userData.userName || null,
+  };
+}
+
+/**
+ * 按冲突规则合并服务端返回的结果
+ * @param {Object} gameData - 当前本地数据
+ * @param {Object} mutation - 刚提交成功的变更
+ * @param {Object} response - 接口响应
+ * @param {Object[]} remainingQueue - 提交成功后剩余的队列
+ * @returns {Object|null} 需要写入 gameData 的字段，无变化时为 null
+ */
+export function resolveSyncResponse(gameData, mutation, response, remainingQueue) {
+  const updates = {};
+
+  if (mutation.type === 'progress' && response?.progress) {
+    const maxLevel = Math.max(gameData?.maxLevel || 0, response.progress.bestLevel || 0);
+    if (maxLevel !== gameData?.maxLevel) updates.maxLevel = maxLevel;
+  }
+
+  // 进度结算和道具发放/消耗都返回完整库存
+  if (response?.items) {
+    Object.values(ITEM_TYPES).forEach(item => {
+      if (typeof response.items[item.id] !== 'number') return;
+      const quantity = Math.max(0, response.items[item.id] + getPendingItemDelta(remainingQueue, item.id));
+      if (quantity !== gameData?.[item.field]) updates[item.field] = quantity;
+    });
+  }
+
+  if (mutation.type === 'challenge' && response?.challenge) {
+    const variant = response.challenge.variant || 'classic';
+    if (variant === 'classic') {
+      const maxScore = Math.max(gameData?.maxScore || 0, response.challenge.bestIQ || 0);
+      if (maxScore !== gameData?.maxScore) updates.maxScore = maxScore;
+    } else {
+      // 其他变体的最佳成绩分开保存
+      const bests = gameData?.challengeBests || {};
+      const best = Math.max(bests[variant] || 0, response.challenge.bestIQ || 0);
+      if (best !== bests[variant]) updates.challengeBests = { ...bests, [variant]: best };
+    }
+  }
+
+  return Object.keys(updates).length > 0 ? updates : null;
+}
+
+/**
+ * 关联邮箱（可能合并了账号）后，按同样的冲突规则合并服务端账号的进度和各变体最佳成绩
+ * @param {Object} gameData - 当前本地数据
+ * @param {Object} response - POST /api/account/email/verify 的响应
+ * @param {Object[]} queue - 尚未提交的队列
+ * @returns {Object|null} 需要写入 gameData 的字段，无变化时为 null
+ */
+export function resolveAccountResponse(gameData, response, queue) {
+  let current = gameData;
+  const updates = {};
+  const apply = (type, partial) => {
+    const result = resolveSyncResponse(current, { type }, partial, queue);
+    if (result) {
+      Object.assign(updates, result);
+      current = { ...current, ...result };
+    }
+  };
+
+  if (response?.progress) apply('progress', { progress: response.progress, items: response.items });
+  Object.entries(response?.challengeBests || {}).forEach(([variant, bestIQ]) => {
+    apply('challenge', { challenge: { variant, bestIQ } });
+  });
+
+  return Object.keys(updates).length > 0 ? updates : null;
+}
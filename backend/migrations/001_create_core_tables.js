@@ -0,0 +1,55 @@
+const { TABLE_OPTIONS } = require('./helpers');
+
+// Users, level names, level progress and the classic challenge record
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        uid VARCHAR(64) UNIQUE NOT NULL,
+        email VARCHAR(255) NULL,
+        nickname VARCHAR(255) NULL,
+        meta_json JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS levels (
+        level INT PRIMARY KEY,
+        stage_name VARCHAR(255) NOT NULL,
+        UNIQUE KEY unique_level (level)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_progress (
+        user_id BIGINT NOT NULL,
+        current_level INT NOT NULL DEFAULT 1,
+        best_level INT NOT NULL DEFAULT 0,
+        change_items INT NOT NULL DEFAULT 0,
+        UNIQUE KEY unique_user_progress (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_challenge_record (
+        user_id BIGINT NOT NULL,
+        best_iq INT NOT NULL DEFAULT 0,
+        best_iq_title VARCHAR(255) NULL,
+        last_iq INT NOT NULL DEFAULT 0,
+        UNIQUE KEY unique_user_challenge (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS user_challenge_record');
+    await connection.execute('DROP TABLE IF EXISTS user_progress');
+    await connection.execute('DROP TABLE IF EXISTS levels');
+    await connection.execute('DROP TABLE IF EXISTS users');
+  },
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const { STAGE_NAMES } = require('../../shared/stageNames');
+
+// Level names from shared/stageNames.js (the list the app shows). This migration is repeatable:
+// its checksum follows the names, so `npm run migrate` runs it again after they change.
+const entries = Object.entries(STAGE_NAMES).map(([level, name]) => [Number(level), name]);
+
+module.exports = {
+  checksum: crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex'),
+
+  async up(connection) {
+    await connection.execute(
+      `INSERT INTO levels (level, stage_name) VALUES ${entries.map(() => '(?, ?)').join(', ')}
+       ON DUPLICATE KEY UPDATE stage_name = VALUES(stage_name)`,
+      entries.flat()
+    );
+    await connection.execute(
+      'DELETE FROM levels WHERE level > ?',
+      [entries.length]
+    );
+  },
+
+  async down(connection) {
+    await connection.execute('DELETE FROM levels');
+  },
+};
@@ -0,0 +1,21 @@
+const { TABLE_OPTIONS } = require('./helpers');
+
+// One row per verified challenge run, used by the weekly/daily leaderboards
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS challenge_runs (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        iq INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_challenge_runs_created (created_at, user_id, iq),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS challenge_runs');
+  },
+};
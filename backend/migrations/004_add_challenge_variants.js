@@ -0,0 +1,20 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Best IQ per challenge variant (best_iq stays the classic 60s mode) and the variant of each run
+const VARIANT_COLUMNS = ['best_iq_blitz', 'best_iq_marathon', 'best_iq_sudden_death', 'best_iq_target'];
+
+module.exports = {
+  async up(connection) {
+    for (const column of VARIANT_COLUMNS) {
+      await addColumnIfMissing(connection, 'user_challenge_record', column, 'INT NOT NULL DEFAULT 0');
+    }
+    await addColumnIfMissing(connection, 'challenge_runs', 'variant', "VARCHAR(32) NOT NULL DEFAULT 'classic'");
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'challenge_runs', 'variant');
+    for (const column of VARIANT_COLUMNS) {
+      await dropColumnIfExists(connection, 'user_challenge_record', column);
+    }
+  },
+};
@@ -0,0 +1,22 @@
+const { TABLE_OPTIONS } = require('./helpers');
+
+// One settled daily challenge run per user per UTC day
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS daily_challenge_results (
+        user_id BIGINT NOT NULL,
+        challenge_date DATE NOT NULL,
+        iq INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_user_daily (user_id, challenge_date),
+        KEY idx_daily_challenge_date (challenge_date, iq),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS daily_challenge_results');
+  },
+};
@@ -0,0 +1,23 @@
+const { TABLE_OPTIONS } = require('./helpers');
+
+// One row per registered install, referenced by device tokens
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_devices (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        device_id VARCHAR(128) UNIQUE NOT NULL,
+        platform VARCHAR(32) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP NULL,
+        KEY idx_user_devices_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS user_devices');
+  },
+};
@@ -0,0 +1,43 @@
+const { addColumnIfMissing, dropColumnIfExists, TABLE_OPTIONS } = require('./helpers');
+
+// Verified identities (an email, one owner each), the one-time codes sent to link them, and
+// users.merged_into for accounts folded into another one
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'users', 'merged_into', 'BIGINT NULL');
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        provider VARCHAR(32) NOT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_identity (provider, identifier),
+        KEY idx_user_identities_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        consumed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_email_verifications_user (user_id, email),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS email_verifications');
+    await connection.execute('DROP TABLE IF EXISTS user_identities');
+    await dropColumnIfExists(connection, 'users', 'merged_into');
+  },
+};
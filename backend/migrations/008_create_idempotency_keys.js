@@ -0,0 +1,23 @@
+const { TABLE_OPTIONS } = require('./helpers');
+
+// Stored responses for retried settle and item requests
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        user_id BIGINT NOT NULL,
+        idempotency_key VARCHAR(128) NOT NULL,
+        endpoint VARCHAR(64) NOT NULL,
+        response_json TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_user_idempotency_key (user_id, idempotency_key),
+        KEY idx_idempotency_created (created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS idempotency_keys');
+  },
+};
@@ -0,0 +1,68 @@
+const { TABLE_OPTIONS } = require('./helpers');
+
+// Item inventory (one row per user and item type) with an audit ledger. user_progress.change_items
+// moves into swapMaster items; rolling back moves the swapMaster counts back.
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_items (
+        user_id BIGINT NOT NULL,
+        item_type VARCHAR(32) NOT NULL,
+        quantity INT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_user_item (user_id, item_type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS item_ledger (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        item_type VARCHAR(32) NOT NULL,
+        delta INT NOT NULL,
+        balance_after INT NOT NULL,
+        reason VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_item_ledger_user (user_id, created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+
+    // change_items is zeroed in the same transaction, so running this again moves nothing twice
+    await connection.beginTransaction();
+    try {
+      const [legacyItems] = await connection.execute(
+        'SELECT user_id, change_items FROM user_progress WHERE change_items > 0 FOR UPDATE'
+      );
+      for (const row of legacyItems) {
+        await connection.execute(
+          `INSERT INTO user_items (user_id, item_type, quantity) VALUES (?, 'swapMaster', ?)
+           ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)`,
+          [row.user_id, row.change_items]
+        );
+        await connection.execute(
+          `INSERT INTO item_ledger (user_id, item_type, delta, balance_after, reason)
+           SELECT user_id, item_type, ?, quantity, 'migration' FROM user_items
+           WHERE user_id = ? AND item_type = 'swapMaster'`,
+          [row.change_items, row.user_id]
+        );
+      }
+      await connection.execute('UPDATE user_progress SET change_items = 0 WHERE change_items > 0');
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  },
+
+  // Other item types have no place in the older schema and are lost
+  async down(connection) {
+    await connection.execute(
+      `UPDATE user_progress p JOIN user_items i ON i.user_id = p.user_id AND i.item_type = 'swapMaster'
+       SET p.change_items = i.quantity`
+    );
+    await connection.execute('DROP TABLE IF EXISTS item_ledger');
+    await connection.execute('DROP TABLE IF EXISTS user_items');
+  },
+};
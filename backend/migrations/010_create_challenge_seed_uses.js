@@ -0,0 +1,23 @@
+const { TABLE_OPTIONS } = require('./helpers');
+
+// Challenge seeds that have been settled. A seed settles once; rows are purged after the seed expires,
+// when the signature check rejects it anyway.
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS challenge_seed_uses (
+        user_id BIGINT NOT NULL,
+        seed VARCHAR(100) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_challenge_seed (seed),
+        KEY idx_challenge_seed_expires (expires_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS challenge_seed_uses');
+  },
+};
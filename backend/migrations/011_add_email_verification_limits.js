@@ -0,0 +1,21 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+} = require('./helpers');
+
+// Email code limits across accounts: codes per email and per IP, and failed attempts per email
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'email_verifications', 'ip', 'VARCHAR(45) NULL');
+    await addIndexIfMissing(connection, 'email_verifications', 'idx_email_verifications_email', 'email, created_at');
+    await addIndexIfMissing(connection, 'email_verifications', 'idx_email_verifications_ip', 'ip, created_at');
+  },
+
+  async down(connection) {
+    await dropIndexIfExists(connection, 'email_verifications', 'idx_email_verifications_ip');
+    await dropIndexIfExists(connection, 'email_verifications', 'idx_email_verifications_email');
+    await dropColumnIfExists(connection, 'email_verifications', 'ip');
+  },
+};
@@ -0,0 +1,54 @@
+// Schema helpers shared by the numbered migrations. MySQL commits DDL immediately, so a
+// migration that fails halfway cannot roll back; these checks let it run again safely.
+
+async function columnExists(connection, table, column) {
+  const [columns] = await connection.execute(
+    'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return columns.length > 0;
+}
+
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS leaves older tables untouched)
+async function addColumnIfMissing(connection, table, column, definition) {
+  if (!(await columnExists(connection, table, column))) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+async function dropColumnIfExists(connection, table, column) {
+  if (await columnExists(connection, table, column)) {
+    await connection.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+async function indexExists(connection, table, index) {
+  const [indexes] = await connection.execute(
+    'SELECT INDEX_NAME FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return indexes.length > 0;
+}
+
+async function addIndexIfMissing(connection, table, index, columns) {
+  if (!(await indexExists(connection, table, index))) {
+    await connection.execute(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+  }
+}
+
+async function dropIndexIfExists(connection, table, index) {
+  if (await indexExists(connection, table, index)) {
+    await connection.execute(`ALTER TABLE ${table} DROP INDEX ${index}`);
+  }
+}
+
+// Table options used by every table
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+module.exports = {
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  TABLE_OPTIONS,
+};
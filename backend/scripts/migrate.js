@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// Numbered migrations in backend/migrations (NNN_name.js exporting up/down), applied in order and
+// recorded in schema_migrations. A migration that also exports `checksum` is repeatable: it runs
+// again on `up` whenever its checksum changes (used for the level name seed).
+//
+//   node scripts/migrate.js up [--to <version>]        apply pending migrations
+//   node scripts/migrate.js down [--steps <n> | --to <version>]  roll back (1 step by default)
+//   node scripts/migrate.js status                     list applied and pending migrations
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+const LOCK_NAME = 'schema_migrations';
+
+// 7 → "007", as in the file name
+function formatVersion(version) {
+  return String(version).padStart(3, '0');
+}
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${formatVersion(migration.version)}_${migration.name} must export up and down`);
+    }
+  });
+
+  return migrations;
+}
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    const value = parseInt(args[i + 1], 10);
+    if (!['to', 'steps'].includes(key) || isNaN(value) || value < 0) {
+      throw new Error(`Invalid option: ${args.slice(i, i + 2).join(' ')}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+async function getApplied(connection) {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  const [rows] = await connection.execute(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+async function migrateUp(connection, migrations, { to = Infinity }) {
+  const applied = await getApplied(connection);
+  let count = 0;
+
+  for (const migration of migrations) {
+    if (migration.version > to) break;
+    const record = applied.get(migration.version);
+    const checksum = migration.checksum || null;
+
+    if (!record) {
+      console.log(`⬆️  Applying ${formatVersion(migration.version)}_${migration.name}...`);
+      await migration.up(connection);
+      await connection.execute(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [migration.version, migration.name, checksum]
+      );
+      count++;
+    } else if (checksum && record.checksum !== checksum) {
+      console.log(`🔁 Re-applying ${formatVersion(migration.version)}_${migration.name} (changed)...`);
+      await migration.up(connection);
+      await connection.execute(
+        'UPDATE schema_migrations SET checksum = ?, applied_at = CURRENT_TIMESTAMP WHERE version = ?',
+        [checksum, migration.version]
+      );
+      count++;
+    }
+  }
+
+  console.log(count > 0 ? `✅ Applied ${count} migration(s)` : 'ℹ️  Database is up to date');
+}
+
+async function migrateDown(connection, migrations, { steps, to }) {
+  const applied = await getApplied(connection);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const versions = [...applied.keys()].sort((a, b) => b - a);
+  const targets = to !== undefined
+    ? versions.filter(version => version > to)
+    : versions.slice(0, steps === undefined ? 1 : steps);
+
+  for (const version of targets) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${formatVersion(version)}_${applied.get(version).name} is applied but its file is missing`);
+    }
+
+    console.log(`⬇️  Rolling back ${formatVersion(version)}_${migration.name}...`);
+    await migration.down(connection);
+    await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [version]);
+  }
+
+  console.log(targets.length > 0 ? `✅ Rolled back ${targets.length} migration(s)` : 'ℹ️  Nothing to roll back');
+}
+
+async function printStatus(connection, migrations) {
+  const applied = await getApplied(connection);
+  const known = new Set(migrations.map(migration => migration.version));
+
+  migrations.forEach(migration => {
+    const record = applied.get(migration.version);
+    let state = 'pending';
+    if (record) {
+      const changed = migration.checksum && record.checksum !== migration.checksum;
+      state = `${changed ? 'changed' : 'applied'}  ${record.applied_at.toISOString()}`;
+    }
+    console.log(`${formatVersion(migration.version)}  ${migration.name.padEnd(36)} ${state}`);
+  });
+
+  applied.forEach((record, version) => {
+    if (!known.has(version)) {
+      console.log(`${formatVersion(version)}  ${record.name.padEnd(36)} applied, file missing`);
+    }
+  });
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  let connection = null;
+
+  try {
+    if (!['up', 'down', 'status'].includes(command)) {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+    const options = parseOptions(args);
+    const migrations = loadMigrations();
+
+    const requiredEnvVars = ['DB_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_DATABASE'];
+    for (const envVar of requiredEnvVars) {
+      if (!process.env[envVar]) {
+        throw new Error(`Missing required environment variable: ${envVar}`);
+      }
+    }
+
+    connection = await mysql.createConnection({
+      host: process.env.DB_HOST,
+      port: parseInt(process.env.DB_PORT) || 3306,
+      user: process.env.DB_USER,
+      password: process.env.DB_PASSWORD,
+      database: process.env.DB_DATABASE,
+    });
+
+    // Only one migration run at a time (e.g. several instances starting together)
+    const [locks] = await connection.execute('SELECT GET_LOCK(?, 10) AS acquired', [LOCK_NAME]);
+    if (locks[0].acquired !== 1) {
+      throw new Error('Another migration run holds the lock');
+    }
+
+    if (command === 'up') await migrateUp(connection, migrations, options);
+    if (command === 'down') await migrateDown(connection, migrations, options);
+    if (command === 'status') await printStatus(connection, migrations);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+main();
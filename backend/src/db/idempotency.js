@@ -0,0 +1,117 @@
+const pool = require('./pool');
+
+// Stored responses for retried requests. A client sends the same Idempotency-Key header when it
+// retries, and gets the first response back instead of the change being applied twice.
+
+// Keys only have to outlive the client's retries
+const KEY_RETENTION_DAYS = 7;
+
+/**
+ * Reserve a key for this request. Must run inside a transaction on `connection`: the row stays
+ * locked until commit, so a concurrent retry waits for the first attempt and then replays it,
+ * and a rollback frees the key for the next attempt.
+ * @returns {Promise<{replay: Object|null, conflict: boolean}>} replay is the stored response of an
+ *   earlier attempt; conflict means the key was already used on another endpoint
+ */
+async function claimIdempotencyKey(connection, userId, key, endpoint) {
+  await connection.execute(
+    'DELETE FROM idempotency_keys WHERE user_id = ? AND created_at < NOW() - INTERVAL ? DAY',
+    [userId, KEY_RETENTION_DAYS]
+  );
+
+  try {
+    await connection.execute(
+      'INSERT INTO idempotency_keys (user_id, idempotency_key, endpoint) VALUES (?, ?, ?)',
+      [userId, key, endpoint]
+    );
+    return { replay: null, conflict: false };
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+  }
+
+  const [keys] = await connection.execute(
+    'SELECT endpoint, response_json FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? FOR UPDATE',
+    [userId, key]
+  );
+
+  return {
+    replay: keys[0].endpoint === endpoint ? JSON.parse(keys[0].response_json) : null,
+    conflict: keys[0].endpoint !== endpoint,
+  };
+}
+
+// Store the response for a claimed key (in the same transaction as the change it describes)
+async function saveIdempotentResponse(connection, userId, key, response) {
+  await connection.execute(
+    'UPDATE idempotency_keys SET response_json = ? WHERE user_id = ? AND idempotency_key = ?',
+    [JSON.stringify(response), userId, key]
+  );
+}
+
+/**
+ * The stored response of an earlier request on `endpoint`, locked until the transaction ends
+ * (e.g. the consume a refund refers to). Null when there is none or it has expired.
+ */
+async function getIdempotentResponse(connection, userId, key, endpoint) {
+  const [keys] = await connection.execute(
+    'SELECT response_json FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND endpoint = ? FOR UPDATE',
+    [userId, key, endpoint]
+  );
+  return keys.length > 0 && keys[0].response_json ? JSON.parse(keys[0].response_json) : null;
+}
+
+/**
+ * Run a change in a transaction. `apply(connection)` returns { status, body }; only a 200 is
+ * committed (and stored under the key). Without a key the change simply runs in a transaction.
+ * @returns {Promise<{status: number, body: Object, replayed: boolean}>}
+ */
+async function runIdempotent(userId, key, endpoint, apply) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if (key) {
+      const { replay, conflict } = await claimIdempotencyKey(connection, userId, key, endpoint);
+
+      if (conflict) {
+        await connection.rollback();
+        return {
+          status: 409,
+          body: { error: true, message: 'Idempotency key was already used for another request' },
+          replayed: false,
+        };
+      }
+
+      if (replay) {
+        await connection.commit();
+        return { status: 200, body: replay, replayed: true };
+      }
+    }
+
+    const { status = 200, body } = await apply(connection);
+
+    if (status !== 200) {
+      await connection.rollback();
+      return { status, body, replayed: false };
+    }
+
+    if (key) {
+      await saveIdempotentResponse(connection, userId, key, body);
+    }
+    await connection.commit();
+
+    return { status, body, replayed: false };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  runIdempotent,
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  getIdempotentResponse,
+};
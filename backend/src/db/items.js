@@ -0,0 +1,152 @@
+const { ITEM_TYPE_IDS, ITEM_BASELINE_CAP } = require('../../../shared/items');
+
+// Item inventory (user_items) with an audit row in item_ledger for every change.
+// Changes lock the inventory row first, so they must run inside a transaction on `db`.
+
+/**
+ * Quantities of every item type (types the user never had are 0)
+ * @returns {Promise<Object<string, number>>}
+ */
+async function getItems(db, userId) {
+  const [rows] = await db.execute(
+    'SELECT item_type, quantity FROM user_items WHERE user_id = ?',
+    [userId]
+  );
+
+  const items = {};
+  ITEM_TYPE_IDS.forEach(type => {
+    items[type] = 0;
+  });
+  rows.forEach(row => {
+    items[row.item_type] = row.quantity;
+  });
+  return items;
+}
+
+/**
+ * Add `delta` to one item type and record it in the ledger.
+ * With clamp the quantity stops at 0 (the ledger records what was actually removed); without it a
+ * change that would go below 0 is refused.
+ * @returns {Promise<number|null>} the new quantity, or null when there were not enough items
+ */
+async function changeItemQuantity(db, userId, type, delta, reason, { clamp = false } = {}) {
+  await db.execute(
+    'INSERT IGNORE INTO user_items (user_id, item_type, quantity) VALUES (?, ?, 0)',
+    [userId, type]
+  );
+  const [rows] = await db.execute(
+    'SELECT quantity FROM user_items WHERE user_id = ? AND item_type = ? FOR UPDATE',
+    [userId, type]
+  );
+
+  const before = rows[0].quantity;
+  const after = clamp ? Math.max(0, before + delta) : before + delta;
+  if (after < 0) return null;
+
+  if (after !== before) {
+    await db.execute(
+      'UPDATE user_items SET quantity = ? WHERE user_id = ? AND item_type = ?',
+      [after, userId, type]
+    );
+    await db.execute(
+      'INSERT INTO item_ledger (user_id, item_type, delta, balance_after, reason) VALUES (?, ?, ?, ?, ?)',
+      [userId, type, after - before, after, reason]
+    );
+  }
+
+  return after;
+}
+
+/**
+ * Grant a set of items decided by the server (see shared/items.js), e.g. a level reward
+ * @param {Object<string, number>} items - item type → amount
+ */
+async function grantItems(db, userId, items, reason) {
+  for (const [type, amount] of Object.entries(items)) {
+    await changeItemQuantity(db, userId, type, amount, reason);
+  }
+}
+
+/**
+ * One-time claim of the items an app earned before the server kept inventories. Each type is raised
+ * to the app's count, capped at ITEM_BASELINE_CAP, and never lowered. A 'baseline' ledger row per
+ * type marks the claim, even when nothing was added, so later claims change nothing.
+ * @param {Object<string, number>} items - item type → the app's local count
+ * @returns {Promise<boolean>} false when the user has already claimed
+ */
+async function claimItemBaseline(db, userId, items) {
+  // Serializes concurrent claims by the same user
+  await db.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+  const [claims] = await db.execute(
+    "SELECT id FROM item_ledger WHERE user_id = ? AND reason = 'baseline' LIMIT 1",
+    [userId]
+  );
+  if (claims.length > 0) return false;
+
+  const current = await getItems(db, userId);
+  for (const type of ITEM_TYPE_IDS) {
+    const delta = Math.min(items[type] || 0, ITEM_BASELINE_CAP[type] || 0) - current[type];
+    if (delta > 0) {
+      await changeItemQuantity(db, userId, type, delta, 'baseline');
+    } else {
+      await db.execute(
+        "INSERT INTO item_ledger (user_id, item_type, delta, balance_after, reason) VALUES (?, ?, 0, ?, 'baseline')",
+        [userId, type, current[type]]
+      );
+    }
+  }
+  return true;
+}
+
+// Items a user got from its baseline claim, by type
+async function getBaselineGrants(db, userId) {
+  const [rows] = await db.execute(
+    "SELECT item_type, SUM(delta) AS granted FROM item_ledger WHERE user_id = ? AND reason = 'baseline' GROUP BY item_type",
+    [userId]
+  );
+  const grants = {};
+  rows.forEach(row => {
+    grants[row.item_type] = Number(row.granted);
+  });
+  return grants;
+}
+
+function consumeItem(db, userId, { type, amount, reason }) {
+  return changeItemQuantity(db, userId, type, -amount, reason);
+}
+
+// Most recent ledger entries, newest first
+async function getItemLedger(db, userId, { type, limit, offset }) {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (type) {
+    conditions.push('item_type = ?');
+    params.push(type);
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, item_type, delta, balance_after, reason, created_at FROM item_ledger
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    type: row.item_type,
+    delta: row.delta,
+    balance: row.balance_after,
+    reason: row.reason,
+    createdAt: row.created_at,
+  }));
+}
+
+module.exports = {
+  getItems,
+  changeItemQuantity,
+  grantItems,
+  claimItemBaseline,
+  getBaselineGrants,
+  consumeItem,
+  getItemLedger,
+};
@@ -0,0 +1,50 @@
+// Level progress. A settle locks the progress row first, so concurrent settles cannot overwrite
+// each other or both see the same previous best. Items live in the inventory (db/items.js) since
+// change_items was migrated.
+
+function toProgress(row) {
+  return {
+    currentLevel: row.current_level,
+    bestLevel: row.best_level,
+  };
+}
+
+async function getProgress(db, userId) {
+  const [progress] = await db.execute(
+    'SELECT current_level, best_level FROM user_progress WHERE user_id = ?',
+    [userId]
+  );
+  return progress.length > 0 ? toProgress(progress[0]) : null;
+}
+
+/**
+ * Record a finished level. best_level only goes up; the row is created on the first settle.
+ * Must run inside a transaction on `db`.
+ * @returns {Promise<{progress: {currentLevel: number, bestLevel: number}, previousBestLevel: number}>}
+ */
+async function settleProgress(db, userId, { level }) {
+  const [rows] = await db.execute(
+    'SELECT best_level FROM user_progress WHERE user_id = ? FOR UPDATE',
+    [userId]
+  );
+  const previousBestLevel = rows.length > 0 ? rows[0].best_level : 0;
+
+  await db.execute(
+    `INSERT INTO user_progress (user_id, current_level, best_level, change_items)
+     VALUES (?, ?, ?, 0)
+     ON DUPLICATE KEY UPDATE
+       current_level = VALUES(current_level),
+       best_level = GREATEST(best_level, VALUES(best_level))`,
+    [userId, level, level]
+  );
+
+  return {
+    progress: await getProgress(db, userId),
+    previousBestLevel,
+  };
+}
+
+module.exports = {
+  getProgress,
+  settleProgress,
+};
@@ -0,0 +1,176 @@
+const { getItems, changeItemQuantity, grantItems, getBaselineGrants } = require('./items');
+const { STARTER_ITEMS } = require('../../../shared/items');
+
+// Best IQ column per challenge variant (best_iq is the classic 60s mode)
+const VARIANT_BEST_COLUMNS = {
+  classic: 'best_iq',
+  blitz: 'best_iq_blitz',
+  marathon: 'best_iq_marathon',
+  suddenDeath: 'best_iq_sudden_death',
+  target: 'best_iq_target',
+};
+
+// Create a user with its progress and challenge record rows and the starter items.
+// `db` is a connection inside a transaction.
+async function createUser(db, { uid, email = null, nickname = null, meta = {} }) {
+  const [result] = await db.execute(
+    'INSERT INTO users (uid, email, nickname, meta_json) VALUES (?, ?, ?, ?)',
+    [uid, email, nickname, JSON.stringify(meta)]
+  );
+
+  await db.execute(
+    'INSERT INTO user_progress (user_id, current_level, best_level, change_items) VALUES (?, 1, 0, 0)',
+    [result.insertId]
+  );
+
+  await db.execute(
+    'INSERT INTO user_challenge_record (user_id, best_iq, best_iq_title, last_iq) VALUES (?, 0, ?, 0)',
+    [result.insertId, 'Newborn Dreamer']
+  );
+
+  await grantItems(db, result.insertId, STARTER_ITEMS, 'starter');
+
+  return { id: result.insertId, uid };
+}
+
+// Progress, items and best scores as returned to the app after linking
+async function getAccountSummary(db, userId) {
+  const [progress] = await db.execute(
+    'SELECT best_level FROM user_progress WHERE user_id = ?',
+    [userId]
+  );
+  const items = await getItems(db, userId);
+  const [records] = await db.execute(
+    'SELECT * FROM user_challenge_record WHERE user_id = ?',
+    [userId]
+  );
+
+  const challengeBests = {};
+  Object.entries(VARIANT_BEST_COLUMNS).forEach(([variant, column]) => {
+    challengeBests[variant] = records[0]?.[column] || 0;
+  });
+
+  return {
+    progress: {
+      bestLevel: progress[0]?.best_level || 0,
+      changeItems: items.swapMaster,
+    },
+    items,
+    challengeBests,
+  };
+}
+
+/**
+ * Fold sourceId into targetId: best level and best IQs take the max, items are added up (except
+ * the source's starter items and baseline claim), runs, daily results, devices and identities move over, and the
+ * source's bests are zeroed and the user marked merged.
+ * Must run inside a transaction on `connection`.
+ */
+async function mergeUsers(connection, targetId, sourceId) {
+  // Lock both players' rows so concurrent settles wait for the merge
+  await connection.execute(
+    'SELECT user_id FROM user_progress WHERE user_id IN (?, ?) FOR UPDATE',
+    [targetId, sourceId]
+  );
+  await connection.execute(
+    'SELECT user_id FROM user_challenge_record WHERE user_id IN (?, ?) FOR UPDATE',
+    [targetId, sourceId]
+  );
+  await connection.execute(
+    'SELECT user_id FROM user_items WHERE user_id IN (?, ?) FOR UPDATE',
+    [targetId, sourceId]
+  );
+
+  await connection.execute(
+    'INSERT IGNORE INTO user_progress (user_id, current_level, best_level, change_items) VALUES (?, 1, 0, 0)',
+    [targetId]
+  );
+  await connection.execute(
+    `UPDATE user_progress t JOIN user_progress s ON s.user_id = ?
+     SET t.best_level = GREATEST(t.best_level, s.best_level),
+         t.current_level = GREATEST(t.current_level, s.current_level)
+     WHERE t.user_id = ?`,
+    [sourceId, targetId]
+  );
+
+  // Items are added to the target's inventory, with a 'merge' ledger entry on both sides. The
+  // source's starter items and baseline claim stay behind, or a reinstall followed by an email link
+  // would mint new ones.
+  const sourceItems = await getItems(connection, sourceId);
+  const baselineGrants = await getBaselineGrants(connection, sourceId);
+  for (const [type, quantity] of Object.entries(sourceItems)) {
+    if (quantity > 0) {
+      await changeItemQuantity(connection, sourceId, type, -quantity, 'merge');
+      const earned = quantity - (STARTER_ITEMS[type] || 0) - (baselineGrants[type] || 0);
+      if (earned > 0) {
+        await changeItemQuantity(connection, targetId, type, earned, 'merge');
+      }
+    }
+  }
+
+  await connection.execute(
+    "INSERT IGNORE INTO user_challenge_record (user_id, best_iq, best_iq_title, last_iq) VALUES (?, 0, 'Newborn Dreamer', 0)",
+    [targetId]
+  );
+  // The title follows the classic best; multi-table UPDATE has no assignment order, so set it first
+  await connection.execute(
+    `UPDATE user_challenge_record t JOIN user_challenge_record s ON s.user_id = ?
+     SET t.best_iq_title = s.best_iq_title
+     WHERE t.user_id = ? AND s.best_iq > t.best_iq`,
+    [sourceId, targetId]
+  );
+  const bestColumns = Object.values(VARIANT_BEST_COLUMNS)
+    .map(column => `t.${column} = GREATEST(t.${column}, s.${column})`)
+    .join(', ');
+  await connection.execute(
+    `UPDATE user_challenge_record t JOIN user_challenge_record s ON s.user_id = ?
+     SET ${bestColumns}
+     WHERE t.user_id = ?`,
+    [sourceId, targetId]
+  );
+  // The bests now live on the target; zero the source so they are not counted twice
+  const zeroedColumns = Object.values(VARIANT_BEST_COLUMNS)
+    .map(column => `${column} = 0`)
+    .join(', ');
+  await connection.execute(
+    `UPDATE user_challenge_record SET ${zeroedColumns}, best_iq_title = 'Newborn Dreamer', last_iq = 0
+     WHERE user_id = ?`,
+    [sourceId]
+  );
+
+  await connection.execute(
+    'UPDATE challenge_runs SET user_id = ? WHERE user_id = ?',
+    [targetId, sourceId]
+  );
+  // One daily result per user and day: keep the better run when both played
+  await connection.execute(
+    `INSERT INTO daily_challenge_results (user_id, challenge_date, iq, created_at)
+     SELECT ?, challenge_date, iq, created_at FROM daily_challenge_results WHERE user_id = ?
+     ON DUPLICATE KEY UPDATE iq = GREATEST(daily_challenge_results.iq, VALUES(iq))`,
+    [targetId, sourceId]
+  );
+  await connection.execute(
+    'DELETE FROM daily_challenge_results WHERE user_id = ?',
+    [sourceId]
+  );
+
+  await connection.execute(
+    'UPDATE user_devices SET user_id = ? WHERE user_id = ?',
+    [targetId, sourceId]
+  );
+  await connection.execute(
+    'UPDATE user_identities SET user_id = ? WHERE user_id = ?',
+    [targetId, sourceId]
+  );
+  await connection.execute(
+    'UPDATE users SET merged_into = ? WHERE id = ?',
+    [targetId, sourceId]
+  );
+}
+
+module.exports = {
+  VARIANT_BEST_COLUMNS,
+  createUser,
+  getAccountSummary,
+  mergeUsers,
+};
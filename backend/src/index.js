@@ -2,15 +2,27 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
+const { authenticate } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
 const userRoutes = require('./routes/user');
 const levelsRoutes = require('./routes/levels');
 const boardRoutes = require('./routes/board');
 const progressRoutes = require('./routes/progress');
+const itemsRoutes = require('./routes/items');
 const challengeRoutes = require('./routes/challenge');
+const leaderboardRoutes = require('./routes/leaderboard');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind a load balancer, TRUST_PROXY (a hop count like 1, or addresses) lets req.ip be the
+// client's address, which the email code limits count by
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:8081', 'http://localhost:19006', 'exp://'],
@@ -29,11 +41,18 @@ app.get('/api/health', (req, res) => {
   res.json({ ok: true, ts: Date.now() });
 });
 
-app.use('/api/user', userRoutes);
+// Public: device registration, level names, boards and leaderboards
+app.use('/api/auth', authRoutes);
 app.use('/api/levels', levelsRoutes);
 app.use('/api/board', boardRoutes);
-app.use('/api/progress', progressRoutes);
-app.use('/api/challenge', challengeRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
+
+// Everything that reads or writes a player's data acts on the device token's user
+app.use('/api/user', authenticate, userRoutes);
+app.use('/api/account', authenticate, accountRoutes);
+app.use('/api/progress', authenticate, progressRoutes);
+app.use('/api/items', authenticate, itemsRoutes);
+app.use('/api/challenge', authenticate, challengeRoutes);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
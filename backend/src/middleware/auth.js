@@ -0,0 +1,47 @@
+const pool = require('../db/pool');
+const { verifyDeviceToken } = require('../utils/auth');
+
+function unauthorized(res, message) {
+  return res.status(401).json({
+    error: true,
+    message,
+  });
+}
+
+// Require "Authorization: Bearer <device token>" and attach req.user = { id, uid, deviceId }.
+// Routes behind this middleware act on req.user and ignore any uid in the request.
+async function authenticate(req, res, next) {
+  try {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return unauthorized(res, 'Missing device token');
+    }
+
+    const identity = verifyDeviceToken(token);
+    if (!identity) {
+      return unauthorized(res, 'Invalid device token');
+    }
+
+    // The device row decides the user: linking an email can move a device to another account
+    const [devices] = await pool.execute(
+      `SELECT u.id, u.uid FROM user_devices d
+       JOIN users u ON u.id = d.user_id
+       WHERE d.device_id = ? AND d.revoked_at IS NULL`,
+      [identity.deviceId]
+    );
+
+    if (devices.length === 0) {
+      return unauthorized(res, 'Device is not registered');
+    }
+
+    req.user = { id: devices[0].id, uid: devices[0].uid, deviceId: identity.deviceId };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  authenticate,
+};
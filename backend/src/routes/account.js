@@ -0,0 +1,271 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { getAccountSummary, mergeUsers } = require('../db/users');
+const { emailLinkStartSchema, emailLinkVerifySchema } = require('../utils/validate');
+const {
+  signDeviceToken,
+  generateVerificationCode,
+  hashVerificationCode,
+  isVerificationCodeMatch,
+} = require('../utils/auth');
+const { isMailConfigured, sendVerificationCode } = require('../utils/mailer');
+
+const router = express.Router();
+
+const CODE_TTL_MINUTES = 10;
+const CODE_RESEND_SECONDS = 60;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Limits across accounts, since registering another device (and so another account) is free.
+// Counted over codes created in the last CODE_LIMIT_WINDOW_MINUTES.
+const CODE_LIMIT_WINDOW_MINUTES = 60;
+const MAX_CODES_PER_EMAIL = 5;
+const MAX_CODES_PER_IP = 20;
+const MAX_FAILED_ATTEMPTS_PER_EMAIL = 10;
+
+async function getLinkedEmail(db, userId) {
+  const [identities] = await db.execute(
+    "SELECT identifier FROM user_identities WHERE provider = 'email' AND user_id = ?",
+    [userId]
+  );
+  return identities.length > 0 ? identities[0].identifier : null;
+}
+
+// Email linking needs a mail transport; without one the codes could not be delivered
+function requireMail(req, res, next) {
+  if (!isMailConfigured()) {
+    return res.status(503).json({
+      error: true,
+      message: 'Email linking is not available right now',
+    });
+  }
+  next();
+}
+
+// The signed-in account: uid, linked email, progress and best scores
+router.get('/', async (req, res) => {
+  try {
+    const summary = await getAccountSummary(pool, req.user.id);
+
+    res.json({
+      user: {
+        uid: req.user.uid,
+        email: await getLinkedEmail(pool, req.user.id),
+      },
+      ...summary,
+    });
+  } catch (error) {
+    throw error;
+  }
+});
+
+// Send a one-time code to the email the player wants to link
+router.post('/email/start', requireMail, async (req, res) => {
+  try {
+    const validatedData = emailLinkStartSchema.parse(req.body);
+    const { email } = validatedData;
+
+    const [recent] = await pool.execute(
+      'SELECT id FROM email_verifications WHERE user_id = ? AND created_at > NOW() - INTERVAL ? SECOND',
+      [req.user.id, CODE_RESEND_SECONDS]
+    );
+
+    if (recent.length > 0) {
+      return res.status(429).json({
+        error: true,
+        message: 'Please wait a minute before requesting another code',
+      });
+    }
+
+    // Keeps one inbox from being flooded, and one client from requesting codes for many emails
+    const [[emailCodes]] = await pool.execute(
+      'SELECT COUNT(*) AS count FROM email_verifications WHERE email = ? AND created_at > NOW() - INTERVAL ? MINUTE',
+      [email, CODE_LIMIT_WINDOW_MINUTES]
+    );
+    if (emailCodes.count >= MAX_CODES_PER_EMAIL) {
+      return res.status(429).json({
+        error: true,
+        message: 'Too many codes were requested for this email, please try again later',
+      });
+    }
+
+    const [[ipCodes]] = await pool.execute(
+      'SELECT COUNT(*) AS count FROM email_verifications WHERE ip = ? AND created_at > NOW() - INTERVAL ? MINUTE',
+      [req.ip, CODE_LIMIT_WINDOW_MINUTES]
+    );
+    if (ipCodes.count >= MAX_CODES_PER_IP) {
+      return res.status(429).json({
+        error: true,
+        message: 'Too many codes were requested, please try again later',
+      });
+    }
+
+    const code = generateVerificationCode();
+    const [inserted] = await pool.execute(
+      'INSERT INTO email_verifications (user_id, email, ip, code_hash, expires_at) VALUES (?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)',
+      [req.user.id, email, req.ip, hashVerificationCode(email, code), CODE_TTL_MINUTES]
+    );
+
+    try {
+      await sendVerificationCode(email, code);
+    } catch (error) {
+      // Not delivered: drop the code so the player can ask again right away
+      console.error('Failed to send verification email:', error.message);
+      await pool.execute('DELETE FROM email_verifications WHERE id = ?', [inserted.insertId]);
+      return res.status(503).json({
+        error: true,
+        message: 'Could not send the verification email, please try again later',
+      });
+    }
+
+    res.json({
+      sent: true,
+      email,
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+// Check the code and link the email. If another account already owns the email, this device's
+// account is merged into it (a second device, or a reinstall recovering its progress) and the
+// response carries a new token for that account.
+router.post('/email/verify', requireMail, async (req, res) => {
+  try {
+    const validatedData = emailLinkVerifySchema.parse(req.body);
+    const { email, code } = validatedData;
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Failed attempts on this email from every account. Locking the email's recent codes also
+      // makes concurrent verifies for one email take turns, so the cap cannot be overrun.
+      const [recentCodes] = await connection.execute(
+        'SELECT attempts FROM email_verifications WHERE email = ? AND created_at > NOW() - INTERVAL ? MINUTE FOR UPDATE',
+        [email, CODE_LIMIT_WINDOW_MINUTES]
+      );
+      const failedAttempts = recentCodes.reduce((sum, row) => sum + row.attempts, 0);
+      if (failedAttempts >= MAX_FAILED_ATTEMPTS_PER_EMAIL) {
+        await connection.rollback();
+        return res.status(429).json({
+          error: true,
+          message: 'Too many incorrect codes for this email, please try again later',
+        });
+      }
+
+      const [verifications] = await connection.execute(
+        `SELECT id, code_hash, attempts FROM email_verifications
+         WHERE user_id = ? AND email = ? AND consumed_at IS NULL AND expires_at > NOW()
+         ORDER BY id DESC LIMIT 1 FOR UPDATE`,
+        [req.user.id, email]
+      );
+
+      if (verifications.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          error: true,
+          message: 'Verification code expired, please request a new one',
+        });
+      }
+
+      const verification = verifications[0];
+      if (verification.attempts >= MAX_CODE_ATTEMPTS) {
+        await connection.rollback();
+        return res.status(429).json({
+          error: true,
+          message: 'Too many attempts, please request a new code',
+        });
+      }
+
+      if (!isVerificationCodeMatch(email, code, verification.code_hash)) {
+        await connection.execute(
+          'UPDATE email_verifications SET attempts = attempts + 1 WHERE id = ?',
+          [verification.id]
+        );
+        await connection.commit();
+        return res.status(400).json({
+          error: true,
+          message: 'Incorrect verification code',
+        });
+      }
+
+      await connection.execute(
+        'UPDATE email_verifications SET consumed_at = NOW() WHERE id = ?',
+        [verification.id]
+      );
+
+      const [owners] = await connection.execute(
+        "SELECT user_id FROM user_identities WHERE provider = 'email' AND identifier = ? FOR UPDATE",
+        [email]
+      );
+      const currentEmail = await getLinkedEmail(connection, req.user.id);
+
+      if (currentEmail && currentEmail !== email) {
+        await connection.rollback();
+        return res.status(409).json({
+          error: true,
+          message: 'This account is already linked to another email',
+        });
+      }
+
+      let userId = req.user.id;
+      let merged = false;
+
+      if (owners.length === 0) {
+        await connection.execute(
+          "INSERT INTO user_identities (user_id, provider, identifier) VALUES (?, 'email', ?)",
+          [userId, email]
+        );
+      } else if (owners[0].user_id !== userId) {
+        userId = owners[0].user_id;
+        await mergeUsers(connection, userId, req.user.id);
+        merged = true;
+      }
+
+      await connection.execute(
+        'UPDATE users SET email = ? WHERE id = ?',
+        [email, userId]
+      );
+
+      await connection.commit();
+
+      const [users] = await pool.execute(
+        'SELECT uid FROM users WHERE id = ?',
+        [userId]
+      );
+      const summary = await getAccountSummary(pool, userId);
+
+      res.json({
+        linked: true,
+        merged,
+        token: merged ? signDeviceToken({ userId, deviceId: req.user.deviceId }) : undefined,
+        user: { uid: users[0].uid, email },
+        ...summary,
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+module.exports = router;
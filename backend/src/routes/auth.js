@@ -0,0 +1,117 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { createUser } = require('../db/users');
+const { deviceRegisterSchema } = require('../utils/validate');
+const { signDeviceToken, generateUid } = require('../utils/auth');
+
+const router = express.Router();
+
+// Installs from before device tokens may claim the uid they already synced, once, by the first
+// device that registers it. Off unless ALLOW_LEGACY_CLAIM=true, and only until LEGACY_CLAIM_UNTIL
+// (an ISO date) so the window closes by itself once existing players have upgraded.
+const ALLOW_LEGACY_CLAIM = process.env.ALLOW_LEGACY_CLAIM === 'true';
+const LEGACY_CLAIM_UNTIL = Date.parse(process.env.LEGACY_CLAIM_UNTIL || '');
+
+if (ALLOW_LEGACY_CLAIM && Number.isNaN(LEGACY_CLAIM_UNTIL)) {
+  console.warn('ALLOW_LEGACY_CLAIM is set without a valid LEGACY_CLAIM_UNTIL date; legacy claims stay disabled');
+}
+
+function isLegacyClaimOpen(now = Date.now()) {
+  return ALLOW_LEGACY_CLAIM && now < LEGACY_CLAIM_UNTIL;
+}
+
+router.post('/register', async (req, res) => {
+  try {
+    const validatedData = deviceRegisterSchema.parse(req.body);
+    const { deviceId, platform, legacyUid } = validatedData;
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [devices] = await connection.execute(
+        'SELECT id FROM user_devices WHERE device_id = ?',
+        [deviceId]
+      );
+
+      if (devices.length > 0) {
+        await connection.rollback();
+        return res.status(409).json({
+          error: true,
+          message: 'Device is already registered',
+        });
+      }
+
+      let user = null;
+      let claimed = false;
+
+      // A uid the server has never seen is not claimed: new users always get a generated uid
+      if (legacyUid && isLegacyClaimOpen()) {
+        const [users] = await connection.execute(
+          'SELECT id, uid, merged_into FROM users WHERE uid = ? FOR UPDATE',
+          [legacyUid]
+        );
+
+        if (users.length > 0) {
+          const [owners] = await connection.execute(
+            'SELECT COUNT(*) AS count FROM user_devices WHERE user_id = ?',
+            [users[0].id]
+          );
+
+          // Accounts folded into another one by email linking are recovered through that email
+          if (owners[0].count > 0 || users[0].merged_into) {
+            await connection.rollback();
+            return res.status(409).json({
+              error: true,
+              message: 'Account is already registered to another device',
+            });
+          }
+
+          user = { id: users[0].id, uid: users[0].uid };
+          claimed = true;
+        }
+      }
+
+      if (!user) {
+        user = await createUser(connection, { uid: generateUid() });
+      }
+
+      await connection.execute(
+        'INSERT INTO user_devices (user_id, device_id, platform) VALUES (?, ?, ?)',
+        [user.id, deviceId, platform || null]
+      );
+
+      await connection.commit();
+
+      res.json({
+        registered: true,
+        claimed,
+        token: signDeviceToken({ userId: user.id, deviceId }),
+        user: { uid: user.uid },
+      });
+    } catch (error) {
+      await connection.rollback();
+      // Another registration for the same device or uid committed first
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          error: true,
+          message: 'Registration conflict, please retry',
+        });
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+module.exports = router;
@@ -1,97 +1,277 @@
 const express = require('express');
 const pool = require('../db/pool');
-const { challengeSettleSchema } = require('../utils/validate');
+const { VARIANT_BEST_COLUMNS } = require('../db/users');
+const {
+  signChallengeSeed,
+  verifyChallengeSeed,
+  signDailyChallengeSeed,
+  verifyDailyChallengeSeed,
+} = require('../utils/auth');
+const {
+  challengeStartSchema,
+  challengeSettleSchema,
+  dailyChallengeSettleSchema,
+} = require('../utils/validate');
+const {
+  getDailyStreak,
+  getIQTitle,
+  getUTCDateKey,
+  shiftDateKey,
+  verifyChallengeRun,
+} = require('../../../shared/challengeRules');
 
 const router = express.Router();
 
-const IQ_TITLES = {
-  0: 'Newborn Dreamer',
-  40: 'Tiny Adventurer', 
-  55: 'Learning Hatchling',
-  65: 'Little Explorer',
-  70: 'Slow but Steady',
-  85: 'Hardworking Student',
-  100: 'Everyday Scholar',
-  115: 'Rising Star',
-  130: 'Puzzle Master',
-  145: 'Cosmic Genius',
-};
-
-function getIQTitle(iq) {
-  const thresholds = Object.keys(IQ_TITLES)
-    .map(Number)
-    .sort((a, b) => b - a);
-  
-  for (let threshold of thresholds) {
-    if (iq >= threshold) {
-      return IQ_TITLES[threshold];
+// A run has to settle within this long of starting (including time spent offline in the app's queue)
+const CHALLENGE_SEED_TTL_HOURS = 24;
+
+// Issue the seed for a new run. It is signed for this user and variant, expires, and settles once.
+router.post('/start', async (req, res) => {
+  try {
+    const { variant } = challengeStartSchema.parse(req.body);
+    const expiresAt = new Date(Date.now() + CHALLENGE_SEED_TTL_HOURS * 60 * 60 * 1000);
+
+    res.json({
+      seed: signChallengeSeed({ userId: req.user.id, variant, expiresAt }),
+      variant,
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
     }
+    throw error;
+  }
+});
+
+// Record that a seed has settled; false when it already has. Claimed before the replay, so a seed
+// costs at most one replay however often it is submitted.
+async function claimChallengeSeed(userId, seed, expiresAt) {
+  await pool.execute('DELETE FROM challenge_seed_uses WHERE expires_at < NOW()');
+  try {
+    await pool.execute(
+      'INSERT INTO challenge_seed_uses (user_id, seed, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))',
+      [userId, seed, Math.floor(expiresAt.getTime() / 1000)]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return false;
+    throw error;
   }
-  
-  return IQ_TITLES[0];
 }
 
 router.post('/settle', async (req, res) => {
   try {
     const validatedData = challengeSettleSchema.parse(req.body);
-    const { uid, iq } = validatedData;
+    const { seed, variant, moves } = validatedData;
+    const userId = req.user.id;
 
-    // Get user
-    const [users] = await pool.execute(
-      'SELECT id FROM users WHERE uid = ?',
-      [uid]
-    );
+    const issued = verifyChallengeSeed(seed, { userId, variant });
+    if (!issued) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid or expired seed',
+      });
+    }
+    if (!(await claimChallengeSeed(userId, seed, issued.expiresAt))) {
+      return res.status(409).json({
+        error: true,
+        message: 'Seed has already been used',
+      });
+    }
 
-    if (users.length === 0) {
-      return res.status(404).json({
+    // Regenerate the boards from the seed and replay the moves to compute the IQ
+    const run = verifyChallengeRun({ seed, moves, variant });
+    if (!run.valid) {
+      return res.status(400).json({
         error: true,
-        message: 'User not found',
+        message: 'Invalid move log',
+        details: { reason: run.reason, moveIndex: run.moveIndex },
       });
     }
+    const { iq } = run;
 
-    const userId = users[0].id;
-    const iqTitle = getIQTitle(iq);
+    const iqTitle = getIQTitle(iq, variant);
+    const runSummary = { iq, clears: run.clears, hints: run.hints, maxCombo: run.maxCombo, breakdown: run.breakdown };
 
-    // Get current challenge record
-    const [records] = await pool.execute(
-      'SELECT * FROM user_challenge_record WHERE user_id = ?',
-      [userId]
+    // Keep every verified run for the weekly/daily leaderboards
+    await pool.execute(
+      'INSERT INTO challenge_runs (user_id, iq, variant) VALUES (?, ?, ?)',
+      [userId, iq, variant]
     );
 
-    if (records.length === 0) {
-      // Initialize record if not exists
+    // Other variants only keep a best score in their own column
+    if (variant !== 'classic') {
+      const column = VARIANT_BEST_COLUMNS[variant];
       await pool.execute(
-        'INSERT INTO user_challenge_record (user_id, best_iq, best_iq_title, last_iq) VALUES (?, ?, ?, ?)',
-        [userId, iq, iqTitle, iq]
+        `INSERT INTO user_challenge_record (user_id, ${column}) VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE ${column} = GREATEST(${column}, VALUES(${column}))`,
+        [userId, iq]
       );
+      const [bests] = await pool.execute(
+        `SELECT ${column} AS best FROM user_challenge_record WHERE user_id = ?`,
+        [userId]
+      );
+      const bestIQ = bests[0].best;
 
       return res.json({
         updated: true,
         challenge: {
-          bestIQ: iq,
-          bestIQTitle: iqTitle,
+          variant,
+          bestIQ,
+          bestIQTitle: getIQTitle(bestIQ, variant),
           lastIQ: iq,
         },
+        run: runSummary,
       });
     }
 
-    const currentRecord = records[0];
-    const newBestIQ = Math.max(currentRecord.best_iq, iq);
-    const newBestTitle = newBestIQ > currentRecord.best_iq ? iqTitle : currentRecord.best_iq_title;
-
-    // Update challenge record
+    // One statement, so concurrent settles cannot lose a best. Single-table assignments run left
+    // to right: the title is compared against the old best before best_iq is raised.
     await pool.execute(
-      'UPDATE user_challenge_record SET best_iq = ?, best_iq_title = ?, last_iq = ? WHERE user_id = ?',
-      [newBestIQ, newBestTitle, iq, userId]
+      `INSERT INTO user_challenge_record (user_id, best_iq, best_iq_title, last_iq) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         best_iq_title = IF(VALUES(best_iq) > best_iq, VALUES(best_iq_title), best_iq_title),
+         best_iq = GREATEST(best_iq, VALUES(best_iq)),
+         last_iq = VALUES(last_iq)`,
+      [userId, iq, iqTitle, iq]
+    );
+    const [records] = await pool.execute(
+      'SELECT best_iq, best_iq_title FROM user_challenge_record WHERE user_id = ?',
+      [userId]
     );
+    const newBestIQ = records[0].best_iq;
+    const newBestTitle = records[0].best_iq_title;
 
     res.json({
       updated: true,
       challenge: {
+        variant,
         bestIQ: newBestIQ,
         bestIQTitle: newBestTitle,
         lastIQ: iq,
       },
+      run: runSummary,
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+// Dates of the daily challenges a user has settled, newest first
+async function getDailyDates(userId) {
+  const [rows] = await pool.execute(
+    "SELECT DATE_FORMAT(challenge_date, '%Y-%m-%d') AS date FROM daily_challenge_results WHERE user_id = ? ORDER BY challenge_date DESC LIMIT 400",
+    [userId]
+  );
+  return rows.map(row => row.date);
+}
+
+// Issue the seed for today's daily challenge run: signed for this user and date, settles once.
+// Seeds are only handed out here, so nobody can work out a day's boards in advance.
+router.post('/daily/start', async (req, res) => {
+  try {
+    const date = getUTCDateKey();
+    const userId = req.user.id;
+    const [results] = await pool.execute(
+      'SELECT iq FROM daily_challenge_results WHERE user_id = ? AND challenge_date = ?',
+      [userId, date]
+    );
+
+    if (results.length > 0) {
+      return res.status(409).json({
+        error: true,
+        message: 'Daily challenge already settled',
+      });
+    }
+
+    const { seed, expiresAt } = signDailyChallengeSeed({ userId, date });
+
+    res.json({
+      date,
+      seed,
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (error) {
+    throw error;
+  }
+});
+
+router.post('/daily/settle', async (req, res) => {
+  try {
+    const validatedData = dailyChallengeSettleSchema.parse(req.body);
+    const { date, seed, moves } = validatedData;
+    const userId = req.user.id;
+
+    // Runs that start just before midnight UTC may settle on the next day
+    const today = getUTCDateKey();
+    if (date !== today && date !== shiftDateKey(today, -1)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Daily challenge is closed',
+      });
+    }
+
+    const issued = verifyDailyChallengeSeed(seed, { userId, date });
+    if (!issued) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid or expired seed',
+      });
+    }
+    if (!(await claimChallengeSeed(userId, seed, issued.expiresAt))) {
+      return res.status(409).json({
+        error: true,
+        message: 'Seed has already been used',
+      });
+    }
+
+    const run = verifyChallengeRun({ seed, moves });
+    if (!run.valid) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid move log',
+        details: { reason: run.reason, moveIndex: run.moveIndex },
+      });
+    }
+    const { iq } = run;
+
+    // Only the first run of the day counts
+    try {
+      await pool.execute(
+        'INSERT INTO daily_challenge_results (user_id, challenge_date, iq) VALUES (?, ?, ?)',
+        [userId, date, iq]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          error: true,
+          message: 'Daily challenge already settled',
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      settled: true,
+      daily: {
+        date,
+        iq,
+        iqTitle: getIQTitle(iq),
+        streak: getDailyStreak(await getDailyDates(userId), today),
+      },
+      run: { iq, clears: run.clears, hints: run.hints, maxCombo: run.maxCombo, breakdown: run.breakdown },
     });
   } catch (error) {
     if (error.name === 'ZodError') {
@@ -105,4 +285,25 @@ router.post('/settle', async (req, res) => {
   }
 });
 
+// Today's daily challenge for the signed-in user: whether it is settled, and the current streak
+router.get('/daily/status', async (req, res) => {
+  try {
+    const date = getUTCDateKey();
+    const userId = req.user.id;
+    const [results] = await pool.execute(
+      'SELECT iq FROM daily_challenge_results WHERE user_id = ? AND challenge_date = ?',
+      [userId, date]
+    );
+
+    res.json({
+      date,
+      played: results.length > 0,
+      iq: results.length > 0 ? results[0].iq : null,
+      streak: getDailyStreak(await getDailyDates(userId), date),
+    });
+  } catch (error) {
+    throw error;
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,172 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { getItems, changeItemQuantity, claimItemBaseline, consumeItem, getItemLedger } = require('../db/items');
+const { runIdempotent, getIdempotentResponse } = require('../db/idempotency');
+const {
+  itemChangeSchema,
+  itemRefundSchema,
+  itemBaselineSchema,
+  itemLedgerQuerySchema,
+  idempotencyKeySchema,
+} = require('../utils/validate');
+
+const router = express.Router();
+
+// The signed-in player's inventory
+router.get('/', async (req, res) => {
+  try {
+    const items = await getItems(pool, req.user.id);
+
+    res.json({
+      items,
+    });
+  } catch (error) {
+    throw error;
+  }
+});
+
+// Inventory changes, newest first (optional type filter)
+router.get('/ledger', async (req, res) => {
+  try {
+    const { type, limit, offset } = itemLedgerQuerySchema.parse(req.query);
+    const entries = await getItemLedger(pool, req.user.id, { type, limit, offset });
+
+    res.json({
+      entries,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+// Spend items; answers with the whole inventory so the app can reconcile.
+// Items are only granted by the server (starter items, level rewards, refunds below).
+router.post('/consume', async (req, res) => {
+  try {
+    const validatedData = itemChangeSchema.parse(req.body);
+    const idempotencyKey = idempotencyKeySchema.parse(req.get('Idempotency-Key'));
+
+    const result = await runIdempotent(req.user.id, idempotencyKey, 'items/consume', async (connection) => {
+      const quantity = await consumeItem(connection, req.user.id, validatedData);
+
+      if (quantity === null) {
+        return {
+          status: 400,
+          body: {
+            error: true,
+            message: 'Not enough items',
+          },
+        };
+      }
+
+      return {
+        body: {
+          ok: true,
+          item: { type: validatedData.type, amount: validatedData.amount, quantity },
+          items: await getItems(connection, req.user.id),
+        },
+      };
+    });
+
+    if (result.replayed) res.set('Idempotent-Replayed', 'true');
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+// Give back what an earlier consume took (the app undoing an item move). The consume is looked up
+// by its Idempotency-Key and the refund is stored under a key derived from it, so each consume can
+// be refunded once.
+router.post('/refund', async (req, res) => {
+  try {
+    const { consumeKey } = itemRefundSchema.parse(req.body);
+
+    const result = await runIdempotent(req.user.id, `refund:${consumeKey}`, 'items/refund', async (connection) => {
+      const consumed = await getIdempotentResponse(connection, req.user.id, consumeKey, 'items/consume');
+
+      if (!consumed?.item?.amount) {
+        return {
+          status: 400,
+          body: {
+            error: true,
+            message: 'Nothing to refund',
+          },
+        };
+      }
+
+      const { type, amount } = consumed.item;
+      const quantity = await changeItemQuantity(connection, req.user.id, type, amount, 'undo');
+
+      return {
+        body: {
+          ok: true,
+          item: { type, amount, quantity },
+          items: await getItems(connection, req.user.id),
+        },
+      };
+    });
+
+    if (result.replayed) res.set('Idempotent-Replayed', 'true');
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+// One-time claim of the items the app earned before the server kept inventories, capped per type
+// (ITEM_BASELINE_CAP in shared/items.js). Later claims change nothing; both answer with the inventory.
+router.post('/baseline', async (req, res) => {
+  try {
+    const { items } = itemBaselineSchema.parse(req.body);
+    const idempotencyKey = idempotencyKeySchema.parse(req.get('Idempotency-Key'));
+
+    const result = await runIdempotent(req.user.id, idempotencyKey, 'items/baseline', async (connection) => {
+      const claimed = await claimItemBaseline(connection, req.user.id, items);
+
+      return {
+        body: {
+          claimed,
+          items: await getItems(connection, req.user.id),
+        },
+      };
+    });
+
+    if (result.replayed) res.set('Idempotent-Replayed', 'true');
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { leaderboardQuerySchema, leaderboardAroundSchema } = require('../utils/validate');
+const { getIQTitle, getUTCDateKey } = require('../../../shared/challengeRules');
+
+const router = express.Router();
+
+// Start of the current period in UTC (weeks start on Monday); null for all-time and the daily challenge
+function getPeriodStart(period, now = new Date()) {
+  if (period === 'all' || period === 'daily-challenge') {
+    return null;
+  }
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'weekly') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+}
+
+// All-time ranks come from best_iq; weekly/daily take each player's best classic run since the period start;
+// the daily challenge ranks the single settled run of that date.
+// Ties share a rank, position breaks ties by who got there first (lower user id).
+// Accounts merged into another one by email linking are left out (their scores moved to the target).
+function rankedScoresQuery(period, friends, date) {
+  const params = [];
+  let scores = 'SELECT user_id, best_iq AS iq FROM user_challenge_record';
+
+  if (period === 'daily-challenge') {
+    scores = 'SELECT user_id, iq FROM daily_challenge_results WHERE challenge_date = ?';
+    params.push(date);
+  } else if (period !== 'all') {
+    scores = "SELECT user_id, MAX(iq) AS iq FROM challenge_runs WHERE variant = 'classic' AND created_at >= ? GROUP BY user_id";
+    params.push(getPeriodStart(period));
+  }
+
+  let friendFilter = '';
+  if (friends.length > 0) {
+    friendFilter = 'AND u.uid IN (?)';
+    params.push(friends);
+  }
+
+  const sql = `
+    SELECT * FROM (
+      SELECT u.uid, u.nickname, s.iq,
+        RANK() OVER (ORDER BY s.iq DESC) AS \`rank\`,
+        ROW_NUMBER() OVER (ORDER BY s.iq DESC, s.user_id ASC) AS position
+      FROM (${scores}) s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.iq > 0 AND u.merged_into IS NULL ${friendFilter}
+    ) ranked`;
+
+  return { sql, params };
+}
+
+function toEntry(row) {
+  return {
+    rank: Number(row.rank),
+    uid: row.uid,
+    nickname: row.nickname,
+    iq: row.iq,
+    title: getIQTitle(row.iq),
+  };
+}
+
+async function countRanked(sql, params) {
+  const [rows] = await pool.query(`SELECT COUNT(*) AS total FROM (${sql}) counted`, params);
+  return Number(rows[0].total);
+}
+
+// Players ranked around uid (range entries above and below)
+router.get('/:period/around/:uid', async (req, res) => {
+  try {
+    const { period, date = getUTCDateKey(), uid, range, friends } = leaderboardAroundSchema.parse({
+      ...req.query,
+      period: req.params.period,
+      uid: req.params.uid,
+    });
+
+    // A friends board always includes the player
+    const { sql, params } = rankedScoresQuery(period, friends.length > 0 ? [...friends, uid] : friends, date);
+
+    const [players] = await pool.query(`${sql} WHERE uid = ?`, [...params, uid]);
+    const player = players[0] || null;
+
+    // Players without a score yet see the top of the board instead
+    const center = player ? Number(player.position) : 1 + range;
+    const [rows] = await pool.query(
+      `${sql} WHERE position BETWEEN ? AND ? ORDER BY position`,
+      [...params, Math.max(1, center - range), center + range]
+    );
+
+    res.json({
+      period,
+      date: period === 'daily-challenge' ? date : undefined,
+      periodStart: getPeriodStart(period),
+      total: await countRanked(sql, params),
+      player: player ? toEntry(player) : null,
+      entries: rows.map(toEntry),
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+// Top of the board, paged with limit/offset
+router.get('/:period', async (req, res) => {
+  try {
+    const { period, date = getUTCDateKey(), limit, offset, friends } = leaderboardQuerySchema.parse({
+      ...req.query,
+      period: req.params.period,
+    });
+
+    const { sql, params } = rankedScoresQuery(period, friends, date);
+    const [rows] = await pool.query(
+      `${sql} ORDER BY position LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      period,
+      date: period === 'daily-challenge' ? date : undefined,
+      periodStart: getPeriodStart(period),
+      total: await countRanked(sql, params),
+      entries: rows.map(toEntry),
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation error',
+        details: error.errors,
+      });
+    }
+    throw error;
+  }
+});
+
+module.exports = router;
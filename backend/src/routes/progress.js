@@ -1,70 +1,39 @@
 const express = require('express');
-const pool = require('../db/pool');
-const { progressSettleSchema, itemUseSchema } = require('../utils/validate');
+const { settleProgress } = require('../db/progress');
+const { getItems, grantItems, consumeItem } = require('../db/items');
+const { runIdempotent } = require('../db/idempotency');
+const { progressSettleSchema, itemUseSchema, idempotencyKeySchema } = require('../utils/validate');
+const { LEGACY_ITEM_TYPES, getLevelReward } = require('../../../shared/items');
 
 const router = express.Router();
 
+// Reaching the next level grants the level reward (shared/items.js). Items the client claims
+// (the old changeItemsDelta field) are ignored.
 router.post('/settle', async (req, res) => {
   try {
     const validatedData = progressSettleSchema.parse(req.body);
-    const { uid, level, changeItemsDelta } = validatedData;
-
-    // Get user
-    const [users] = await pool.execute(
-      'SELECT id FROM users WHERE uid = ?',
-      [uid]
-    );
-
-    if (users.length === 0) {
-      return res.status(404).json({
-        error: true,
-        message: 'User not found',
-      });
-    }
-
-    const userId = users[0].id;
-
-    // Get current progress
-    const [progress] = await pool.execute(
-      'SELECT * FROM user_progress WHERE user_id = ?',
-      [userId]
-    );
-
-    if (progress.length === 0) {
-      // Initialize progress if not exists
-      await pool.execute(
-        'INSERT INTO user_progress (user_id, current_level, best_level, change_items) VALUES (?, ?, ?, ?)',
-        [userId, level, level, Math.max(0, changeItemsDelta)]
-      );
-
-      return res.json({
-        updated: true,
-        progress: {
-          currentLevel: level,
-          bestLevel: level,
-          changeItems: Math.max(0, changeItemsDelta),
+    const { level } = validatedData;
+    const idempotencyKey = idempotencyKeySchema.parse(req.get('Idempotency-Key'));
+
+    const result = await runIdempotent(req.user.id, idempotencyKey, 'progress/settle', async (connection) => {
+      const { progress, previousBestLevel } = await settleProgress(connection, req.user.id, { level });
+      const reward = getLevelReward(level, previousBestLevel);
+      if (reward) {
+        await grantItems(connection, req.user.id, reward, 'levelComplete');
+      }
+      const items = await getItems(connection, req.user.id);
+
+      return {
+        body: {
+          updated: true,
+          progress: { ...progress, changeItems: items.swapMaster },
+          items,
         },
-      });
-    }
-
-    const currentProgress = progress[0];
-    const newBestLevel = Math.max(currentProgress.best_level, level);
-    const newChangeItems = Math.max(0, currentProgress.change_items + changeItemsDelta);
-
-    // Update progress
-    await pool.execute(
-      'UPDATE user_progress SET current_level = ?, best_level = ?, change_items = ? WHERE user_id = ?',
-      [level, newBestLevel, newChangeItems, userId]
-    );
-
-    res.json({
-      updated: true,
-      progress: {
-        currentLevel: level,
-        bestLevel: newBestLevel,
-        changeItems: newChangeItems,
-      },
+      };
     });
+
+    if (result.replayed) res.set('Idempotent-Replayed', 'true');
+    res.status(result.status).json(result.body);
   } catch (error) {
     if (error.name === 'ZodError') {
       return res.status(400).json({
@@ -77,59 +46,38 @@ router.post('/settle', async (req, res) => {
   }
 });
 
+// Spend one item (the older form of POST /api/items/consume)
 router.post('/use', async (req, res) => {
   try {
     const validatedData = itemUseSchema.parse(req.body);
-    const { uid, type } = validatedData;
-
-    if (type !== 'change') {
-      return res.status(400).json({
-        error: true,
-        message: 'Invalid item type',
-      });
-    }
-
-    // Get user
-    const [users] = await pool.execute(
-      'SELECT id FROM users WHERE uid = ?',
-      [uid]
-    );
-
-    if (users.length === 0) {
-      return res.status(404).json({
-        error: true,
-        message: 'User not found',
-      });
-    }
-
-    const userId = users[0].id;
-
-    // Get current progress
-    const [progress] = await pool.execute(
-      'SELECT * FROM user_progress WHERE user_id = ?',
-      [userId]
-    );
-
-    if (progress.length === 0 || progress[0].change_items <= 0) {
-      return res.status(400).json({
-        error: true,
-        message: 'No change items available',
-      });
-    }
-
-    const currentProgress = progress[0];
-    const newChangeItems = currentProgress.change_items - 1;
-
-    // Update progress
-    await pool.execute(
-      'UPDATE user_progress SET change_items = ? WHERE user_id = ?',
-      [newChangeItems, userId]
-    );
-
-    res.json({
-      ok: true,
-      changeItems: newChangeItems,
+    const type = LEGACY_ITEM_TYPES[validatedData.type] || validatedData.type;
+    const idempotencyKey = idempotencyKeySchema.parse(req.get('Idempotency-Key'));
+
+    const result = await runIdempotent(req.user.id, idempotencyKey, 'progress/use', async (connection) => {
+      const quantity = await consumeItem(connection, req.user.id, { type, amount: 1, reason: 'progress/use' });
+
+      if (quantity === null) {
+        return {
+          status: 400,
+          body: {
+            error: true,
+            message: 'No items available',
+          },
+        };
+      }
+
+      return {
+        body: {
+          ok: true,
+          type,
+          quantity,
+          changeItems: type === 'swapMaster' ? quantity : undefined,
+        },
+      };
     });
+
+    if (result.replayed) res.set('Idempotent-Replayed', 'true');
+    res.status(result.status).json(result.body);
   } catch (error) {
     if (error.name === 'ZodError') {
       return res.status(400).json({
@@ -142,4 +90,4 @@ router.post('/use', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -7,56 +7,18 @@ const router = express.Router();
 router.post('/sync', async (req, res) => {
   try {
     const validatedData = userSyncSchema.parse(req.body);
-    const { uid, email, nickname, meta } = validatedData;
+    const { nickname, meta } = validatedData;
 
-    // Check if user exists
     const [existingUsers] = await pool.execute(
-      'SELECT * FROM users WHERE uid = ?',
-      [uid]
+      'SELECT * FROM users WHERE id = ?',
+      [req.user.id]
     );
 
-    if (existingUsers.length === 0) {
-      // Create new user
-      const [result] = await pool.execute(
-        'INSERT INTO users (uid, email, nickname, meta_json) VALUES (?, ?, ?, ?)',
-        [uid, email, nickname, JSON.stringify(meta || {})]
-      );
-
-      // Initialize user progress
-      await pool.execute(
-        'INSERT INTO user_progress (user_id, current_level, best_level, change_items) VALUES (?, 1, 0, 0)',
-        [result.insertId]
-      );
-
-      // Initialize challenge record
-      await pool.execute(
-        'INSERT INTO user_challenge_record (user_id, best_iq, best_iq_title, last_iq) VALUES (?, 0, ?, 0)',
-        [result.insertId, 'Newborn Dreamer']
-      );
-
-      const [newUser] = await pool.execute(
-        'SELECT * FROM users WHERE id = ?',
-        [result.insertId]
-      );
-
-      return res.json({
-        created: true,
-        user: {
-          ...newUser[0],
-          meta: JSON.parse(newUser[0].meta_json || '{}'),
-        },
-      });
-    }
-
     const existingUser = existingUsers[0];
     let hasChanges = false;
     const updates = {};
 
-    // Check for changes
-    if (email !== existingUser.email) {
-      updates.email = email;
-      hasChanges = true;
-    }
+    // Check for changes (email only changes through /api/account/email/verify)
     if (nickname !== existingUser.nickname) {
       updates.nickname = nickname;
       hasChanges = true;
@@ -73,13 +35,13 @@ router.post('/sync', async (req, res) => {
       const updateValues = Object.values(updates);
 
       await pool.execute(
-        `UPDATE users SET ${updateFields} WHERE uid = ?`,
-        [...updateValues, uid]
+        `UPDATE users SET ${updateFields} WHERE id = ?`,
+        [...updateValues, req.user.id]
       );
 
       const [updatedUser] = await pool.execute(
-        'SELECT * FROM users WHERE uid = ?',
-        [uid]
+        'SELECT * FROM users WHERE id = ?',
+        [req.user.id]
       );
 
       return res.json({
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+// Device tokens: "v1.<base64url payload>.<base64url HMAC-SHA256>", signed with AUTH_SECRET.
+// The payload names the registered device (and the user it was issued for); the middleware looks up
+// the device row on every request, so devices can be revoked or moved to another account.
+const TOKEN_VERSION = 'v1';
+
+// Required: a made-up secret would sign every player out (401 pauses their sync) on each restart
+const secret = process.env.AUTH_SECRET;
+if (!secret) {
+  throw new Error('Missing required environment variable: AUTH_SECRET');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a token for a registered device
+ * @param {{userId: number, deviceId: string}} identity
+ * @returns {string}
+ */
+function signDeviceToken({ userId, deviceId }) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId,
+    did: deviceId,
+    iat: Math.floor(Date.now() / 1000),
+  })).toString('base64url');
+  const data = `${TOKEN_VERSION}.${payload}`;
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Check the signature and decode a token
+ * @param {string} token
+ * @returns {{userId: number, deviceId: string, issuedAt: number}|null} null when malformed or forged
+ */
+function verifyDeviceToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (!Number.isInteger(payload.sub) || typeof payload.did !== 'string') return null;
+    return { userId: payload.sub, deviceId: payload.did, issuedAt: payload.iat };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Challenge seeds: "c1.<nonce>.<expires unix seconds>.<HMAC>", signed for one user and variant.
+// The signature makes seeds unforgeable; challenge_seed_uses makes each one settle only once.
+const SEED_VERSION = 'c1';
+
+function signSeedData(data, userId, variant) {
+  return sign(`${data}.${userId}.${variant}`);
+}
+
+/**
+ * Issue a seed for a new challenge run
+ * @param {{userId: number, variant: string, expiresAt: Date}} run
+ * @returns {string}
+ */
+function signChallengeSeed({ userId, variant, expiresAt }) {
+  const nonce = crypto.randomBytes(9).toString('base64url');
+  const data = `${SEED_VERSION}.${nonce}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  return `${data}.${signSeedData(data, userId, variant)}`;
+}
+
+/**
+ * Check that a seed was issued to this user for this variant and has not expired
+ * @param {string} seed
+ * @param {{userId: number, variant: string, now?: Date}} run
+ * @returns {{expiresAt: Date}|null} null when malformed, forged, issued to someone else or expired
+ */
+function verifyChallengeSeed(seed, { userId, variant, now = new Date() }) {
+  const parts = typeof seed === 'string' ? seed.split('.') : [];
+  if (parts.length !== 4 || parts[0] !== SEED_VERSION || !/^\d+$/.test(parts[2])) return null;
+
+  const expected = Buffer.from(signSeedData(parts.slice(0, 3).join('.'), userId, variant));
+  const actual = Buffer.from(parts[3]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const expiresAt = new Date(Number(parts[2]) * 1000);
+  return expiresAt > now ? { expiresAt } : null;
+}
+
+// Daily challenge seeds use the same format, bound to the date instead of a variant. The nonce
+// comes from the user and date, so restarting the day's run gets the same boards rather than a
+// new draw; the seed expires with the settle window (the date and the day after).
+function dailySeedVariant(date) {
+  return `daily:${date}`;
+}
+
+/**
+ * Issue the seed for a user's daily challenge run
+ * @param {{userId: number, date: string}} run - date is the UTC date key (YYYY-MM-DD)
+ * @returns {{seed: string, expiresAt: Date}}
+ */
+function signDailyChallengeSeed({ userId, date }) {
+  const expiresAt = new Date(`${date}T00:00:00Z`);
+  expiresAt.setUTCDate(expiresAt.getUTCDate() + 2);
+  const nonce = sign(`daily.${userId}.${date}`).slice(0, 12);
+  const data = `${SEED_VERSION}.${nonce}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  return {
+    seed: `${data}.${signSeedData(data, userId, dailySeedVariant(date))}`,
+    expiresAt,
+  };
+}
+
+// Check that a seed is this user's daily challenge seed for the date
+function verifyDailyChallengeSeed(seed, { userId, date, now }) {
+  return verifyChallengeSeed(seed, { userId, variant: dailySeedVariant(date), now });
+}
+
+// Server-generated uid for new players (replaces the app's user_${Date.now()})
+function generateUid() {
+  return `user_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Six-digit one-time code for email linking
+function generateVerificationCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+// Codes are stored hashed and bound to the address they were sent to
+function hashVerificationCode(email, code) {
+  return crypto.createHash('sha256').update(`${email}:${code}`).digest('hex');
+}
+
+function isVerificationCodeMatch(email, code, codeHash) {
+  const expected = Buffer.from(codeHash);
+  const actual = Buffer.from(hashVerificationCode(email, code));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  signDeviceToken,
+  verifyDeviceToken,
+  signChallengeSeed,
+  verifyChallengeSeed,
+  signDailyChallengeSeed,
+  verifyDailyChallengeSeed,
+  generateUid,
+  generateVerificationCode,
+  hashVerificationCode,
+  isVerificationCodeMatch,
+};
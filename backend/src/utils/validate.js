@@ -1,31 +1,151 @@
 const { z } = require('zod');
+const { MAX_RUN_MOVES } = require('../../../shared/challengeRules');
+const { CHALLENGE_VARIANT_IDS, DEFAULT_VARIANT } = require('../../../shared/challengeVariants');
+const { ITEM_TYPE_IDS, LEGACY_ITEM_TYPES, MAX_ITEM_AMOUNT } = require('../../../shared/items');
 
+// deviceId 为每次安装随机生成的设备 ID；legacyUid 为旧版本安装已经同步过的 uid
+const deviceRegisterSchema = z.object({
+  deviceId: z.string().min(16).max(128),
+  platform: z.string().max(32).optional(),
+  legacyUid: z.string().min(1).max(64).optional(),
+});
+
+// 邮箱统一转成小写，作为账号身份的唯一标识
+const emailSchema = z.string().trim().toLowerCase().pipe(z.string().email().max(255));
+
+const emailLinkStartSchema = z.object({
+  email: emailSchema,
+});
+
+const emailLinkVerifySchema = z.object({
+  email: emailSchema,
+  code: z.string().regex(/^\d{6}$/, 'Expected a 6-digit code'),
+});
+
+// 以下接口的用户来自设备令牌（req.user），不再接受请求体中的 uid
 const userSyncSchema = z.object({
-  uid: z.string().min(1),
-  email: z.string().email().nullable().optional(),
   nickname: z.string().min(1).nullable().optional(),
   meta: z.object({}).optional(),
 });
 
+// 旧版本 App 还会带上 changeItemsDelta，道具由服务端发放，这个字段不再读取
 const progressSettleSchema = z.object({
-  uid: z.string().min(1),
   level: z.number().int().positive(),
-  changeItemsDelta: z.number().int(),
 });
 
+const challengeMoveSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('clear'),
+    t: z.number().int().min(0),
+    startRow: z.number().int(),
+    startCol: z.number().int(),
+    endRow: z.number().int(),
+    endCol: z.number().int(),
+  }),
+  z.object({
+    type: z.literal('hint'),
+    t: z.number().int().min(0),
+  }),
+]);
+
+// 普通挑战开局：服务端按变体签发本局 seed
+const challengeStartSchema = z.object({
+  variant: z.enum(CHALLENGE_VARIANT_IDS).default(DEFAULT_VARIANT),
+});
+
+// IQ 由服务端重放 moves 计算，不再接受客户端上报的分数；seed 必须是 /challenge/start 签发的
 const challengeSettleSchema = z.object({
+  seed: z.string().min(1).max(100),
+  variant: z.enum(CHALLENGE_VARIANT_IDS).default(DEFAULT_VARIANT),
+  moves: z.array(challengeMoveSchema).max(MAX_RUN_MOVES),
+});
+
+// UTC 日期 YYYY-MM-DD
+const dateKeySchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+
+// 每日挑战的 seed 由 /challenge/daily/start 签发，与用户和日期绑定
+const dailyChallengeSettleSchema = z.object({
+  date: dateKeySchema,
+  seed: z.string().min(1).max(100),
+  moves: z.array(challengeMoveSchema).max(MAX_RUN_MOVES),
+});
+
+// friends 为逗号分隔的 uid 列表，传入时只在这些玩家中排名
+const friendsParam = z.string()
+  .optional()
+  .transform(value => (value ? value.split(',').map(uid => uid.trim()).filter(Boolean) : []))
+  .pipe(z.array(z.string().min(1).max(64)).max(200));
+
+// daily-challenge 为某一天的每日挑战（date 默认今天）
+const leaderboardPeriodSchema = z.enum(['all', 'weekly', 'daily', 'daily-challenge']);
+
+const leaderboardQuerySchema = z.object({
+  period: leaderboardPeriodSchema,
+  date: dateKeySchema.optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  offset: z.coerce.number().int().min(0).default(0),
+  friends: friendsParam,
+});
+
+const leaderboardAroundSchema = z.object({
+  period: leaderboardPeriodSchema,
+  date: dateKeySchema.optional(),
   uid: z.string().min(1),
-  iq: z.number().int().min(0),
+  range: z.coerce.number().int().min(1).max(50).default(5),
+  friends: friendsParam,
 });
 
+const itemTypeSchema = z.enum(ITEM_TYPE_IDS);
+
+// 旧版本 App 使用 type: 'change'
 const itemUseSchema = z.object({
-  uid: z.string().min(1),
-  type: z.enum(['change']),
+  type: z.enum([...ITEM_TYPE_IDS, ...Object.keys(LEGACY_ITEM_TYPES)]),
+});
+
+// reason 记入道具流水，例如 use、redo
+const itemChangeSchema = z.object({
+  type: itemTypeSchema,
+  amount: z.number().int().min(1).max(MAX_ITEM_AMOUNT).default(1),
+  reason: z.string().regex(/^[A-Za-z][A-Za-z0-9_.\/-]{0,63}$/, 'Expected a short reason key').default('game'),
+});
+
+// 道具基线：App 本机的道具数量（服务端按 ITEM_BASELINE_CAP 封顶）
+const itemBaselineSchema = z.object({
+  items: z.object(Object.fromEntries(ITEM_TYPE_IDS.map(type => [type, z.number().int().min(0).optional()]))),
+});
+
+const itemLedgerQuerySchema = z.object({
+  type: itemTypeSchema.optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+// Idempotency-Key 请求头：客户端重试同一请求时带上相同的值（例如同步队列的变更 id）
+const idempotencyKeySchema = z.string()
+  .regex(/^[A-Za-z0-9_.:-]{8,128}$/, 'Expected 8-128 letters, digits or _.:-')
+  .optional();
+
+// 退还一次消耗：consumeKey 为那次 /api/items/consume 请求的 Idempotency-Key
+// （退还记录在 refund:<consumeKey> 下，所以比普通的键短一些）
+const itemRefundSchema = z.object({
+  consumeKey: z.string().regex(/^[A-Za-z0-9_.:-]{8,120}$/, 'Expected 8-120 letters, digits or _.:-'),
 });
 
 module.exports = {
+  deviceRegisterSchema,
+  emailLinkStartSchema,
+  emailLinkVerifySchema,
   userSyncSchema,
   progressSettleSchema,
+  challengeStartSchema,
   challengeSettleSchema,
+  dailyChallengeSettleSchema,
+  leaderboardQuerySchema,
+  leaderboardAroundSchema,
   itemUseSchema,
+  itemChangeSchema,
+  itemRefundSchema,
+  itemBaselineSchema,
+  itemLedgerQuerySchema,
+  idempotencyKeySchema,
 };
\ No newline at end of file
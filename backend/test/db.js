@@ -0,0 +1,53 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Database tests run against the MySQL database named by TEST_DB_* and are skipped when it is not
+// set. The tests write to it, so never point it at a database with real players.
+const hasTestDb = Boolean(process.env.TEST_DB_HOST && process.env.TEST_DB_USER && process.env.TEST_DB_DATABASE);
+const skipWithoutDb = hasTestDb ? false : 'set TEST_DB_HOST, TEST_DB_USER and TEST_DB_DATABASE to run';
+
+// The pool reads DB_* when it is first required, so this runs before any src/db module is loaded
+if (hasTestDb) {
+  process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-secret';
+  ['HOST', 'PORT', 'USER', 'PASSWORD', 'DATABASE'].forEach(name => {
+    process.env[`DB_${name}`] = process.env[`TEST_DB_${name}`] || '';
+  });
+}
+
+// Bring the test database up to the latest migration
+function migrateTestDb() {
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'migrate.js'), 'up'], {
+    env: process.env,
+    stdio: 'ignore',
+  });
+}
+
+// Create a player in its own transaction; returns { id, uid }
+async function createTestUser(pool) {
+  const { createUser } = require('../src/db/users');
+  const { generateUid } = require('../src/utils/auth');
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const user = await createUser(connection, { uid: generateUid() });
+    await connection.commit();
+    return user;
+  } finally {
+    connection.release();
+  }
+}
+
+// Rows in other tables go with the user (ON DELETE CASCADE)
+async function deleteTestUsers(pool, users) {
+  for (const user of users) {
+    await pool.execute('DELETE FROM users WHERE id = ?', [user.id]);
+  }
+}
+
+module.exports = {
+  hasTestDb,
+  skipWithoutDb,
+  migrateTestDb,
+  createTestUser,
+  deleteTestUsers,
+};
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, migrateTestDb, createTestUser, deleteTestUsers } = require('./db');
+
+describe('mergeUsers', { skip: skipWithoutDb }, () => {
+  let pool;
+  let mergeUsers;
+  let getItems;
+  let grantItems;
+  const users = [];
+
+  before(() => {
+    migrateTestDb();
+    pool = require('../src/db/pool');
+    ({ mergeUsers } = require('../src/db/users'));
+    ({ getItems, grantItems } = require('../src/db/items'));
+  });
+
+  after(async () => {
+    await deleteTestUsers(pool, users);
+    await pool.end();
+  });
+
+  // Run fn(connection) in a committed transaction
+  async function inTransaction(fn) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await fn(connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  it('moves bests, earned items and runs to the target and zeroes the source', async () => {
+    const target = await createTestUser(pool);
+    const source = await createTestUser(pool);
+    users.push(target, source);
+
+    await pool.execute('UPDATE user_progress SET best_level = 5 WHERE user_id = ?', [target.id]);
+    await pool.execute('UPDATE user_progress SET best_level = 20 WHERE user_id = ?', [source.id]);
+    await pool.execute("UPDATE user_challenge_record SET best_iq = 100, best_iq_title = 'Target' WHERE user_id = ?", [target.id]);
+    await pool.execute(
+      "UPDATE user_challenge_record SET best_iq = 150, best_iq_title = 'Source', best_iq_blitz = 80, last_iq = 150 WHERE user_id = ?",
+      [source.id]
+    );
+    await pool.execute("INSERT INTO challenge_runs (user_id, iq, variant) VALUES (?, 150, 'classic')", [source.id]);
+    await pool.execute("INSERT INTO daily_challenge_results (user_id, challenge_date, iq) VALUES (?, '2026-01-01', 40)", [target.id]);
+    await pool.execute("INSERT INTO daily_challenge_results (user_id, challenge_date, iq) VALUES (?, '2026-01-01', 90)", [source.id]);
+    await inTransaction(connection => grantItems(connection, source.id, { swapMaster: 4 }, 'levelComplete'));
+
+    await inTransaction(connection => mergeUsers(connection, target.id, source.id));
+
+    const [progress] = await pool.execute('SELECT best_level FROM user_progress WHERE user_id = ?', [target.id]);
+    assert.equal(progress[0].best_level, 20);
+
+    const [records] = await pool.execute(
+      'SELECT user_id, best_iq, best_iq_title, best_iq_blitz, last_iq FROM user_challenge_record WHERE user_id IN (?, ?)',
+      [target.id, source.id]
+    );
+    const byUser = Object.fromEntries(records.map(record => [record.user_id, record]));
+    assert.equal(byUser[target.id].best_iq, 150);
+    assert.equal(byUser[target.id].best_iq_title, 'Source');
+    assert.equal(byUser[target.id].best_iq_blitz, 80);
+    assert.equal(byUser[source.id].best_iq, 0);
+    assert.equal(byUser[source.id].best_iq_blitz, 0);
+    assert.equal(byUser[source.id].last_iq, 0);
+
+    // Only what the source earned moves; its starter items stay behind
+    assert.deepEqual(await getItems(pool, target.id), { swapMaster: 7, split: 2 });
+    assert.deepEqual(await getItems(pool, source.id), { swapMaster: 0, split: 0 });
+
+    const [runs] = await pool.execute('SELECT user_id FROM challenge_runs WHERE user_id IN (?, ?)', [target.id, source.id]);
+    assert.deepEqual(runs.map(run => run.user_id), [target.id]);
+
+    const [daily] = await pool.execute('SELECT user_id, iq FROM daily_challenge_results WHERE user_id IN (?, ?)', [target.id, source.id]);
+    assert.deepEqual(daily.map(row => [row.user_id, row.iq]), [[target.id, 90]]);
+
+    const [merged] = await pool.execute('SELECT merged_into FROM users WHERE id = ?', [source.id]);
+    assert.equal(merged[0].merged_into, target.id);
+  });
+});
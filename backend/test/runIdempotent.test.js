@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, migrateTestDb, createTestUser, deleteTestUsers } = require('./db');
+
+describe('runIdempotent', { skip: skipWithoutDb }, () => {
+  let pool;
+  let runIdempotent;
+  let getItems;
+  let changeItemQuantity;
+  let user;
+
+  before(async () => {
+    migrateTestDb();
+    pool = require('../src/db/pool');
+    ({ runIdempotent } = require('../src/db/idempotency'));
+    ({ getItems, changeItemQuantity } = require('../src/db/items'));
+    user = await createTestUser(pool);
+  });
+
+  after(async () => {
+    await deleteTestUsers(pool, [user]);
+    await pool.end();
+  });
+
+  // One split item per applied request
+  const grantSplit = (status = 200) => async (connection) => {
+    const quantity = await changeItemQuantity(connection, user.id, 'split', 1, 'test');
+    return { status, body: { quantity } };
+  };
+
+  it('applies a request once and replays the stored response for a retry', async () => {
+    const startQuantity = (await getItems(pool, user.id)).split;
+
+    const first = await runIdempotent(user.id, 'test_replay_key', 'test/grant', grantSplit());
+    const retry = await runIdempotent(user.id, 'test_replay_key', 'test/grant', grantSplit());
+
+    assert.equal(first.replayed, false);
+    assert.equal(retry.replayed, true);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal((await getItems(pool, user.id)).split, startQuantity + 1);
+  });
+
+  it('refuses a key that was used for another endpoint', async () => {
+    await runIdempotent(user.id, 'test_endpoint_key', 'test/grant', grantSplit());
+    const other = await runIdempotent(user.id, 'test_endpoint_key', 'test/other', grantSplit());
+
+    assert.equal(other.status, 409);
+  });
+
+  it('rolls back a failed request and frees its key', async () => {
+    const startQuantity = (await getItems(pool, user.id)).split;
+
+    const failed = await runIdempotent(user.id, 'test_failed_key', 'test/grant', grantSplit(400));
+    assert.equal(failed.status, 400);
+    assert.equal((await getItems(pool, user.id)).split, startQuantity);
+
+    await assert.rejects(
+      runIdempotent(user.id, 'test_failed_key', 'test/grant', async (connection) => {
+        await grantSplit()(connection);
+        throw new Error('boom');
+      }),
+      /boom/
+    );
+    assert.equal((await getItems(pool, user.id)).split, startQuantity);
+
+    const retry = await runIdempotent(user.id, 'test_failed_key', 'test/grant', grantSplit());
+    assert.equal(retry.replayed, false);
+    assert.equal((await getItems(pool, user.id)).split, startQuantity + 1);
+  });
+
+  it('runs requests without a key every time', async () => {
+    const startQuantity = (await getItems(pool, user.id)).split;
+
+    await runIdempotent(user.id, null, 'test/grant', grantSplit());
+    await runIdempotent(user.id, null, 'test/grant', grantSplit());
+
+    assert.equal((await getItems(pool, user.id)).split, startQuantity + 2);
+  });
+});
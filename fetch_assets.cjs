@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+// 按 app/utils/assets.js 中登记的 require 路径，把缺失的图片/音效下载到 assets/ 下
+// 用法：node fetch_assets.cjs [sourceBaseUrl] [--force]
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const sourceBaseUrl = args.find(arg => !arg.startsWith('--'))
+    || 'https://dzdbhsix5ppsc.cloudfront.net/monster/numberkids/';
+
+const rootDir = __dirname;
+const manifestPath = path.join(rootDir, 'app/utils/assets.js');
+
+// 从清单里解析出 assets/images、assets/sounds 下的文件
+function readManifestFiles() {
+    const source = fs.readFileSync(manifestPath, 'utf8');
+    const pattern = /require\('\.\.\/\.\.\/(assets\/(?:images|sounds)\/[^']+)'\)/g;
+    const files = [];
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        files.push(match[1]);
+    }
+    return files;
+}
+
+function download(url, dest) {
+    return new Promise((resolve, reject) => {
+        https.get(url, (res) => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`HTTP ${res.statusCode}`));
+                return;
+            }
+
+            const tmp = `${dest}.download`;
+            const file = fs.createWriteStream(tmp);
+            res.pipe(file);
+            file.on('finish', () => {
+                file.close(() => {
+                    fs.renameSync(tmp, dest);
+                    resolve();
+                });
+            });
+            file.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+async function main() {
+    const files = readManifestFiles();
+    let failed = 0;
+
+    for (const relativePath of files) {
+        const dest = path.join(rootDir, relativePath);
+        if (!force && fs.existsSync(dest)) {
+            console.log(`跳过（已存在）: ${relativePath}`);
+            continue;
+        }
+
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        const url = `${sourceBaseUrl}${path.basename(relativePath)}`;
+        try {
+            await download(url, dest);
+            console.log(`已下载: ${relativePath}`);
+        } catch (error) {
+            failed++;
+            console.error(`下载失败: ${url} (${error.message})`);
+        }
+    }
+
+    console.log(`完成：共 ${files.length} 个资源，失败 ${failed} 个`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+main();
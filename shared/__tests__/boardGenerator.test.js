@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHALLENGE_LEVEL,
+  generateBoard,
+  getLevelSeed,
+  seededRandom,
+} = require('../boardGenerator');
+
+const sample = (random, count) => Array.from({ length: count }, () => random());
+
+test('seededRandom repeats the same sequence for the same seed', () => {
+  assert.deepEqual(sample(seededRandom('abc'), 5), sample(seededRandom('abc'), 5));
+  assert.notDeepEqual(sample(seededRandom('abc'), 5), sample(seededRandom('abd'), 5));
+});
+
+test('a level always generates the same board', () => {
+  const first = generateBoard(12);
+  const second = generateBoard(12);
+
+  assert.equal(first.seed, getLevelSeed(12));
+  assert.deepEqual(second, first);
+});
+
+test('pages of a multi-page level get their own boards', () => {
+  const page0 = generateBoard(85, { page: 0 });
+  const page1 = generateBoard(85, { page: 1 });
+
+  assert.equal(page1.seed, getLevelSeed(85, 1));
+  assert.notDeepEqual(page1.tiles, page0.tiles);
+  assert.deepEqual(generateBoard(85, { page: 1 }), page1);
+});
+
+test('challenge boards depend only on the seed', () => {
+  const first = generateBoard(CHALLENGE_LEVEL, { seed: 'board-test', isChallenge: true });
+  const second = generateBoard(CHALLENGE_LEVEL, { seed: 'board-test', isChallenge: true });
+  const other = generateBoard(CHALLENGE_LEVEL, { seed: 'board-test-2', isChallenge: true });
+
+  assert.deepEqual(second, first);
+  assert.notDeepEqual(other.tiles, first.tiles);
+});
+
+test('boards fill the grid with digits and total a multiple of 10', () => {
+  [1, 12, 85].forEach(level => {
+    const { tiles, width, height } = generateBoard(level);
+    const total = tiles.reduce((sum, value) => sum + value, 0);
+
+    assert.equal(tiles.length, width * height);
+    assert.ok(tiles.every(value => Number.isInteger(value) && value >= 0 && value <= 9));
+    assert.equal(total % 10, 0);
+  });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findAllMoves } = require('../gameLogic');
+const {
+  MAX_RUN_BOARDS,
+  MAX_RUN_MOVES,
+  MOVE_GRACE_MS,
+  createChallengeClock,
+  nextChallengeBoard,
+  verifyChallengeRun,
+} = require('../challengeRules');
+
+const SEED = 'challenge-run-test';
+
+const toClear = ({ minRow, minCol, maxRow, maxCol }, t) => ({
+  type: 'clear',
+  t,
+  startRow: minRow,
+  startCol: minCol,
+  endRow: maxRow,
+  endCol: maxCol,
+});
+
+// 第一块棋盘上的一步合法消除
+const { board } = nextChallengeBoard(SEED, 0);
+const firstMove = findAllMoves(board.tiles, board.width, board.height)[0];
+
+test('an empty run is valid and scores nothing', () => {
+  const result = verifyChallengeRun({ seed: SEED, moves: [] });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.iq, 0);
+  assert.equal(result.boards, 1);
+});
+
+test('a clear that sums to 10 scores and the replay is deterministic', () => {
+  const moves = [toClear(firstMove, 1000)];
+  const result = verifyChallengeRun({ seed: SEED, moves });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.clears, 1);
+  assert.ok(result.iq > 0);
+  assert.deepEqual(verifyChallengeRun({ seed: SEED, moves }), result);
+});
+
+test('a hint is counted and costs IQ', () => {
+  const clearOnly = verifyChallengeRun({ seed: SEED, moves: [toClear(firstMove, 1000)] });
+  const withHint = verifyChallengeRun({
+    seed: SEED,
+    moves: [toClear(firstMove, 1000), { type: 'hint', t: 2000 }],
+  });
+
+  assert.equal(withHint.valid, true);
+  assert.equal(withHint.hints, 1);
+  assert.ok(withHint.iq < clearOnly.iq);
+});
+
+test('rejects a rectangle that does not sum to 10', () => {
+  // 单个方块的值在 1-9 之间，和不可能为 10
+  const index = board.tiles.findIndex(value => value > 0);
+  const row = Math.floor(index / board.width);
+  const col = index % board.width;
+  const single = { minRow: row, minCol: col, maxRow: row, maxCol: col };
+  const result = verifyChallengeRun({ seed: SEED, moves: [toClear(single, 1000)] });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Rectangle does not sum to 10');
+  assert.equal(result.moveIndex, 0);
+});
+
+test('rejects moves out of order or after the deadline', () => {
+  const outOfOrder = verifyChallengeRun({
+    seed: SEED,
+    moves: [{ type: 'hint', t: 2000 }, toClear(firstMove, 1000)],
+  });
+  assert.equal(outOfOrder.valid, false);
+  assert.equal(outOfOrder.reason, 'Moves are out of order');
+  assert.equal(outOfOrder.moveIndex, 1);
+
+  const { deadline } = createChallengeClock();
+  const late = verifyChallengeRun({ seed: SEED, moves: [toClear(firstMove, deadline + MOVE_GRACE_MS + 1)] });
+  assert.equal(late.valid, false);
+  assert.equal(late.reason, 'Move is outside the time window');
+});
+
+test('rejects runs with too many moves before replaying them', () => {
+  const moves = Array.from({ length: MAX_RUN_MOVES + 1 }, (_, index) => ({ type: 'hint', t: index }));
+  const result = verifyChallengeRun({ seed: SEED, moves });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Too many moves');
+});
+
+test('a run never generates more than MAX_RUN_BOARDS boards', () => {
+  const first = nextChallengeBoard(SEED, 0);
+  assert.ok(first.nextIndex >= 1 && first.nextIndex <= MAX_RUN_BOARDS);
+  assert.equal(nextChallengeBoard(SEED, MAX_RUN_BOARDS), null);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { seededRandom } = require('../boardGenerator');
+const { findAllMoves, hasValidCombinations } = require('../gameLogic');
+
+// 逐个枚举所有矩形：和为 10，且四条边上都有非零方块（与 scanMoves 只枚举“紧”矩形的规则相同）
+function bruteForceMoves(tiles, width, height) {
+  const at = (row, col) => tiles[row * width + col];
+  const moves = [];
+  for (let minRow = 0; minRow < height; minRow++) {
+    for (let minCol = 0; minCol < width; minCol++) {
+      for (let maxRow = minRow; maxRow < height; maxRow++) {
+        for (let maxCol = minCol; maxCol < width; maxCol++) {
+          let sum = 0;
+          const positions = [];
+          for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+              sum += at(row, col);
+              if (at(row, col) > 0) positions.push(row * width + col);
+            }
+          }
+          const rowHasTile = row => positions.some(index => Math.floor(index / width) === row);
+          const colHasTile = col => positions.some(index => index % width === col);
+          if (sum === 10 && rowHasTile(minRow) && rowHasTile(maxRow) && colHasTile(minCol) && colHasTile(maxCol)) {
+            moves.push({ minRow, minCol, maxRow, maxCol, positions });
+          }
+        }
+      }
+    }
+  }
+  return moves;
+}
+
+const key = ({ minRow, minCol, maxRow, maxCol }) => `${minRow},${minCol},${maxRow},${maxCol}`;
+const sortMoves = moves => [...moves].sort((a, b) => key(a).localeCompare(key(b)));
+
+// 随机棋盘，emptyRate 为空位比例
+function randomBoard(random, width, height, emptyRate) {
+  const tiles = Array.from({ length: width * height }, () => (
+    random() < emptyRate ? 0 : 1 + Math.floor(random() * 9)
+  ));
+  return { tiles, width, height };
+}
+
+function assertMatchesBruteForce({ tiles, width, height }) {
+  const expected = bruteForceMoves(tiles, width, height);
+  assert.deepEqual(sortMoves(findAllMoves(tiles, width, height)), sortMoves(expected));
+  assert.equal(hasValidCombinations(tiles, width, height), expected.length > 0);
+}
+
+test('an empty board has no moves', () => {
+  assert.deepEqual(findAllMoves([0, 0, 0, 0, 0, 0], 3, 2), []);
+  assert.equal(hasValidCombinations([0, 0, 0, 0, 0, 0], 3, 2), false);
+});
+
+test('empty cells around a move do not add duplicate rectangles', () => {
+  const tiles = [
+    0, 0, 0,
+    0, 1, 9,
+    0, 0, 0,
+  ];
+
+  assert.deepEqual(findAllMoves(tiles, 3, 3), [
+    { minRow: 1, minCol: 1, maxRow: 1, maxCol: 2, positions: [4, 5] },
+  ]);
+});
+
+test('finds moves in the edge rows and columns', () => {
+  const tiles = [
+    4, 0, 0, 6,
+    0, 5, 5, 0,
+    6, 0, 0, 4,
+  ];
+  const moves = findAllMoves(tiles, 4, 3).map(key);
+
+  assert.ok(moves.includes('0,0,0,3')); // 第一行
+  assert.ok(moves.includes('2,0,2,3')); // 最后一行
+  assert.ok(moves.includes('0,0,2,0')); // 第一列
+  assert.ok(moves.includes('0,3,2,3')); // 最后一列
+  assertMatchesBruteForce({ tiles, width: 4, height: 3 });
+});
+
+test('single rows and columns match a brute-force scan', () => {
+  const random = seededRandom('game-logic-lines');
+  for (let i = 0; i < 50; i++) {
+    const length = 1 + Math.floor(random() * 12);
+    assertMatchesBruteForce(randomBoard(random, length, 1, 0.3));
+    assertMatchesBruteForce(randomBoard(random, 1, length, 0.3));
+  }
+});
+
+test('random boards with and without empty cells match a brute-force scan', () => {
+  const random = seededRandom('game-logic-boards');
+  [0, 0.3, 0.6, 0.9].forEach(emptyRate => {
+    for (let i = 0; i < 40; i++) {
+      const width = 1 + Math.floor(random() * 8);
+      const height = 1 + Math.floor(random() * 8);
+      assertMatchesBruteForce(randomBoard(random, width, height, emptyRate));
+    }
+  });
+});
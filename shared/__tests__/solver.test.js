@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findHintMove, solveBoard } = require('../solver');
+
+// 按求解器给出的矩形依次清除（空位不计入），每一步的和都必须为 10
+function applySolution(tiles, width, solution) {
+  const state = tiles.slice();
+  solution.forEach(({ minRow, minCol, maxRow, maxCol }) => {
+    let sum = 0;
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        sum += state[row * width + col];
+        state[row * width + col] = 0;
+      }
+    }
+    assert.equal(sum, 10);
+  });
+  return state;
+}
+
+test('an empty board is already solved', () => {
+  const result = solveBoard([0, 0, 0, 0], 2, 2);
+
+  assert.equal(result.solvable, true);
+  assert.equal(result.minClears, 0);
+  assert.deepEqual(result.solution, []);
+});
+
+test('finds a solution that clears the whole board', () => {
+  const tiles = [1, 9, 0, 2, 8, 0, 3, 3, 4];
+  const result = solveBoard(tiles, 3, 3);
+
+  assert.equal(result.solvable, true);
+  assert.equal(result.minClears, 3);
+  assert.equal(result.solution.length, 3);
+  assert.ok(applySolution(tiles, 3, result.solution).every(value => value === 0));
+});
+
+test('a total that is not a multiple of 10 is unsolvable without searching', () => {
+  const result = solveBoard([1, 9, 3], 3, 1);
+
+  assert.equal(result.solvable, false);
+  assert.equal(result.nodes, 0);
+});
+
+test('a board without any rectangle summing to 10 is unsolvable', () => {
+  const result = solveBoard([5, 3, 5, 7], 4, 1);
+
+  assert.equal(result.solvable, false);
+  assert.equal(result.solution, null);
+});
+
+test('returns null when the node budget runs out', () => {
+  const result = solveBoard([1, 9, 0, 2, 8, 0, 3, 3, 4], 3, 3, { maxNodes: 1 });
+
+  assert.equal(result.solvable, null);
+  assert.equal(result.minClears, null);
+});
+
+test('the hint is the first step of a solution', () => {
+  const tiles = [1, 9, 0, 2, 8, 0, 3, 3, 4];
+  const hint = findHintMove(tiles, 3, 3);
+
+  assert.deepEqual(hint, solveBoard(tiles, 3, 3).solution[0]);
+  assert.equal(findHintMove([5, 3, 5, 7], 4, 1), null);
+});
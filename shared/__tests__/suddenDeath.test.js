@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CHALLENGE_LEVEL, generateBoard } = require('../boardGenerator');
+const { findAllMoves } = require('../gameLogic');
+const { applyChallengeClear, verifyChallengeRun } = require('../challengeRules');
+
+const SEED = 'sudden-death-stuck';
+
+const toRect = ({ minRow, minCol, maxRow, maxCol }) => ({
+  startRow: minRow,
+  startCol: minCol,
+  endRow: maxRow,
+  endCol: maxCol,
+});
+
+// 在第一块棋盘上一直消除最大的矩形，直到某一步会让棋盘卡住（这一步作为最后一步）
+function playUntilStuck(board) {
+  const { width, height } = board;
+  let tiles = board.tiles;
+  const rects = [];
+
+  for (;;) {
+    const moves = findAllMoves(tiles, width, height);
+    const stuckMove = moves.find(move => applyChallengeClear(tiles, width, height, toRect(move), 'suddenDeath').endsRun);
+    if (stuckMove) {
+      rects.push(toRect(stuckMove));
+      return rects;
+    }
+
+    assert.ok(moves.length > 0, 'board ran out of moves before getting stuck');
+    const largest = moves.sort((a, b) => b.positions.length - a.positions.length)[0];
+    rects.push(toRect(largest));
+    tiles = applyChallengeClear(tiles, width, height, toRect(largest), 'suddenDeath').tiles;
+  }
+}
+
+const board = generateBoard(CHALLENGE_LEVEL, { seed: SEED, isChallenge: true });
+const rects = playUntilStuck(board);
+const moves = rects.map((rect, index) => ({ type: 'clear', t: (index + 1) * 100, ...rect }));
+
+test('client path: the clear that leaves a sudden-death board stuck ends the run', () => {
+  let tiles = board.tiles;
+  let outcome = null;
+  rects.forEach(rect => {
+    assert.ok(!outcome || !outcome.endsRun, 'run ended before the last clear');
+    outcome = applyChallengeClear(tiles, board.width, board.height, rect, 'suddenDeath');
+    assert.equal(outcome.sum, 10);
+    tiles = outcome.tiles;
+  });
+
+  assert.equal(outcome.stuck, true);
+  assert.equal(outcome.endsRun, true);
+  assert.equal(outcome.needsNewBoard, false);
+});
+
+test('client path: other variants swap in a new board instead', () => {
+  let tiles = board.tiles;
+  let outcome = null;
+  rects.forEach(rect => {
+    outcome = applyChallengeClear(tiles, board.width, board.height, rect, 'classic');
+    tiles = outcome.tiles;
+  });
+
+  assert.equal(outcome.stuck, true);
+  assert.equal(outcome.endsRun, false);
+  assert.equal(outcome.needsNewBoard, true);
+});
+
+test('verifyChallengeRun accepts the run up to the stuck clear', () => {
+  const result = verifyChallengeRun({ seed: SEED, variant: 'suddenDeath', moves });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.clears, rects.length);
+  assert.equal(result.boards, 1);
+});
+
+test('verifyChallengeRun rejects moves after a sudden-death stall', () => {
+  const extra = { type: 'clear', t: (rects.length + 1) * 100, ...rects[0] };
+  const result = verifyChallengeRun({ seed: SEED, variant: 'suddenDeath', moves: [...moves, extra] });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Run has already ended');
+  assert.equal(result.moveIndex, rects.length);
+});
@@ -0,0 +1,729 @@
+/**
+ * Shared Board Generator - 客户端与后端共用的确定性棋盘生成
+ * Purpose: 同一个 seed 在 App 和服务端生成逐字节相同的棋盘（width/height/tiles）
+ * Features: 纯 JS、CommonJS、无依赖；行列数不依赖屏幕尺寸，布局由 App 端 BoardLayout 另行计算
+ */
+
+const { solveBoard } = require('./solver');
+
+// 挑战模式使用的关卡难度基准（与第100关相同的配对比例）
+const CHALLENGE_LEVEL = 100;
+
+// 挑战模式固定棋盘：15行 × 8列，120个数字方块
+const CHALLENGE_GRID = { rows: 15, cols: 8 };
+
+// 计算行列数时使用的参考宽高比（竖屏手机有效游戏区域，宽/高）
+// 固定该值保证行列数与设备无关，服务端可以复现
+const REFERENCE_ASPECT = 0.6;
+
+// 保证有解时最多尝试的 seed 数量，以及每次求解的搜索节点预算
+const MAX_ATTEMPTS = 3;
+const SOLVER_NODE_BUDGET = 2000;
+
+// Deterministic random number generator for consistent board generation
+function seededRandom(seed) {
+  let state = 0;
+  for (let i = 0; i < seed.length; i++) {
+    state = ((state << 5) - state + seed.charCodeAt(i)) & 0xffffffff;
+  }
+
+  return function() {
+    state = ((state * 1103515245) + 12345) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+}
+
+// 关卡模式的 seed：第一页为 level_N，多页关卡的后续页追加页码
+function getLevelSeed(level, page = 0) {
+  return page > 0 ? `level_${level}_page_${page}` : `level_${level}`;
+}
+
+// 挑战模式的 seed：每局随机
+function createChallengeSeed() {
+  return `challenge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// 根据关卡获取数字方块数量（现在基于白色方格数量计算）
+function getTileCount(level, isChallenge = false) {
+  if (isChallenge) {
+    // 挑战模式：使用与第130关相同的配置（8×15棋盘，144个白色方格）
+    return 144;
+  }
+
+  // 关卡模式：基于白色方格数量计算数字方块数量
+  // 白色方格数量 = (width + 1) × (height + 1)
+  // 数字方块数量 = 白色方格数量
+
+  if (level >= 1 && level <= 10) {
+    // 前10关：3×3到4×6的棋盘
+    const gridSizes = [
+      { rows: 3, cols: 3 }, // 第1关：16个白色方格
+      { rows: 3, cols: 4 }, // 第2关：20个白色方格
+      { rows: 3, cols: 4 }, // 第3关：20个白色方格
+      { rows: 3, cols: 5 }, // 第4关：24个白色方格
+      { rows: 3, cols: 5 }, // 第5关：24个白色方格
+      { rows: 4, cols: 5 }, // 第6关：30个白色方格
+      { rows: 3, cols: 6 }, // 第7关：28个白色方格
+      { rows: 4, cols: 5 }, // 第8关：30个白色方格
+      { rows: 3, cols: 7 }, // 第9关：32个白色方格
+      { rows: 4, cols: 6 }, // 第10关：35个白色方格
+    ];
+    const grid = gridSizes[level - 1];
+    return (grid.rows + 1) * (grid.cols + 1);
+  }
+
+  if (level >= 11 && level <= 20) {
+    // 11-20关：3×9到5×10的棋盘
+    const gridSizes = [
+      { rows: 3, cols: 9 }, // 第11关：40个白色方格
+      { rows: 5, cols: 6 }, // 第12关：42个白色方格
+      { rows: 4, cols: 8 }, // 第13关：45个白色方格
+      { rows: 5, cols: 7 }, // 第14关：48个白色方格
+      { rows: 4, cols: 9 }, // 第15关：50个白色方格
+      { rows: 5, cols: 8 }, // 第16关：54个白色方格
+      { rows: 6, cols: 7 }, // 第17关：56个白色方格
+      { rows: 5, cols: 9 }, // 第18关：60个白色方格
+      { rows: 4, cols: 12 }, // 第19关：65个白色方格
+      { rows: 5, cols: 10 }, // 第20关：66个白色方格
+    ];
+    const grid = gridSizes[level - 11];
+    return (grid.rows + 1) * (grid.cols + 1);
+  }
+
+  if (level >= 21 && level <= 30) {
+    // 21-30关：5×11到8×10的棋盘
+    const gridSizes = [
+      { rows: 5, cols: 11 }, // 第21关：72个白色方格
+      { rows: 7, cols: 8 }, // 第22关：72个白色方格
+      { rows: 6, cols: 10 }, // 第23关：77个白色方格
+      { rows: 6, cols: 11 }, // 第24关：84个白色方格
+      { rows: 5, cols: 13 }, // 第25关：84个白色方格
+      { rows: 7, cols: 10 }, // 第26关：88个白色方格
+      { rows: 6, cols: 12 }, // 第27关：91个白色方格
+      { rows: 7, cols: 11 }, // 第28关：96个白色方格
+      { rows: 7, cols: 11 }, // 第29关：96个白色方格
+      { rows: 8, cols: 10 }, // 第30关：99个白色方格
+    ];
+    const grid = gridSizes[level - 21];
+    return (grid.rows + 1) * (grid.cols + 1);
+  }
+
+  if (level >= 31 && level <= 50) {
+    // 31-50关：8×11到8×15的棋盘
+    const gridSizes = [
+      { rows: 8, cols: 11 }, // 第31关：108个白色方格
+      { rows: 7, cols: 13 }, // 第32关：112个白色方格
+      { rows: 7, cols: 13 }, // 第33关：112个白色方格
+      { rows: 8, cols: 12 }, // 第34关：117个白色方格
+      { rows: 8, cols: 12 }, // 第35关：117个白色方格
+      { rows: 8, cols: 12 }, // 第36关：117个白色方格
+      { rows: 8, cols: 13 }, // 第37关：126个白色方格
+      { rows: 8, cols: 13 }, // 第38关：126个白色方格
+      { rows: 8, cols: 13 }, // 第39关：126个白色方格
+      { rows: 8, cols: 14 }, // 第40关：135个白色方格
+      { rows: 8, cols: 14 }, // 第41关：135个白色方格
+      { rows: 8, cols: 14 }, // 第42关：135个白色方格
+      { rows: 8, cols: 14 }, // 第43关：135个白色方格
+      { rows: 8, cols: 15 }, // 第44关：144个白色方格
+      { rows: 8, cols: 15 }, // 第45关：144个白色方格
+      { rows: 8, cols: 15 }, // 第46关：144个白色方格
+      { rows: 8, cols: 15 }, // 第47关：144个白色方格
+      { rows: 8, cols: 15 }, // 第48关：144个白色方格
+      { rows: 8, cols: 15 }, // 第49关：144个白色方格
+      { rows: 8, cols: 15 }, // 第50关：144个白色方格
+    ];
+    const grid = gridSizes[level - 31];
+    return (grid.rows + 1) * (grid.cols + 1);
+  }
+
+  // 51关以后：使用第50关的棋盘布局（8×15棋盘，144个白色方格）
+  return 144;
+}
+
+/**
+ * 根据数字方块数量计算最接近参考宽高比的行列数
+ * @param {number} N - 数字方块数量
+ * @param {number} targetAspect - 期望宽高比（列/行）
+ * @returns {Object} { rows, cols }
+ */
+function computeGridRC(N, targetAspect = REFERENCE_ASPECT) {
+  if (N <= 0) return { rows: 1, cols: 1 };
+
+  let bestR = 1, bestC = N;
+  let bestDiff = Infinity;
+
+  for (let r = 1; r <= N; r++) {
+    const c = Math.ceil(N / r);
+    const diff = Math.abs(c / r - targetAspect);
+
+    if (diff < bestDiff) {
+      bestDiff = diff;
+      bestR = r;
+      bestC = c;
+    }
+  }
+
+  return { rows: bestR, cols: bestC };
+}
+
+/**
+ * 获取关卡的棋盘行列数（与设备无关）
+ * @param {number} level - 关卡等级
+ * @param {boolean} isChallenge - 是否挑战模式
+ * @returns {Object} { rows, cols }
+ */
+function getGridSize(level, isChallenge = false) {
+  if (isChallenge) {
+    return { ...CHALLENGE_GRID };
+  }
+  return computeGridRC(getTileCount(level, false));
+}
+
+// Get number distribution strategy based on level
+function getNumberDistribution(level) {
+  // 挑战模式使用与第130关相同的数字分布
+  if (level === -1) { // 挑战模式标识
+    return {
+      smallNumbers: 0.2,  // 20% 1-3
+      mediumNumbers: 0.4, // 40% 4-6
+      largeNumbers: 0.4   // 40% 7-9，需要复杂组合
+    };
+  }
+
+  // 前5关：极简分布，主要是互补数字
+  if (level <= 5) {
+    return {
+      smallNumbers: 0.8,  // 80% 1-3的比例，主要是1,2,3
+      mediumNumbers: 0.2, // 20% 4-6的比例，主要是4,5,6
+      largeNumbers: 0.0   // 0% 7-9的比例，避免复杂组合
+    };
+  }
+
+  // 6-15关：逐步增加复杂度
+  if (level <= 15) {
+    return {
+      smallNumbers: 0.7,  // 70% 1-3的比例
+      mediumNumbers: 0.25, // 25% 4-6的比例
+      largeNumbers: 0.05   // 5% 7-9的比例
+    };
+  }
+
+  // 16-30关：标准简单分布
+  if (level <= 30) {
+    return {
+      smallNumbers: 0.6,  // 60% 1-3的比例
+      mediumNumbers: 0.3, // 30% 4-6的比例
+      largeNumbers: 0.1   // 10% 7-9的比例
+    };
+  }
+
+  // 31-50关：平衡分布
+  if (level <= 50) {
+    return {
+      smallNumbers: 0.5,
+      mediumNumbers: 0.4,
+      largeNumbers: 0.1
+    };
+  }
+
+  // 51-100关：减少小数字，增加大数字，需要更大框
+  if (level <= 100) {
+    return {
+      smallNumbers: 0.3,  // 减少1-3
+      mediumNumbers: 0.4, // 保持4-6
+      largeNumbers: 0.3   // 增加7-9，需要更复杂组合
+    };
+  }
+
+  // 101-150关：进一步减少小数字
+  if (level <= 150) {
+    return {
+      smallNumbers: 0.2,  // 更少1-3
+      mediumNumbers: 0.4, // 保持4-6
+      largeNumbers: 0.4   // 更多7-9
+    };
+  }
+
+  // 151关以后：极端分布，主要是大数字
+  return {
+    smallNumbers: 0.1,  // 极少1-3
+    mediumNumbers: 0.3, // 少量4-6
+    largeNumbers: 0.6   // 大量7-9，需要非常大的框
+  };
+}
+
+// 根据关卡确定目标配对比例和相邻配对比例
+function getPairRatios(level) {
+  if (level === 1) {
+    // 第一关：使用3个数字组合，更容易消除
+    return { targetPairRatio: 0.0, adjacentPairRatio: 0.0 };
+  }
+  if (level <= 5) return { targetPairRatio: 0.95, adjacentPairRatio: 0.9 };
+  if (level <= 10) return { targetPairRatio: 0.85, adjacentPairRatio: 0.8 };
+  if (level <= 20) return { targetPairRatio: 0.75, adjacentPairRatio: 0.7 };
+  if (level <= 40) return { targetPairRatio: 0.65, adjacentPairRatio: 0.6 };
+  if (level <= 50) return { targetPairRatio: 0.55, adjacentPairRatio: 0.5 };
+  if (level <= 100) return { targetPairRatio: 0.45, adjacentPairRatio: 0.4 };
+  if (level <= 150) return { targetPairRatio: 0.35, adjacentPairRatio: 0.3 };
+  // 151+关：30%有效配对，需要大框；相邻配对最低不低于25%
+  return { targetPairRatio: 0.3, adjacentPairRatio: 0.25 };
+}
+
+// 微调数组使其总和增加/减少 difference，每项保持在 [1, max] 内
+function adjustToDifference(values, difference, max, maxPasses) {
+  let passes = 0;
+  while (difference !== 0 && passes < maxPasses) {
+    for (let i = 0; i < values.length && difference !== 0; i++) {
+      if (difference > 0 && values[i] < max) {
+        values[i]++;
+        difference--;
+      } else if (difference < 0 && values[i] > 1) {
+        values[i]--;
+        difference++;
+      }
+    }
+    passes++;
+  }
+}
+
+// 生成剩余方块的数值，使整盘总和为10的倍数
+function fillRemainingValues(count, currentSum, level, isChallenge, distribution, random) {
+  const values = new Array(count).fill(0);
+  if (count === 0) return values;
+
+  if (isChallenge) {
+    // 挑战模式：根据分布比例生成数字
+    const smallCount = Math.floor(count * distribution.smallNumbers);
+    const mediumCount = Math.floor(count * distribution.mediumNumbers);
+    const largeCount = count - smallCount - mediumCount;
+
+    let index = 0;
+    for (let i = 0; i < smallCount; i++) {
+      values[index++] = Math.floor(random() * 2) + 1; // 1-2
+    }
+    for (let i = 0; i < mediumCount; i++) {
+      values[index++] = Math.floor(random() * 4) + 3; // 3-6
+    }
+    for (let i = 0; i < largeCount; i++) {
+      values[index++] = Math.floor(random() * 3) + 7; // 7-9
+    }
+
+    const currentTotalSum = values.reduce((sum, val) => sum + val, 0) + currentSum;
+    const targetSum = Math.ceil(currentTotalSum / 10) * 10;
+    adjustToDifference(values, targetSum - currentTotalSum, 9, 100);
+    return values;
+  }
+
+  // 前10关数字上限为6，之后为9
+  const maxValue = level <= 10 ? 6 : 9;
+  const minPossibleSum = currentSum + count; // All 1s
+  const maxPossibleSum = currentSum + count * maxValue;
+
+  // 找到范围内最接近的10的倍数
+  let targetTotalSum = Math.ceil(minPossibleSum / 10) * 10;
+  if (targetTotalSum > maxPossibleSum) {
+    targetTotalSum = Math.floor(maxPossibleSum / 10) * 10;
+  }
+  const targetRemainingSum = targetTotalSum - currentSum;
+
+  if (targetRemainingSum < count || targetRemainingSum > count * maxValue) {
+    if (level <= 10) {
+      // 目标总和不合理时使用简单填充
+      for (let i = 0; i < count; i++) {
+        values[i] = Math.floor(random() * 6) + 1; // 1-6
+      }
+      return values;
+    }
+
+    // 简单填充为1，然后调整最后几个数字使总和为10的倍数
+    values.fill(1);
+    const currentTotal = currentSum + count;
+    let needed = Math.ceil(currentTotal / 10) * 10 - currentTotal;
+    for (let i = count - 1; i >= 0 && needed > 0; i--) {
+      const canAdd = Math.min(8, needed); // 最多加到9
+      values[i] += canAdd;
+      needed -= canAdd;
+    }
+    return values;
+  }
+
+  // 使用平均值填充，再微调以达到精确的目标总和
+  const avgValue = Math.max(1, Math.min(maxValue, Math.round(targetRemainingSum / count)));
+  values.fill(avgValue);
+  adjustToDifference(values, targetRemainingSum - avgValue * count, maxValue, level <= 10 ? 50 : 100);
+
+  if (level > 10) {
+    // Apply some randomization while maintaining sum
+    for (let i = 0; i < count - 1; i++) {
+      if (random() < 0.3) { // 30% chance to randomize
+        const maxIncrease = Math.min(9 - values[i], values[i + 1] - 1);
+        const maxDecrease = Math.min(values[i] - 1, 9 - values[i + 1]);
+
+        if (maxIncrease > 0 && random() < 0.5) {
+          const change = Math.floor(random() * maxIncrease) + 1;
+          values[i] += change;
+          values[i + 1] -= change;
+        } else if (maxDecrease > 0) {
+          const change = Math.floor(random() * maxDecrease) + 1;
+          values[i] -= change;
+          values[i + 1] += change;
+        }
+      }
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 根据 seed 生成单个棋盘（单次尝试，不检查是否有解）
+ * @param {string} seed - 随机种子
+ * @param {number} level - 关卡等级（挑战模式传 CHALLENGE_LEVEL）
+ * @param {boolean} isChallenge - 是否挑战模式
+ * @returns {{seed: string, level: number, width: number, height: number, tiles: number[]}}
+ */
+function generateBoardFromSeed(seed, level, isChallenge = false) {
+  const random = seededRandom(seed);
+  const { rows, cols } = getGridSize(level, isChallenge);
+  const size = rows * cols;
+
+  // 数字方块填满整个棋盘
+  const tiles = new Array(size).fill(0);
+  const distribution = getNumberDistribution(isChallenge ? -1 : level);
+  const { targetPairRatio, adjacentPairRatio } = getPairRatios(level);
+
+  // Target pairs that sum to 10
+  const targetPairs = [
+    [1, 9], [2, 8], [3, 7], [4, 6], [5, 5]
+  ];
+
+  // Target triplets that sum to 10 (for level 1)
+  const targetTriplets = [
+    [1, 2, 7], [1, 3, 6], [1, 4, 5], [2, 2, 6], [2, 3, 5], [2, 4, 4], [3, 3, 4]
+  ];
+
+  const pairCount = Math.floor((size / 2) * targetPairRatio);
+  const adjacentPairCount = Math.floor(pairCount * adjacentPairRatio);
+  const placedPositions = new Set();
+  let pairsPlaced = 0;
+
+  const inBounds = (row, col) => row >= 0 && row < rows && col >= 0 && col < cols;
+
+  // 第一关特殊处理：生成3个数字组合（L形）
+  if (level === 1) {
+    const tripletCount = Math.floor(size / 3);
+    const lShapes = [
+      [[0, 1], [1, 0]], // 右+下
+      [[1, 0], [0, 1]]  // 下+右
+    ];
+
+    for (let i = 0; i < tripletCount; i++) {
+      const [val1, val2, val3] = targetTriplets[Math.floor(random() * targetTriplets.length)];
+      let attempts = 0;
+      let placed = false;
+
+      while (attempts < 100 && !placed) {
+        const pos1 = Math.floor(random() * size);
+        const row1 = Math.floor(pos1 / cols);
+        const col1 = pos1 % cols;
+
+        if (placedPositions.has(pos1)) {
+          attempts++;
+          continue;
+        }
+
+        for (const [dir1, dir2] of lShapes) {
+          const row2 = row1 + dir1[0];
+          const col2 = col1 + dir1[1];
+          const row3 = row1 + dir2[0];
+          const col3 = col1 + dir2[1];
+
+          if (inBounds(row2, col2) && inBounds(row3, col3)) {
+            const pos2 = row2 * cols + col2;
+            const pos3 = row3 * cols + col3;
+
+            if (!placedPositions.has(pos2) && !placedPositions.has(pos3)) {
+              tiles[pos1] = val1;
+              tiles[pos2] = val2;
+              tiles[pos3] = val3;
+              placedPositions.add(pos1);
+              placedPositions.add(pos2);
+              placedPositions.add(pos3);
+              placed = true;
+              break;
+            }
+          }
+        }
+
+        attempts++;
+      }
+    }
+  }
+
+  // 首先放置相邻的目标配对（容易找到的）
+  const directions = [
+    [0, 1],  // 右
+    [1, 0],  // 下
+    [0, -1], // 左
+    [-1, 0]  // 上
+  ];
+  let adjacentPairsPlaced = 0;
+  while (adjacentPairsPlaced < adjacentPairCount && pairsPlaced < pairCount) {
+    const [val1, val2] = targetPairs[Math.floor(random() * targetPairs.length)];
+    let attempts = 0;
+    let placed = false;
+
+    while (attempts < 100 && !placed) {
+      const pos1 = Math.floor(random() * size);
+      const row1 = Math.floor(pos1 / cols);
+      const col1 = pos1 % cols;
+
+      if (placedPositions.has(pos1)) {
+        attempts++;
+        continue;
+      }
+
+      for (const [dr, dc] of directions) {
+        const row2 = row1 + dr;
+        const col2 = col1 + dc;
+
+        if (inBounds(row2, col2)) {
+          const pos2 = row2 * cols + col2;
+
+          if (!placedPositions.has(pos2)) {
+            tiles[pos1] = val1;
+            tiles[pos2] = val2;
+            placedPositions.add(pos1);
+            placedPositions.add(pos2);
+            adjacentPairsPlaced++;
+            pairsPlaced++;
+            placed = true;
+            break;
+          }
+        }
+      }
+
+      attempts++;
+    }
+
+    if (!placed) {
+      // 如果找不到相邻位置，跳出循环
+      break;
+    }
+  }
+
+  // 然后放置剩余的非相邻目标配对
+  while (pairsPlaced < pairCount) {
+    const [val1, val2] = targetPairs[Math.floor(random() * targetPairs.length)];
+
+    const availablePositions = [];
+    for (let i = 0; i < size; i++) {
+      if (!placedPositions.has(i)) {
+        availablePositions.push(i);
+      }
+    }
+
+    if (availablePositions.length < 2) break;
+
+    const pos1 = availablePositions[Math.floor(random() * availablePositions.length)];
+    const remainingPositions = availablePositions.filter(p => p !== pos1);
+    const pos2 = remainingPositions[Math.floor(random() * remainingPositions.length)];
+
+    tiles[pos1] = val1;
+    tiles[pos2] = val2;
+    placedPositions.add(pos1);
+    placedPositions.add(pos2);
+    pairsPlaced++;
+  }
+
+  // Fill remaining spots based on distribution, keeping the total a multiple of 10
+  const availablePositions = [];
+  for (let i = 0; i < size; i++) {
+    if (!placedPositions.has(i) && tiles[i] === 0) {
+      availablePositions.push(i);
+    }
+  }
+
+  const remainingCount = Math.min(size - pairsPlaced * 2, availablePositions.length);
+  const currentSum = tiles.reduce((sum, val) => sum + val, 0);
+  const remainingValues = fillRemainingValues(
+    remainingCount, currentSum, level, isChallenge, distribution, random
+  );
+
+  for (let i = 0; i < remainingValues.length; i++) {
+    tiles[availablePositions[i]] = remainingValues[i];
+  }
+
+  return {
+    seed,
+    level,
+    width: cols,  // 棋盘总宽度
+    height: rows, // 棋盘总高度
+    tiles,
+  };
+}
+
+// 为一组方块分配和为10的数值（每个1-9）
+function splitTen(count, random) {
+  const values = new Array(count).fill(1);
+  let remain = 10 - count;
+  while (remain > 0) {
+    const i = Math.floor(random() * count);
+    if (values[i] < 9) {
+      values[i]++;
+      remain--;
+    }
+  }
+  return values;
+}
+
+/**
+ * 修补求解器走不通的棋盘：已消除部分保持不变，重新分配剩余方块的数值，
+ * 使剩余方块可以按行自下而上分组清空（每组包围矩形内只有本组方块，且和为10）
+ * @param {number[]} tiles - 原始棋盘
+ * @param {number} width - 列数
+ * @param {{solution: Array<{minRow, minCol, maxRow, maxCol}>, tiles: number[]}} partial - 求解器走得最深的部分解
+ * @param {Function} random - 随机数生成器
+ * @returns {number[]} 修补后的棋盘
+ */
+function repairBoard(tiles, width, partial, random) {
+  const repaired = tiles.slice();
+  let remainingTiles = partial.tiles;
+
+  // 只剩一个方块时无法单独凑成10，退回最后一步消除（它至少包含两个方块）
+  if (remainingTiles.filter(value => value > 0).length === 1) {
+    remainingTiles = tiles.slice();
+    partial.solution.slice(0, -1).forEach(({ minRow, minCol, maxRow, maxCol }) => {
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          remainingTiles[row * width + col] = 0;
+        }
+      }
+    });
+  }
+
+  // 非空行（自下而上），每行为剩余方块的列号（从左到右）
+  let rows = [];
+  for (let row = Math.floor((remainingTiles.length - 1) / width); row >= 0; row--) {
+    const cols = [];
+    for (let col = 0; col < width; col++) {
+      if (remainingTiles[row * width + col] > 0) cols.push(col);
+    }
+    if (cols.length > 0) rows.push({ row, cols });
+  }
+
+  const assign = (cells) => {
+    const values = splitTen(cells.length, random);
+    cells.forEach((cell, i) => {
+      repaired[cell.row * width + cell.col] = values[i];
+    });
+  };
+  const take = (entry, cols) => {
+    entry.cols = entry.cols.filter(col => !cols.includes(col));
+    return cols.map(col => ({ row: entry.row, col }));
+  };
+
+  while (rows.length > 0) {
+    const [current, next] = rows;
+    const nextIsLast = rows.length === 2;
+
+    if (current.cols.length > 10) {
+      // 超过10个方块的行先从左侧拆出5个
+      assign(take(current, current.cols.slice(0, 5)));
+    } else if (current.cols.length >= 2) {
+      if (nextIsLast && next.cols.length === 1) {
+        if (current.cols.length === 2) {
+          // 本行两个方块连同最上面孤立的方块一起清空
+          assign([...take(current, current.cols.slice()), ...take(next, next.cols.slice())]);
+        } else {
+          // 留下最左侧的方块，之后与最上面孤立的方块配对
+          assign(take(current, current.cols.slice(1)));
+        }
+      } else {
+        assign(take(current, current.cols.slice()));
+      }
+    } else {
+      // 孤立方块：与上方最近一行中离它最近的方块配对（两者之间没有其他剩余方块）
+      const col = current.cols[0];
+      let partnerCols;
+      if (nextIsLast && next.cols.length === 2) {
+        partnerCols = next.cols.slice();
+      } else if (rows.length === 3 && next.cols.length === 1 && rows[2].cols.length === 1) {
+        // 最后三行各剩一个方块：三个一起清空
+        assign([...take(current, [col]), ...take(next, next.cols.slice()), ...take(rows[2], rows[2].cols.slice())]);
+        rows = [];
+        continue;
+      } else {
+        const nearest = next.cols.reduce((best, c) =>
+          Math.abs(c - col) < Math.abs(best - col) ? c : best
+        );
+        partnerCols = [nearest];
+      }
+      assign([...take(current, [col]), ...take(next, partnerCols)]);
+    }
+
+    rows = rows.filter(entry => entry.cols.length > 0);
+  }
+
+  return repaired;
+}
+
+/**
+ * 生成关卡/挑战棋盘（相同的 level + options 总是得到相同的棋盘）
+ * 需要保证有解时，用求解器证明棋盘可以被完全清空；证明不了就按 `${seed}~${attempt}`
+ * 派生新的 seed 重试，全部失败时修补剩余方块最少的那一个，因此结果一定可以清空
+ * @param {number} level - 关卡等级
+ * @param {Object} options
+ * @param {string} [options.seed] - 基础种子，默认使用 getLevelSeed(level, page)
+ * @param {number} [options.page] - 多页关卡的页码（从0开始）
+ * @param {boolean} [options.ensureSolvable] - 是否保证可以完全清空
+ * @param {boolean} [options.isChallenge] - 是否挑战模式
+ * @returns {{seed: string, level: number, width: number, height: number, tiles: number[]}}
+ */
+function generateBoard(level, options = {}) {
+  const {
+    page = 0,
+    ensureSolvable = true,
+    isChallenge = false,
+  } = options;
+  const baseSeed = options.seed || (isChallenge ? createChallengeSeed() : getLevelSeed(level, page));
+
+  if (!ensureSolvable) {
+    return generateBoardFromSeed(baseSeed, level, isChallenge);
+  }
+
+  let best = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const seed = attempt === 0 ? baseSeed : `${baseSeed}~${attempt}`;
+    const board = generateBoardFromSeed(seed, level, isChallenge);
+    const result = solveBoard(board.tiles, board.width, board.height, { maxNodes: SOLVER_NODE_BUDGET });
+
+    if (result.solvable) {
+      return { ...board, seed: baseSeed };
+    }
+
+    const remaining = result.bestPartial.tiles.filter(value => value > 0).length;
+    if (!best || remaining < best.remaining) {
+      best = { board, remaining, partial: result.bestPartial };
+    }
+  }
+
+  // 所有尝试都无法证明有解：修补剩余方块最少的棋盘
+  const random = seededRandom(`${baseSeed}~repair`);
+  return {
+    ...best.board,
+    seed: baseSeed,
+    tiles: repairBoard(best.board.tiles, best.board.width, best.partial, random),
+  };
+}
+
+module.exports = {
+  CHALLENGE_LEVEL,
+  seededRandom,
+  getLevelSeed,
+  createChallengeSeed,
+  getTileCount,
+  getGridSize,
+  generateBoardFromSeed,
+  generateBoard,
+};
@@ -0,0 +1,339 @@
+/**
+ * Shared Challenge Rules - 挑战模式计分与计时规则
+ * Purpose: App 按这里的规则计时计分，服务端按同一套规则重放提交的操作日志，自行算出 IQ
+ * Notes: 一局只有一个 seed，第 N 块棋盘的 seed 由 getChallengeBoardSeed 派生，服务端无需客户端上报每块棋盘
+ *        计分规则（连击、方块奖励、清盘奖励）在 challengeScoring.js，玩法变体（时长、突然死亡、目标消除数）在 challengeVariants.js
+ */
+
+const { CHALLENGE_LEVEL, generateBoard } = require('./boardGenerator');
+const { hasValidCombinations } = require('./gameLogic');
+const {
+  POINTS_PER_CLEAR,
+  HINT_IQ_COST,
+  createChallengeScore,
+  scoreClear,
+  scoreHint,
+  scoreTimeLeft,
+} = require('./challengeScoring');
+const { DEFAULT_VARIANT, getChallengeVariant } = require('./challengeVariants');
+
+const CHALLENGE_TIME = getChallengeVariant(DEFAULT_VARIANT).duration; // 经典模式 60 秒
+
+// 剩余时间不超过 BONUS_THRESHOLD 秒时，每次消除奖励 BONUS_SECONDS 秒
+const BONUS_THRESHOLD = 10;
+const BONUS_SECONDS = 1;
+
+// 计时器回调的延迟容差：截止时间之后这么久以内的操作仍然有效
+const MOVE_GRACE_MS = 500;
+
+// 一局最多接受的操作数（防止超大请求拖慢重放）
+const MAX_RUN_MOVES = 600;
+
+// 一局最多生成的棋盘数（含跳过的无解棋盘）；需要更多棋盘时本局结束。生成棋盘是重放中最耗时的部分，
+// 这个上限决定了服务端重放一局的最长时间
+const MAX_RUN_BOARDS = 12;
+
+const IQ_TITLES = {
+  0: 'Newborn Dreamer',
+  40: 'Tiny Adventurer',
+  55: 'Learning Hatchling',
+  65: 'Little Explorer',
+  70: 'Slow but Steady',
+  85: 'Hardworking Student',
+  100: 'Everyday Scholar',
+  115: 'Rising Star',
+  130: 'Puzzle Master',
+  145: 'Cosmic Genius',
+};
+
+// IQ 称号；其他变体的 IQ 先按 titleScale 换算成经典模式的尺度
+function getIQTitle(iq, variant = DEFAULT_VARIANT) {
+  const normalized = iq / getChallengeVariant(variant).titleScale;
+  const thresholds = Object.keys(IQ_TITLES)
+    .map(Number)
+    .sort((a, b) => b - a);
+
+  for (let threshold of thresholds) {
+    if (normalized >= threshold) {
+      return IQ_TITLES[threshold];
+    }
+  }
+
+  return IQ_TITLES[0];
+}
+
+// 一局中第 index 块棋盘的 seed（第一块直接使用本局 seed）
+function getChallengeBoardSeed(runSeed, index) {
+  return index === 0 ? runSeed : `${runSeed}#${index}`;
+}
+
+// UTC 日期键（YYYY-MM-DD），每日挑战按 UTC 日期切换
+function getUTCDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// dateKey 加上 days 天后的日期键（days 可以为负）
+function shiftDateKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return getUTCDateKey(date);
+}
+
+/**
+ * 每日挑战连续天数：从今天（今天还没玩则从昨天）往前数连续完成的天数
+ * @param {string[]} dateKeys - 已结算的日期
+ * @param {string} todayKey - 今天的日期键
+ */
+function getDailyStreak(dateKeys, todayKey) {
+  const played = new Set(dateKeys);
+  let day = played.has(todayKey) ? todayKey : shiftDateKey(todayKey, -1);
+  let streak = 0;
+
+  while (played.has(day)) {
+    streak++;
+    day = shiftDateKey(day, -1);
+  }
+  return streak;
+}
+
+/**
+ * 结算一次每日挑战后的本地记录（同一天只记录第一局）
+ * @param {Object|null} record - { lastDate, lastIQ, bestIQ, streak, bestStreak }
+ * @param {string} dateKey - 本局的日期键
+ * @param {number} iq - 本局 IQ
+ * @returns {Object} 新的记录；当天已经结算过时原样返回
+ */
+function recordDailyResult(record, dateKey, iq) {
+  const previous = record || { lastDate: null, lastIQ: 0, bestIQ: 0, streak: 0, bestStreak: 0 };
+  if (previous.lastDate === dateKey) return previous;
+
+  const streak = previous.lastDate === shiftDateKey(dateKey, -1) ? previous.streak + 1 : 1;
+  return {
+    lastDate: dateKey,
+    lastIQ: iq,
+    bestIQ: Math.max(previous.bestIQ, iq),
+    streak,
+    bestStreak: Math.max(previous.bestStreak, streak),
+  };
+}
+
+// 本地记录当前仍然有效的连续天数（昨天和今天都没玩则已经断开）
+function getCurrentDailyStreak(record, todayKey) {
+  if (!record || !record.lastDate) return 0;
+  const active = record.lastDate === todayKey || record.lastDate === shiftDateKey(todayKey, -1);
+  return active ? record.streak : 0;
+}
+
+// 本局计时：deadline 为截止时间（距开局的毫秒数），时间奖励直接推后截止时间，但剩余时间不超过本局时长
+function createChallengeClock(variant = DEFAULT_VARIANT) {
+  const { duration } = getChallengeVariant(variant);
+  return { deadline: duration * 1000, duration };
+}
+
+// 显示用的剩余秒数（向上取整，与倒计时 UI 一致）
+function getTimeLeft(clock, elapsedMs) {
+  return Math.max(0, Math.ceil((clock.deadline - elapsedMs) / 1000));
+}
+
+/**
+ * 一次消除后的时间奖励：剩余时间进入最后10秒时延长截止时间
+ * @returns {boolean} 是否获得了奖励
+ */
+function applyClearBonus(clock, elapsedMs) {
+  const timeLeft = getTimeLeft(clock, elapsedMs);
+  if (timeLeft > BONUS_THRESHOLD) return false;
+
+  const bonusMs = (Math.min(timeLeft + BONUS_SECONDS, clock.duration) - timeLeft) * 1000;
+  clock.deadline += bonusMs;
+  return bonusMs > 0;
+}
+
+/**
+ * 框选矩形内的方块：框选可以超出棋盘边缘，与 GameBoard 一样只统计棋盘内的方块
+ * @param {number[]} tiles
+ * @param {number} width
+ * @param {number} height
+ * @param {{startRow: number, startCol: number, endRow: number, endCol: number}} rect
+ * @returns {{sum: number, count: number, positions: number[]}} 数字和、非空方块数、非空方块的下标
+ */
+function getRectTiles(tiles, width, height, rect) {
+  const minRow = Math.max(0, Math.min(rect.startRow, rect.endRow));
+  const maxRow = Math.min(height - 1, Math.max(rect.startRow, rect.endRow));
+  const minCol = Math.max(0, Math.min(rect.startCol, rect.endCol));
+  const maxCol = Math.min(width - 1, Math.max(rect.startCol, rect.endCol));
+
+  let sum = 0;
+  const positions = [];
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const index = row * width + col;
+      if (tiles[index] > 0) {
+        sum += tiles[index];
+        positions.push(index);
+      }
+    }
+  }
+  return { sum, count: positions.length, positions };
+}
+
+/**
+ * 在当前棋盘上消除一个矩形：App 判断换盘/结束和服务端重放都按这里的结果
+ * @param {number[]} tiles
+ * @param {number} width
+ * @param {number} height
+ * @param {{startRow: number, startCol: number, endRow: number, endCol: number}} rect
+ * @param {string} [variant] - 玩法变体 id
+ * @returns {{tiles: number[], sum: number, count: number, cleared: boolean, stuck: boolean, endsRun: boolean, needsNewBoard: boolean}}
+ *   tiles 为消除后的棋盘；stuck 为没清空也没有可消除的组合；突然死亡卡住时 endsRun，其余清空或卡住时 needsNewBoard
+ */
+function applyChallengeClear(tiles, width, height, rect, variant = DEFAULT_VARIANT) {
+  const { sum, count, positions } = getRectTiles(tiles, width, height, rect);
+  const next = [...tiles];
+  positions.forEach(index => {
+    next[index] = 0;
+  });
+
+  const cleared = next.every(tile => tile === 0);
+  const stuck = !cleared && !hasValidCombinations(next, width, height);
+  const endsRun = stuck && getChallengeVariant(variant).suddenDeath;
+  return { tiles: next, sum, count, cleared, stuck, endsRun, needsNewBoard: (cleared || stuck) && !endsRun };
+}
+
+// 生成本局第 index 块棋盘，跳过没有可消除组合的棋盘（与 App 的换盘逻辑一致）
+// 达到 MAX_RUN_BOARDS 仍没有可用的棋盘时返回 null（本局结束）
+function nextChallengeBoard(runSeed, index) {
+  for (let boardIndex = index; boardIndex < MAX_RUN_BOARDS; boardIndex++) {
+    const board = generateBoard(CHALLENGE_LEVEL, {
+      seed: getChallengeBoardSeed(runSeed, boardIndex),
+      isChallenge: true,
+    });
+    if (hasValidCombinations(board.tiles, board.width, board.height)) {
+      return { board, nextIndex: boardIndex + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * 重放一局挑战，按规则计算 IQ
+ * @param {Object} run
+ * @param {string} run.seed - 本局 seed
+ * @param {string} [run.variant] - 玩法变体（challengeVariants.js），默认经典模式
+ * @param {Array} run.moves - 按时间排序的操作，t 为距开局的毫秒数：
+ *   { type: 'clear', t, startRow, startCol, endRow, endCol } 框选的矩形（和必须为10）
+ *   { type: 'hint', t } 使用提示
+ * @returns {{valid: boolean, iq: number, clears: number, hints: number, boards: number, maxCombo: number, breakdown: Object, reason?: string, moveIndex?: number}}
+ */
+function verifyChallengeRun({ seed, moves, variant = DEFAULT_VARIANT }) {
+  const rules = getChallengeVariant(variant);
+  const clock = createChallengeClock(variant);
+  const score = createChallengeScore();
+  const first = nextChallengeBoard(seed, 0);
+  let board = first?.board;
+  let nextIndex = first?.nextIndex;
+  let tiles = first ? [...board.tiles] : [];
+  let boards = first ? 1 : 0;
+  let hints = 0;
+  let lastT = 0;
+  let ended = false; // 突然死亡卡住、目标完成或棋盘用完后本局结束
+
+  const summary = () => ({
+    clears: score.breakdown.clears,
+    hints,
+    boards,
+    maxCombo: score.maxCombo,
+    breakdown: score.breakdown,
+  });
+  const reject = (reason, moveIndex) => ({ valid: false, iq: 0, ...summary(), reason, moveIndex });
+
+  if (moves.length > MAX_RUN_MOVES) {
+    return reject('Too many moves');
+  }
+  if (!first) {
+    return reject('No playable board');
+  }
+
+  for (let i = 0; i < moves.length; i++) {
+    const move = moves[i];
+
+    if (ended) {
+      return reject('Run has already ended', i);
+    }
+    if (move.t < lastT) {
+      return reject('Moves are out of order', i);
+    }
+    if (move.t > clock.deadline + MOVE_GRACE_MS) {
+      return reject('Move is outside the time window', i);
+    }
+    lastT = move.t;
+
+    if (move.type === 'hint') {
+      if (rules.suddenDeath) {
+        return reject('Hints are not allowed in this variant', i);
+      }
+      hints++;
+      scoreHint(score);
+      continue;
+    }
+
+    const outcome = applyChallengeClear(tiles, board.width, board.height, move, variant);
+    if (outcome.sum !== 10) {
+      return reject('Rectangle does not sum to 10', i);
+    }
+    tiles = outcome.tiles;
+
+    scoreClear(score, { t: move.t, tiles: outcome.count, boardCleared: outcome.cleared });
+    applyClearBonus(clock, move.t);
+
+    if (rules.targetClears && score.breakdown.clears >= rules.targetClears) {
+      scoreTimeLeft(score, getTimeLeft(clock, move.t));
+      ended = true;
+      continue;
+    }
+
+    if (outcome.endsRun) {
+      ended = true;
+      continue;
+    }
+
+    // 清空或无解时换下一块棋盘，棋盘用完时本局结束
+    if (outcome.needsNewBoard) {
+      const next = nextChallengeBoard(seed, nextIndex);
+      if (!next) {
+        ended = true;
+        continue;
+      }
+      ({ board, nextIndex } = next);
+      tiles = [...board.tiles];
+      boards++;
+    }
+  }
+
+  return { valid: true, iq: score.iq, ...summary() };
+}
+
+module.exports = {
+  CHALLENGE_TIME,
+  POINTS_PER_CLEAR,
+  HINT_IQ_COST,
+  BONUS_THRESHOLD,
+  BONUS_SECONDS,
+  MOVE_GRACE_MS,
+  MAX_RUN_MOVES,
+  MAX_RUN_BOARDS,
+  IQ_TITLES,
+  getIQTitle,
+  getChallengeBoardSeed,
+  getUTCDateKey,
+  shiftDateKey,
+  getDailyStreak,
+  recordDailyResult,
+  getCurrentDailyStreak,
+  createChallengeClock,
+  getTimeLeft,
+  applyClearBonus,
+  getRectTiles,
+  applyChallengeClear,
+  nextChallengeBoard,
+  verifyChallengeRun,
+};
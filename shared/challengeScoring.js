@@ -0,0 +1,123 @@
+/**
+ * Shared Challenge Scoring - 挑战模式计分引擎
+ * Purpose: App 计分和服务端重放（challengeRules.verifyChallengeRun）使用同一套规则
+ * Rules:
+ *   每次消除 = 基础分 + 方块奖励（超过2块的部分每块+1）
+ *   连击：距上次消除不超过 COMBO_WINDOW_MS 记为连击，(基础分+方块奖励) 乘以连击倍率，超出部分记为连击奖励
+ *   清空整块棋盘额外 +BOARD_CLEAR_BONUS
+ *   提示扣除 HINT_IQ_COST（IQ 不会低于0），并打断连击
+ *   目标变体（challengeVariants.targetClears）提前完成时，剩余每秒 +POINTS_PER_SECOND_LEFT
+ */
+
+const POINTS_PER_CLEAR = 3; // 每次消除的基础分
+const HINT_IQ_COST = 5; // 挑战模式每次提示扣除的 IQ
+
+const FREE_TILES = 2; // 2块以内没有方块奖励
+const POINTS_PER_EXTRA_TILE = 1;
+
+const COMBO_WINDOW_MS = 2000;
+const COMBO_STEP = 0.5; // 每多一次连击倍率 +0.5
+const MAX_COMBO_MULTIPLIER = 3;
+
+const BOARD_CLEAR_BONUS = 10;
+
+const POINTS_PER_SECOND_LEFT = 2;
+
+// 一局的计分状态（与 challengeRules 的计时状态一样直接修改）
+function createChallengeScore() {
+  return {
+    iq: 0,
+    combo: 0,
+    maxCombo: 0,
+    lastClearT: null,
+    breakdown: {
+      clears: 0,
+      base: 0,
+      tiles: 0,
+      combo: 0,
+      boardClears: 0,
+      boardClear: 0,
+      hints: 0,
+      time: 0,
+    },
+  };
+}
+
+// 第 combo 次连击的倍率（1 为没有连击）
+function getComboMultiplier(combo) {
+  return Math.min(MAX_COMBO_MULTIPLIER, 1 + COMBO_STEP * Math.max(0, combo - 1));
+}
+
+/**
+ * 结算一次消除
+ * @param {Object} score - createChallengeScore() 的状态
+ * @param {Object} clear
+ * @param {number} clear.t - 距开局的毫秒数
+ * @param {number} clear.tiles - 消除的方块数
+ * @param {boolean} clear.boardCleared - 这次消除后棋盘是否清空
+ * @returns {{points: number, combo: number, base: number, tileBonus: number, comboBonus: number, boardBonus: number}}
+ */
+function scoreClear(score, { t, tiles, boardCleared }) {
+  const inCombo = score.lastClearT !== null && t - score.lastClearT <= COMBO_WINDOW_MS;
+  const combo = inCombo ? score.combo + 1 : 1;
+
+  const base = POINTS_PER_CLEAR;
+  const tileBonus = Math.max(0, tiles - FREE_TILES) * POINTS_PER_EXTRA_TILE;
+  const comboBonus = Math.floor((base + tileBonus) * (getComboMultiplier(combo) - 1));
+  const boardBonus = boardCleared ? BOARD_CLEAR_BONUS : 0;
+  const points = base + tileBonus + comboBonus + boardBonus;
+
+  score.iq += points;
+  score.combo = combo;
+  score.maxCombo = Math.max(score.maxCombo, combo);
+  score.lastClearT = t;
+  score.breakdown.clears++;
+  score.breakdown.base += base;
+  score.breakdown.tiles += tileBonus;
+  score.breakdown.combo += comboBonus;
+  score.breakdown.boardClear += boardBonus;
+  if (boardCleared) score.breakdown.boardClears++;
+
+  return { points, combo, base, tileBonus, comboBonus, boardBonus };
+}
+
+/**
+ * 结算一次提示
+ * @returns {number} 实际扣除的 IQ
+ */
+function scoreHint(score) {
+  const cost = Math.min(score.iq, HINT_IQ_COST);
+  score.iq -= cost;
+  score.combo = 0;
+  score.lastClearT = null;
+  score.breakdown.hints += cost;
+  return cost;
+}
+
+/**
+ * 结算剩余时间奖励（目标变体完成时）
+ * @returns {number} 奖励的 IQ
+ */
+function scoreTimeLeft(score, secondsLeft) {
+  const bonus = Math.max(0, secondsLeft) * POINTS_PER_SECOND_LEFT;
+  score.iq += bonus;
+  score.breakdown.time += bonus;
+  return bonus;
+}
+
+module.exports = {
+  POINTS_PER_CLEAR,
+  HINT_IQ_COST,
+  FREE_TILES,
+  POINTS_PER_EXTRA_TILE,
+  COMBO_WINDOW_MS,
+  COMBO_STEP,
+  MAX_COMBO_MULTIPLIER,
+  BOARD_CLEAR_BONUS,
+  POINTS_PER_SECOND_LEFT,
+  createChallengeScore,
+  getComboMultiplier,
+  scoreClear,
+  scoreHint,
+  scoreTimeLeft,
+};
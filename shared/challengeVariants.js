@@ -0,0 +1,74 @@
+/**
+ * Shared Challenge Variants - 挑战模式玩法变体
+ * Purpose: App 开局前选择变体，服务端按同一份定义重放校验
+ *
+ * 字段：
+ *   duration      本局时长（秒）
+ *   suddenDeath   没有提示、棋盘卡住（无可消除组合）时直接结束，不换新棋盘；清空棋盘仍然换新棋盘
+ *   targetClears  完成这么多次消除后结束，剩余秒数按 challengeScoring.POINTS_PER_SECOND_LEFT 计分
+ *   titleScale    IQ 称号的换算比例（变体 IQ / titleScale 后再套用经典模式的称号门槛）
+ */
+
+const DEFAULT_VARIANT = 'classic';
+
+const CHALLENGE_VARIANTS = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    description: '60 seconds to clear as many as you can',
+    duration: 60,
+    suddenDeath: false,
+    targetClears: null,
+    titleScale: 1,
+  },
+  blitz: {
+    id: 'blitz',
+    name: 'Blitz',
+    description: '30 seconds, no time to think',
+    duration: 30,
+    suddenDeath: false,
+    targetClears: null,
+    titleScale: 0.5,
+  },
+  marathon: {
+    id: 'marathon',
+    name: 'Marathon',
+    description: '120 seconds of non-stop clearing',
+    duration: 120,
+    suddenDeath: false,
+    targetClears: null,
+    titleScale: 2,
+  },
+  suddenDeath: {
+    id: 'suddenDeath',
+    name: 'Sudden Death',
+    description: 'No hints, no rescue: the run ends when the board gets stuck',
+    duration: 60,
+    suddenDeath: true,
+    targetClears: null,
+    titleScale: 0.75,
+  },
+  target: {
+    id: 'target',
+    name: 'Target 30',
+    description: 'Make 30 clears as fast as you can; spare seconds score bonus IQ',
+    duration: 90,
+    suddenDeath: false,
+    targetClears: 30,
+    titleScale: 1.25,
+  },
+};
+
+const CHALLENGE_VARIANT_IDS = Object.keys(CHALLENGE_VARIANTS);
+
+// 未知的变体按经典模式处理
+function getChallengeVariant(id) {
+  return CHALLENGE_VARIANTS[id] || CHALLENGE_VARIANTS[DEFAULT_VARIANT];
+}
+
+module.exports = {
+  DEFAULT_VARIANT,
+  CHALLENGE_VARIANTS,
+  CHALLENGE_VARIANT_IDS,
+  getChallengeVariant,
+};
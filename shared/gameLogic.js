@@ -0,0 +1,129 @@
+/**
+ * Shared Game Logic - 客户端与后端共用的棋盘规则
+ * Purpose: 纯函数实现的矩形求和规则，App（Metro）和 backend（Node）都直接 require
+ * Notes: 保持 CommonJS 且不依赖任何 React Native 模块
+ */
+
+// 获取矩形内的所有位置
+function getRectanglePositions(pos1, pos2, width, height) {
+  const row1 = Math.floor(pos1 / width);
+  const col1 = pos1 % width;
+  const row2 = Math.floor(pos2 / width);
+  const col2 = pos2 % width;
+
+  const minRow = Math.min(row1, row2);
+  const maxRow = Math.max(row1, row2);
+  const minCol = Math.min(col1, col2);
+  const maxCol = Math.max(col1, col2);
+
+  const positions = [];
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      positions.push(row * width + col);
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * 构建二维前缀和：sums 为方块数值之和，counts 为非零方块个数
+ * 下标 (row, col) 对应 [0, row) × [0, col) 区域，数组大小 (height + 1) × (width + 1)
+ */
+function buildPrefixSums(tiles, width, height) {
+  const stride = width + 1;
+  const sums = new Array((height + 1) * stride).fill(0);
+  const counts = new Array((height + 1) * stride).fill(0);
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const value = tiles[row * width + col] || 0;
+      const i = (row + 1) * stride + col + 1;
+      sums[i] = value + sums[i - 1] + sums[i - stride] - sums[i - stride - 1];
+      counts[i] = (value > 0 ? 1 : 0) + counts[i - 1] + counts[i - stride] - counts[i - stride - 1];
+    }
+  }
+
+  return { sums, counts, stride };
+}
+
+// 前缀和查询：矩形 [minRow, maxRow] × [minCol, maxCol] 的区域和
+function rectQuery(prefix, stride, minRow, minCol, maxRow, maxCol) {
+  return prefix[(maxRow + 1) * stride + maxCol + 1]
+    - prefix[minRow * stride + maxCol + 1]
+    - prefix[(maxRow + 1) * stride + minCol]
+    + prefix[minRow * stride + minCol];
+}
+
+/**
+ * 按前缀和枚举所有和为10的矩形，onMove 返回 true 时提前结束
+ * 只枚举“紧”矩形（四条边上都有非零方块），外围多出的空位不会产生重复的消除
+ */
+function scanMoves(tiles, width, height, onMove) {
+  const { sums, counts, stride } = buildPrefixSums(tiles, width, height);
+  const colSums = new Array(width).fill(0);
+  const colCounts = new Array(width).fill(0);
+
+  for (let minRow = 0; minRow < height; minRow++) {
+    for (let maxRow = minRow; maxRow < height; maxRow++) {
+      // 当前行区间内每一列的和与非零方块数
+      for (let col = 0; col < width; col++) {
+        colSums[col] = rectQuery(sums, stride, minRow, col, maxRow, col);
+        colCounts[col] = rectQuery(counts, stride, minRow, col, maxRow, col);
+      }
+
+      for (let minCol = 0; minCol < width; minCol++) {
+        if (colCounts[minCol] === 0) continue; // 左边为空
+
+        let sum = 0;
+        for (let maxCol = minCol; maxCol < width; maxCol++) {
+          sum += colSums[maxCol];
+          if (sum > 10) break; // 方块值非负，继续向右只会更大
+          if (sum !== 10 || colCounts[maxCol] === 0) continue; // 右边为空
+          if (rectQuery(counts, stride, minRow, minCol, minRow, maxCol) === 0 ||
+              rectQuery(counts, stride, maxRow, minCol, maxRow, maxCol) === 0) continue; // 上/下边为空
+
+          if (onMove(minRow, minCol, maxRow, maxCol)) return;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 找出棋盘上所有可消除的矩形（和为10，空位不计入）
+ * @param {number[]} tiles - 棋盘方块（0 为空位）
+ * @param {number} width - 列数
+ * @param {number} height - 行数
+ * @returns {Array<{minRow, minCol, maxRow, maxCol, positions: number[]}>} positions 为矩形内非零方块的下标
+ */
+function findAllMoves(tiles, width, height) {
+  const moves = [];
+  scanMoves(tiles, width, height, (minRow, minCol, maxRow, maxCol) => {
+    const positions = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if (tiles[row * width + col] > 0) positions.push(row * width + col);
+      }
+    }
+    moves.push({ minRow, minCol, maxRow, maxCol, positions });
+    return false;
+  });
+  return moves;
+}
+
+// 检查棋盘是否有可消除的组合（找到第一个即返回）
+function hasValidCombinations(tiles, width, height) {
+  let found = false;
+  scanMoves(tiles, width, height, () => {
+    found = true;
+    return true;
+  });
+  return found;
+}
+
+module.exports = {
+  findAllMoves,
+  getRectanglePositions,
+  hasValidCombinations,
+};
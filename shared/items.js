@@ -0,0 +1,79 @@
+/**
+ * Shared Items - 服务端库存里的道具类型
+ * Purpose: App 本地数量与服务端 user_items 按同一份类型对应；新增道具在这里登记后，两端的同步和接口校验都会认识它
+ *
+ * 字段：
+ *   field   App gameData 中对应的数量字段
+ *
+ * 道具只由服务端发放（新用户的初始道具、通关新关卡的奖励、撤销时退还已消耗的道具、一次性的道具基线），App 只提交消耗；
+ * App 按同样的规则先在本地加上，等服务端响应后再以服务端库存为准
+ *
+ * Hint 道具目前只在本地，不进服务端库存：初始数量在 App 的 DEFAULT_GAME_DATA，第一次通过新关卡时本地加 HINT_LEVEL_REWARD
+ */
+
+const ITEM_TYPES = {
+  swapMaster: {
+    id: 'swapMaster',
+    name: 'SwapMaster',
+    field: 'swapMasterItems',
+  },
+  split: {
+    id: 'split',
+    name: 'Split',
+    field: 'splitItems',
+  },
+};
+
+const ITEM_TYPE_IDS = Object.keys(ITEM_TYPES);
+
+// 旧接口中的道具名：change 即 SwapMaster（服务端原来的 change_items）
+const LEGACY_ITEM_TYPES = {
+  change: 'swapMaster',
+};
+
+// 单次消耗的上限
+const MAX_ITEM_AMOUNT = 100;
+
+// 新用户在服务端创建时的初始道具，与 App 新安装时的本地数量一致
+const STARTER_ITEMS = {
+  swapMaster: 3,
+  split: 2,
+};
+
+// 第一次通过某一关的奖励（重复通关不再发放）
+const LEVEL_REWARD = {
+  swapMaster: 1,
+  split: 1,
+};
+
+// 第一次通过某一关时 App 本地加的 Hint 数量（与 LEVEL_REWARD 同时发放）
+const HINT_LEVEL_REWARD = 1;
+
+// 服务端库存上线前 App 本地攒下的道具：每个账号可以按本机数量领取一次（道具基线），每种最多这么多
+const ITEM_BASELINE_CAP = {
+  swapMaster: 30,
+  split: 30,
+};
+
+/**
+ * 通过第 level 关时应发放的奖励
+ * 只有按顺序通过下一关（level = 之前的最高关 + 1）才发放；第 1 关默认算作已通过，没有奖励
+ * @param {number} level - 通过的关卡
+ * @param {number} previousBest - 通过前的最高关卡（App 的 maxLevel、服务端的 best_level）
+ * @returns {Object<string, number>|null} 道具类型 → 数量
+ */
+function getLevelReward(level, previousBest) {
+  return level > 1 && level === previousBest + 1 ? LEVEL_REWARD : null;
+}
+
+module.exports = {
+  ITEM_TYPES,
+  ITEM_TYPE_IDS,
+  LEGACY_ITEM_TYPES,
+  MAX_ITEM_AMOUNT,
+  STARTER_ITEMS,
+  LEVEL_REWARD,
+  HINT_LEVEL_REWARD,
+  ITEM_BASELINE_CAP,
+  getLevelReward,
+};
@@ -0,0 +1,153 @@
+/**
+ * Board Solver - 精确判断棋盘能否被完全清空
+ * Purpose: 深度优先搜索消除序列（记忆化 + 剪枝），给出是否可清空、最少消除次数和一组可行解
+ * Notes: 每次消除恰好移除总和为10的方块，因此任何完整解的消除次数都等于 总和/10，
+ *        “最少消除次数”即该值；搜索只需要判断可行性。
+ */
+
+const { findAllMoves } = require('./gameLogic');
+
+// 默认搜索节点预算，超过后返回 solvable: null（无法判定）
+const DEFAULT_MAX_NODES = 4000;
+
+// 提示使用更小的预算，保证点击后立即出结果
+const HINT_MAX_NODES = 300;
+
+// 剩余所有方块的包围矩形
+function getBoundingMove(tiles, width) {
+  let minRow = Infinity, minCol = Infinity, maxRow = -1, maxCol = -1;
+  const positions = [];
+  tiles.forEach((value, index) => {
+    if (value <= 0) return;
+    const row = Math.floor(index / width);
+    const col = index % width;
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+    minCol = Math.min(minCol, col);
+    maxCol = Math.max(maxCol, col);
+    positions.push(index);
+  });
+  return { minRow, minCol, maxRow, maxCol, positions };
+}
+
+const toRect = ({ minRow, minCol, maxRow, maxCol }) => ({ minRow, minCol, maxRow, maxCol });
+
+/**
+ * 搜索完整清空棋盘的消除序列
+ * @param {number[]} tiles - 棋盘方块（0 为空位）
+ * @param {number} width - 列数
+ * @param {number} height - 行数
+ * @param {Object} options - { maxNodes }
+ * @returns {{
+ *   solvable: boolean|null,
+ *   minClears: number|null,
+ *   solution: Array<{minRow, minCol, maxRow, maxCol}>|null,
+ *   nodes: number,
+ *   bestPartial: { solution: Array<{minRow, minCol, maxRow, maxCol}>, tiles: number[] }
+ * }}
+ */
+function solveBoard(tiles, width, height, options = {}) {
+  const { maxNodes = DEFAULT_MAX_NODES } = options;
+  const start = tiles.map(value => value || 0);
+  const totalSum = start.reduce((sum, value) => sum + value, 0);
+
+  const result = {
+    solvable: false,
+    minClears: null,
+    solution: null,
+    nodes: 0,
+    bestPartial: { solution: [], tiles: start },
+  };
+
+  if (totalSum === 0) {
+    result.solvable = true;
+    result.minClears = 0;
+    result.solution = [];
+    return result;
+  }
+
+  // 剪枝：每次消除移除10，总和不是10的倍数必然无解
+  if (totalSum % 10 !== 0) {
+    return result;
+  }
+
+  const failed = new Set(); // 已证明无解的状态
+  const path = [];
+  let bestRemaining = start.filter(value => value > 0).length;
+  let budgetExceeded = false;
+
+  const search = (state, remainingSum) => {
+    // 剩余总和恰好为10：包围矩形一次清空
+    if (remainingSum === 10) {
+      path.push(toRect(getBoundingMove(state, width)));
+      return true;
+    }
+
+    const key = state.join('');
+    if (failed.has(key)) return false;
+
+    if (result.nodes >= maxNodes) {
+      budgetExceeded = true;
+      return false;
+    }
+    result.nodes++;
+
+    const remaining = state.filter(value => value > 0).length;
+    if (remaining < bestRemaining) {
+      bestRemaining = remaining;
+      result.bestPartial = { solution: path.slice(), tiles: state.slice() };
+    }
+
+    // 优先尝试方块少的矩形，把“万能”的小数字留给后面
+    const moves = findAllMoves(state, width, height)
+      .sort((a, b) => a.positions.length - b.positions.length);
+
+    for (const move of moves) {
+      const next = state.slice();
+      move.positions.forEach(pos => { next[pos] = 0; });
+      path.push(toRect(move));
+      if (search(next, remainingSum - 10)) return true;
+      path.pop();
+      if (budgetExceeded) return false;
+    }
+
+    failed.add(key);
+    return false;
+  };
+
+  if (search(start, totalSum)) {
+    result.solvable = true;
+    result.minClears = totalSum / 10;
+    result.solution = path.slice();
+    result.bestPartial = { solution: path.slice(), tiles: start.map(() => 0) };
+  } else if (budgetExceeded) {
+    result.solvable = null;
+  }
+
+  return result;
+}
+
+/**
+ * 为玩家挑选一个提示矩形
+ * 优先给出求解器找到的（部分）解的第一步，这样跟着提示走不会把棋盘走死；
+ * 总和不是10的倍数（例如使用过 Split）时退回到方块最少的可消除矩形
+ * @returns {{minRow, minCol, maxRow, maxCol}|null} 没有可消除的矩形时返回 null
+ */
+function findHintMove(tiles, width, height, options = {}) {
+  const { maxNodes = HINT_MAX_NODES } = options;
+  const result = solveBoard(tiles, width, height, { maxNodes });
+  const path = result.solution || result.bestPartial.solution;
+  if (path.length > 0) {
+    return path[0];
+  }
+
+  const moves = findAllMoves(tiles, width, height)
+    .sort((a, b) => a.positions.length - b.positions.length);
+  return moves.length > 0 ? toRect(moves[0]) : null;
+}
+
+module.exports = {
+  DEFAULT_MAX_NODES,
+  findHintMove,
+  solveBoard,
+};